@@ -0,0 +1,19 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+    { ignores: ['node_modules/'] },
+    js.configs.recommended,
+    {
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'commonjs',
+            globals: globals.node
+        },
+        rules: {
+            // catch (error) без использования и { id, ...rest } для исключения полей - обычные приемы в проекте
+            'no-unused-vars': ['error', { caughtErrors: 'none', ignoreRestSiblings: true }],
+            'no-empty': ['error', { allowEmptyCatch: true }]
+        }
+    }
+];
@@ -0,0 +1,276 @@
+// Аварии тегов: пределы HiHi/Hi/Lo/LoLo, дискретные аварии, зона возврата, задержка, квитирование
+
+const fs = require('fs');
+
+const LIMIT_LEVELS = {
+    HighHigh: { field: 'alarmHiHi', severity: 800, text: 'Аварийно высокое значение' },
+    High: { field: 'alarmHi', severity: 500, text: 'Высокое значение' },
+    Low: { field: 'alarmLo', severity: 500, text: 'Низкое значение' },
+    LowLow: { field: 'alarmLoLo', severity: 800, text: 'Аварийно низкое значение' }
+};
+const DISCRETE_SEVERITY = 600;
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+// Вид аварии тега: 'limit', 'discrete' или null (авария не настроена)
+function getAlarmKind(tag) {
+    if (tag.alarmNormalState !== undefined) return 'discrete';
+    if (Object.values(LIMIT_LEVELS).some(level => tag[level.field] !== undefined)) return 'limit';
+    return null;
+}
+
+function isLimitSet(tag, level) {
+    return tag[LIMIT_LEVELS[level].field] !== undefined;
+}
+
+/**
+ * Уровень предельной аварии для значения. Выход из уровня - только когда значение
+ * вернулось за предел на величину зоны возврата (alarmDeadband).
+ */
+function getLimitLevel(tag, value, current) {
+    const deadband = tag.alarmDeadband || 0;
+    const isHigh = current === 'High' || current === 'HighHigh';
+    const isLow = current === 'Low' || current === 'LowLow';
+
+    if (isLimitSet(tag, 'HighHigh') &&
+        (value > tag.alarmHiHi || (current === 'HighHigh' && value > tag.alarmHiHi - deadband))) {
+        return 'HighHigh';
+    }
+    if (isLimitSet(tag, 'High') && (value > tag.alarmHi || (isHigh && value > tag.alarmHi - deadband))) {
+        return 'High';
+    }
+    if (isLimitSet(tag, 'LowLow') &&
+        (value < tag.alarmLoLo || (current === 'LowLow' && value < tag.alarmLoLo + deadband))) {
+        return 'LowLow';
+    }
+    if (isLimitSet(tag, 'Low') && (value < tag.alarmLo || (isLow && value < tag.alarmLo + deadband))) {
+        return 'Low';
+    }
+    return null;
+}
+
+// Проверка настроек аварии тега. Возвращает текст ошибки или null
+function validateAlarmConfig(tag, isNumeric) {
+    const kind = getAlarmKind(tag);
+    for (const field of ['alarmHiHi', 'alarmHi', 'alarmLo', 'alarmLoLo', 'alarmDeadband']) {
+        if (tag[field] !== undefined && !Number.isFinite(tag[field])) {
+            return `поле ${field} должно быть числом`;
+        }
+    }
+    if (tag.alarmDeadband < 0) {
+        return "зона возврата аварии не может быть отрицательной";
+    }
+    if (tag.alarmDelay !== undefined && !(Number.isInteger(tag.alarmDelay) && tag.alarmDelay >= 0)) {
+        return "задержка аварии должна быть неотрицательным целым числом (мс)";
+    }
+    if (tag.alarmNormalState !== undefined && typeof tag.alarmNormalState !== 'boolean') {
+        return "нормальное состояние дискретной аварии должно быть true или false";
+    }
+    if (kind && tag.arrayLength > 0) {
+        return "аварии для массивов не поддерживаются";
+    }
+    if (kind === 'discrete') {
+        const isBit = tag.registerType === 'coil' || tag.registerType === 'discrete' || tag.dataType === 'boolean';
+        if (!isBit) {
+            return "дискретная авария доступна только для битовых тегов";
+        }
+        if (Object.values(LIMIT_LEVELS).some(level => tag[level.field] !== undefined)) {
+            return "у тега не может быть одновременно дискретной и предельной аварии";
+        }
+    }
+    if (kind === 'limit') {
+        if (!isNumeric) {
+            return "предельная авария доступна только для числовых тегов";
+        }
+        const limits = ['alarmLoLo', 'alarmLo', 'alarmHi', 'alarmHiHi']
+            .map(field => tag[field])
+            .filter(limit => limit !== undefined);
+        if (limits.some((limit, index) => index > 0 && limit < limits[index - 1])) {
+            return "пределы аварии должны идти по возрастанию: LoLo ≤ Lo ≤ Hi ≤ HiHi";
+        }
+    }
+    return null;
+}
+
+/**
+ * Состояние аварии одного тега.
+ *
+ * options.tag      - тег с настройками alarm* (читаются при каждой проверке)
+ * options.onChange - вызывается с (снимок, предыдущий уровень) при смене уровня
+ */
+function createTagAlarm(options) {
+    const tag = options.tag;
+    const onChange = options.onChange || (() => {});
+    const kind = getAlarmKind(tag);
+
+    let level = null; // 'HighHigh' | 'High' | 'Low' | 'LowLow' | 'Active' | null
+    let acknowledged = true;
+    let confirmed = true;
+    let activeSince = null;
+    let lastValue = null;
+    let pending = null; // уровень, ожидающий окончания задержки
+    let pendingSince = null;
+
+    function getLevel(value) {
+        if (kind === 'discrete') {
+            return Boolean(value) !== tag.alarmNormalState ? 'Active' : null;
+        }
+        return getLimitLevel(tag, value, level);
+    }
+
+    function getMessage() {
+        if (level === null) return `${tag.name}: норма`;
+        const text = kind === 'discrete' ? 'Отклонение от нормального состояния' : LIMIT_LEVELS[level].text;
+        return `${tag.name}: ${text} (${lastValue})`;
+    }
+
+    function getSeverity() {
+        if (level === null) return 0;
+        return kind === 'discrete' ? DISCRETE_SEVERITY : LIMIT_LEVELS[level].severity;
+    }
+
+    function setLevel(newLevel, now) {
+        const previous = level;
+        level = newLevel;
+        if (newLevel !== null) {
+            // Каждый новый аварийный уровень требует квитирования заново
+            acknowledged = false;
+            confirmed = false;
+            activeSince = new Date(now);
+        }
+        onChange(snapshot(), previous);
+    }
+
+    /**
+     * Проверка нового значения. Плохое качество не меняет состояние аварии.
+     * Переход в аварийный уровень выполняется, если он держится alarmDelay мс.
+     */
+    function update(value, isGood, now = Date.now()) {
+        if (!isGood || value === null || value === undefined) return;
+        lastValue = value;
+
+        const newLevel = getLevel(value);
+        if (newLevel === level) {
+            pending = null;
+            return;
+        }
+        if (newLevel !== null && tag.alarmDelay) {
+            if (pending !== newLevel) {
+                pending = newLevel;
+                pendingSince = now;
+            }
+            if (now - pendingSince < tag.alarmDelay) return;
+        }
+        pending = null;
+        setLevel(newLevel, now);
+    }
+
+    // Квитирование: возвращает false, если квитировать нечего
+    function acknowledge() {
+        if (acknowledged) return false;
+        acknowledged = true;
+        return true;
+    }
+
+    // Подтверждение возможно только после квитирования
+    function confirm() {
+        if (!acknowledged || confirmed) return false;
+        confirmed = true;
+        return true;
+    }
+
+    function snapshot() {
+        return {
+            kind,
+            level,
+            active: level !== null,
+            acknowledged,
+            confirmed,
+            retained: level !== null || !acknowledged || !confirmed,
+            activeSince: activeSince && activeSince.toISOString(),
+            value: lastValue,
+            message: getMessage(),
+            severity: getSeverity()
+        };
+    }
+
+    return {
+        update,
+        acknowledge,
+        confirm,
+        snapshot,
+        get kind() {
+            return kind;
+        },
+        get level() {
+            return level;
+        }
+    };
+}
+
+/**
+ * Журнал аварий в файле JSON Lines: срабатывания, возвраты в норму,
+ * квитирования и подтверждения.
+ *
+ * options.file - путь к файлу журнала
+ */
+function createAlarmLog(options) {
+    const file = options.file;
+
+    function record(entry) {
+        const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+        try {
+            fs.appendFileSync(file, line + '\n');
+        } catch (error) {
+            console.error(`Ошибка записи в журнал аварий ${file}:`, error.message);
+        }
+    }
+
+    function readEntries() {
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null; // недописанная строка при аварийной остановке
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Поиск записей, новые первыми.
+     * filters: deviceId, tag, event, from, to (ISO время), limit
+     */
+    function query(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+        const from = filters.from ? new Date(filters.from).getTime() : null;
+        const to = filters.to ? new Date(filters.to).getTime() : null;
+
+        return readEntries()
+            .filter(entry => {
+                const time = new Date(entry.time).getTime();
+                return (!filters.deviceId || entry.deviceId === filters.deviceId) &&
+                    (!filters.tag || entry.tag === filters.tag) &&
+                    (!filters.event || entry.event === filters.event) &&
+                    (from === null || time >= from) &&
+                    (to === null || time <= to);
+            })
+            .reverse()
+            .slice(0, limit);
+    }
+
+    return { record, query };
+}
+
+module.exports = {
+    LIMIT_LEVELS,
+    getAlarmKind,
+    validateAlarmConfig,
+    createTagAlarm,
+    createAlarmLog
+};
@@ -0,0 +1,69 @@
+// Журнал записей в устройства: кто, когда, какое устройство и тег, старое и новое значение, результат
+
+const fs = require('fs');
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Журнал хранится в файле JSON Lines: одна запись на строку, только дописывание.
+ *
+ * options.file - путь к файлу журнала
+ */
+function createAuditLog(options) {
+    const file = options.file;
+
+    function record(entry) {
+        const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+        try {
+            fs.appendFileSync(file, line + '\n');
+        } catch (error) {
+            console.error(`Ошибка записи в журнал аудита ${file}:`, error.message);
+        }
+    }
+
+    function readEntries() {
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null; // недописанная строка при аварийной остановке
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Поиск записей, новые первыми.
+     * filters: user, deviceId, tag, source, result, from, to (ISO время), limit
+     */
+    function query(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+        const from = filters.from ? new Date(filters.from).getTime() : null;
+        const to = filters.to ? new Date(filters.to).getTime() : null;
+
+        return readEntries()
+            .filter(entry => {
+                const time = new Date(entry.time).getTime();
+                return (!filters.user || entry.user === filters.user) &&
+                    (!filters.deviceId || entry.deviceId === filters.deviceId) &&
+                    (!filters.tag || entry.tag === filters.tag) &&
+                    (!filters.source || entry.source === filters.source) &&
+                    (!filters.result || entry.result === filters.result) &&
+                    (from === null || time >= from) &&
+                    (to === null || time <= to);
+            })
+            .reverse()
+            .slice(0, limit);
+    }
+
+    return { record, query };
+}
+
+module.exports = {
+    createAuditLog
+};
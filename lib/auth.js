@@ -0,0 +1,180 @@
+// Пользователи моста (общие для веб-интерфейса и OPC UA), пароли и сессии
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// viewer - только чтение, operator - запись тегов разрешенных устройств,
+// engineer - запись в любые устройства и изменение конфигурации
+const ROLES = ['viewer', 'operator', 'engineer'];
+
+const SESSION_TTL = 12 * 60 * 60 * 1000; // Сессия живет 12 часов с последнего запроса
+const SESSION_SWEEP_INTERVAL = 10 * 60 * 1000; // Как часто удаляются истекшие сессии
+const ADMIN_PASSWORD_FILE = 'admin-password.txt'; // Пароль созданного admin, рядом с файлом пользователей
+
+// Хеш пароля в формате scrypt:<соль>:<хеш> (hex)
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, 32);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyPassword(passwordHash, password) {
+    const [scheme, salt, hash] = String(passwordHash).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Запись в устройство: engineer - везде, operator - в устройства из списка devices
+// (id или имя, '*' или отсутствие списка - все устройства)
+function canWriteDevice(user, device) {
+    if (hasRole(user, 'engineer')) return true;
+    if (!hasRole(user, 'operator')) return false;
+    if (!user.devices || user.devices.includes('*')) return true;
+    return user.devices.includes(device.id) || user.devices.includes(device.name);
+}
+
+function validateUser(user) {
+    if (!user.username || !user.passwordHash) {
+        return "у пользователя должны быть username и passwordHash";
+    }
+    if (!ROLES.includes(user.role)) {
+        return `пользователь ${user.username}: неизвестная роль ${user.role}`;
+    }
+    if (user.devices !== undefined && !Array.isArray(user.devices)) {
+        return `пользователь ${user.username}: devices должен быть списком`;
+    }
+    return null;
+}
+
+/**
+ * Хранилище пользователей в JSON файле: [{ username, passwordHash, role, devices }].
+ * Если файла нет, создается пользователь admin (engineer) со случайным паролем.
+ * Пароль не выводится в лог, а записывается в admin-password.txt с правами 0600.
+ */
+function createUserStore(file) {
+    let users = [];
+
+    if (fs.existsSync(file)) {
+        users = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const user of users) {
+            const userError = validateUser(user);
+            if (userError) {
+                throw new Error(`Ошибка в ${file}: ${userError}`);
+            }
+        }
+        console.log(`Загружено ${users.length} пользователей из ${file}`);
+    } else {
+        const password = crypto.randomBytes(9).toString('base64');
+        users = [{ username: 'admin', passwordHash: hashPassword(password), role: 'engineer' }];
+        fs.writeFileSync(file, JSON.stringify(users, null, 2));
+        const passwordFile = path.join(path.dirname(file), ADMIN_PASSWORD_FILE);
+        fs.writeFileSync(passwordFile, `${password}\n`, { mode: 0o600 });
+        fs.chmodSync(passwordFile, 0o600); // mode при записи не меняет права существующего файла
+        console.log(`⚠️ Создан пользователь admin (${file}), пароль записан в ${passwordFile}: смените его и удалите файл`);
+    }
+
+    function find(username) {
+        return users.find(user => user.username === username) || null;
+    }
+
+    // Пользователь по логину и паролю или null
+    function authenticate(username, password) {
+        const user = find(username);
+        return user && verifyPassword(user.passwordHash, password) ? user : null;
+    }
+
+    return {
+        find,
+        authenticate,
+        get count() {
+            return users.length;
+        }
+    };
+}
+
+// Сессии веб-интерфейса: случайный токен -> пользователь.
+// Истекшие сессии удаляются при обращении и периодически (брошенные без выхода)
+function createSessionStore(ttl = SESSION_TTL) {
+    const sessions = new Map();
+
+    function sweep(now = Date.now()) {
+        sessions.forEach((session, token) => {
+            if (session.expiresAt < now) {
+                sessions.delete(token);
+            }
+        });
+    }
+    setInterval(sweep, Math.min(ttl, SESSION_SWEEP_INTERVAL)).unref();
+
+    function create(user) {
+        const token = crypto.randomBytes(24).toString('hex');
+        sessions.set(token, { username: user.username, expiresAt: Date.now() + ttl });
+        return token;
+    }
+
+    // Имя пользователя по токену; продлевает сессию
+    function touch(token) {
+        const session = token && sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt < Date.now()) {
+            sessions.delete(token);
+            return null;
+        }
+        session.expiresAt = Date.now() + ttl;
+        return session.username;
+    }
+
+    function destroy(token) {
+        sessions.delete(token);
+    }
+
+    return {
+        create,
+        touch,
+        destroy,
+        sweep,
+        get count() {
+            return sessions.size;
+        }
+    };
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            // Неверно закодированный cookie пропускаем: он не должен ломать запрос
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {}
+        }
+    });
+    return cookies;
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    hasRole,
+    canWriteDevice,
+    createUserStore,
+    createSessionStore,
+    parseCookies
+};
+
+// Генерация хеша пароля для users.json: node lib/auth.js <пароль>
+if (require.main === module) {
+    if (!process.argv[2]) {
+        console.log('Использование: node lib/auth.js <пароль>');
+        process.exit(1);
+    }
+    console.log(hashPassword(process.argv[2]));
+}
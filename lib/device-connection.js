@@ -0,0 +1,179 @@
+// Состояние связи с устройством: подключение, работа, пауза перед повтором, отключено
+
+const STATES = {
+    CONNECTING: 'connecting',
+    ONLINE: 'online',
+    BACKOFF: 'backoff',
+    DISABLED: 'disabled'
+};
+
+const DEFAULT_RECONNECT_DELAY = 1000;
+const DEFAULT_RECONNECT_MAX_DELAY = 60000;
+
+/**
+ * Автомат состояний связи одного устройства.
+ *
+ * options.reconnectDelay    - пауза после первой ошибки, мс
+ * options.reconnectMaxDelay - верхняя граница паузы, мс (пауза удваивается после каждой ошибки)
+ * options.onStateChange     - вызывается с (новое состояние, предыдущее) при смене состояния
+ */
+function createDeviceConnection(options = {}) {
+    const reconnectDelay = options.reconnectDelay || DEFAULT_RECONNECT_DELAY;
+    const reconnectMaxDelay = Math.max(options.reconnectMaxDelay || DEFAULT_RECONNECT_MAX_DELAY, reconnectDelay);
+    const onStateChange = options.onStateChange || (() => {});
+
+    let state = STATES.CONNECTING;
+    let lastError = null;
+    let lastErrorAt = null;
+    let lastSuccessAt = null;
+    let nextRetryAt = null;
+    let errorCount = 0;
+    let consecutiveErrors = 0;
+    let reconnectCount = 0;
+    let pollCount = 0;
+    let skippedPollCount = 0;
+    let responseCount = 0;
+    let totalResponseTime = 0;
+    let maxResponseTime = 0;
+    let lastExceptionCode = null;
+
+    function setState(newState) {
+        if (newState !== state) {
+            const previous = state;
+            state = newState;
+            onStateChange(newState, previous);
+        }
+    }
+
+    function getRetryDelay() {
+        return Math.min(reconnectDelay * Math.pow(2, Math.max(consecutiveErrors - 1, 0)), reconnectMaxDelay);
+    }
+
+    // Можно ли сейчас пытаться подключиться (пауза истекла и устройство не отключено)
+    function canConnect(now = Date.now()) {
+        if (state === STATES.DISABLED) return false;
+        return state !== STATES.BACKOFF || now >= nextRetryAt;
+    }
+
+    function connecting() {
+        if (state === STATES.DISABLED) return;
+        if (state === STATES.BACKOFF) {
+            reconnectCount++;
+        }
+        setState(STATES.CONNECTING);
+    }
+
+    function connected() {
+        if (state === STATES.DISABLED) return;
+        consecutiveErrors = 0;
+        nextRetryAt = null;
+        setState(STATES.ONLINE);
+    }
+
+    // Успешный цикл опроса
+    function pollSucceeded() {
+        pollCount++;
+        lastSuccessAt = new Date();
+        connected();
+    }
+
+    // Цикл опроса пропущен: предыдущий еще не закончился
+    function pollSkipped() {
+        skippedPollCount++;
+    }
+
+    // Устройство ответило на запрос (данными или исключением Modbus), duration - время ответа, мс
+    function responseReceived(duration) {
+        responseCount++;
+        totalResponseTime += duration;
+        maxResponseTime = Math.max(maxResponseTime, duration);
+    }
+
+    // Ошибка без потери связи (например, исключение Modbus по одному тегу)
+    function recordError(error) {
+        errorCount++;
+        lastError = error ? error.message : null;
+        lastErrorAt = new Date();
+        if (error && error.modbusCode !== undefined) {
+            lastExceptionCode = error.modbusCode;
+        }
+    }
+
+    // Потеря связи или неудачное подключение: уходим в паузу с растущим интервалом
+    function failed(error) {
+        recordError(error);
+        if (state === STATES.DISABLED) return;
+        consecutiveErrors++;
+        nextRetryAt = Date.now() + getRetryDelay();
+        setState(STATES.BACKOFF);
+    }
+
+    function disable() {
+        nextRetryAt = null;
+        setState(STATES.DISABLED);
+    }
+
+    function enable() {
+        if (state !== STATES.DISABLED) return;
+        consecutiveErrors = 0;
+        setState(STATES.CONNECTING);
+    }
+
+    function snapshot() {
+        return {
+            state,
+            lastError,
+            lastErrorAt: lastErrorAt && lastErrorAt.toISOString(),
+            lastSuccessAt: lastSuccessAt && lastSuccessAt.toISOString(),
+            nextRetryAt: nextRetryAt && new Date(nextRetryAt).toISOString(),
+            errorCount,
+            consecutiveErrors,
+            reconnectCount,
+            pollCount,
+            skippedPollCount,
+            averageResponseTime: responseCount ? totalResponseTime / responseCount : 0,
+            maxResponseTime,
+            lastExceptionCode
+        };
+    }
+
+    return {
+        canConnect,
+        connecting,
+        connected,
+        pollSucceeded,
+        pollSkipped,
+        responseReceived,
+        recordError,
+        failed,
+        disable,
+        enable,
+        snapshot,
+        get state() {
+            return state;
+        },
+        get lastError() {
+            return lastError;
+        },
+        get lastSuccessAt() {
+            return lastSuccessAt;
+        },
+        get errorCount() {
+            return errorCount;
+        },
+        get consecutiveErrors() {
+            return consecutiveErrors;
+        },
+        get reconnectCount() {
+            return reconnectCount;
+        },
+        get retryDelay() {
+            return getRetryDelay();
+        }
+    };
+}
+
+module.exports = {
+    STATES,
+    createDeviceConnection
+};
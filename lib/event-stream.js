@@ -0,0 +1,88 @@
+// Поток событий для веб-интерфейса (Server-Sent Events): значения тегов, связь с устройствами, модемы
+
+const DEFAULT_HEARTBEAT_INTERVAL = 15000; // Комментарий-пинг, чтобы прокси не закрывали простаивающее соединение
+const RETRY_DELAY = 3000; // Через сколько мс браузер переподключается после обрыва
+
+/**
+ * Подписчики потока событий.
+ *
+ * options.heartbeatInterval - период пинга, мс
+ */
+function createEventStream(options = {}) {
+    const heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL;
+
+    const clients = new Set();
+    let heartbeatTimer = null;
+    let eventId = 0;
+
+    // Фильтр подписки из строки запроса: ?devices=id1,id2&events=tag,connection
+    function parseFilter(query = {}) {
+        const toSet = (value) => value ? new Set(String(value).split(',').map(item => item.trim()).filter(Boolean)) : null;
+        return {
+            devices: toSet(query.devices),
+            events: toSet(query.events)
+        };
+    }
+
+    function matches(filter, event, data) {
+        if (filter.events && !filter.events.has(event)) return false;
+        // События без устройства (модемы, список устройств) фильтр по устройствам не ограничивает
+        if (filter.devices && data.deviceId !== undefined && !filter.devices.has(data.deviceId)) return false;
+        return true;
+    }
+
+    function startHeartbeat() {
+        if (heartbeatTimer) return;
+        heartbeatTimer = setInterval(() => {
+            clients.forEach(client => client.res.write(': ping\n\n'));
+        }, heartbeatInterval);
+        heartbeatTimer.unref();
+    }
+
+    function stopHeartbeat() {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+
+    // Открывает поток для запроса Express; подписка живет, пока клиент не закроет соединение
+    function subscribe(req, res) {
+        const client = { res, filter: parseFilter(req.query) };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+        clients.add(client);
+        startHeartbeat();
+
+        req.on('close', () => {
+            clients.delete(client);
+            if (clients.size === 0) {
+                stopHeartbeat();
+            }
+        });
+        return client;
+    }
+
+    // Отправляет событие всем подписчикам, чей фильтр его пропускает
+    function publish(event, data) {
+        if (clients.size === 0) return;
+        eventId++;
+        const message = `id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        clients.forEach(client => {
+            if (matches(client.filter, event, data)) {
+                client.res.write(message);
+            }
+        });
+    }
+
+    return { subscribe, publish };
+}
+
+module.exports = {
+    createEventStream
+};
@@ -0,0 +1,331 @@
+// Выражения вычисляемых тегов: арифметика, битовые операции, сравнения и функции над значениями
+// других тегов. Разбирается собственным парсером, код выражения не исполняется как JavaScript.
+//
+// Ссылки на теги: P - тег того же устройства, meter.P - тег устройства meter (id или имя),
+// имена с пробелами и точками - в кавычках: "Насос 1"."Давление".
+
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '|': 3,
+    '^': 4,
+    '&': 5,
+    '==': 6, '!=': 6,
+    '<': 7, '<=': 7, '>': 7, '>=': 7,
+    '<<': 8, '>>': 8,
+    '+': 9, '-': 9,
+    '*': 10, '/': 10, '%': 10,
+    '**': 11
+};
+
+const OPERATORS = ['**', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+    '+', '-', '*', '/', '%', '&', '|', '^', '~', '!', '<', '>', '?', ':', '(', ')', ',', '.'];
+
+// Функции без состояния: имя -> [мин. аргументов, макс. аргументов, реализация]
+const FUNCTIONS = {
+    min: [1, Infinity, (...args) => Math.min(...args)],
+    max: [1, Infinity, (...args) => Math.max(...args)],
+    abs: [1, 1, Math.abs],
+    round: [1, 2, (x, digits = 0) => Math.round(x * Math.pow(10, digits)) / Math.pow(10, digits)],
+    floor: [1, 1, Math.floor],
+    ceil: [1, 1, Math.ceil],
+    sqrt: [1, 1, Math.sqrt],
+    pow: [2, 2, Math.pow],
+    clamp: [3, 3, (x, low, high) => Math.min(Math.max(x, low), high)],
+    bit: [2, 2, (x, n) => Boolean((Math.trunc(x) >> n) & 1)]
+};
+
+// Функции с состоянием между вычислениями (время - момент вычисления, мс):
+// rate(x) - скорость изменения x в секунду, integral(x) - интеграл x по времени в секундах (трапеции)
+const STATEFUL_FUNCTIONS = {
+    rate: (state, x, now) => {
+        const result = state.time !== undefined && now > state.time ?
+            (x - state.value) / ((now - state.time) / 1000) :
+            state.result ?? 0;
+        Object.assign(state, { value: x, time: now, result });
+        return result;
+    },
+    integral: (state, x, now) => {
+        const total = state.time !== undefined ?
+            state.total + (x + state.value) / 2 * ((now - state.time) / 1000) :
+            0;
+        Object.assign(state, { value: x, time: now, total });
+        return total;
+    }
+};
+
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const rest = text.slice(i);
+        const space = rest.match(/^\s+/);
+        if (space) {
+            i += space[0].length;
+            continue;
+        }
+
+        const number = rest.match(/^(0x[0-9a-f]+|(\d+\.?\d*|\.\d+)(e[+-]?\d+)?)/i);
+        if (number) {
+            tokens.push({ type: 'number', value: Number(number[0]), position: i });
+            i += number[0].length;
+            continue;
+        }
+
+        const name = rest.match(/^[\p{L}_][\p{L}\p{N}_]*/u);
+        if (name) {
+            tokens.push({ type: 'name', value: name[0], position: i });
+            i += name[0].length;
+            continue;
+        }
+
+        if (rest[0] === '"') {
+            const end = rest.indexOf('"', 1);
+            if (end === -1) {
+                throw new Error(`незакрытая кавычка в позиции ${i + 1}`);
+            }
+            tokens.push({ type: 'name', value: rest.slice(1, end), quoted: true, position: i });
+            i += end + 1;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => rest.startsWith(op));
+        if (!operator) {
+            throw new Error(`неожиданный символ "${rest[0]}" в позиции ${i + 1}`);
+        }
+        tokens.push({ type: 'operator', value: operator, position: i });
+        i += operator.length;
+    }
+    tokens.push({ type: 'end', position: text.length });
+    return tokens;
+}
+
+// Разбор выражения в дерево (рекурсивный спуск с приоритетами операторов)
+function parse(text) {
+    const tokens = tokenize(text);
+    let index = 0;
+    let callCount = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+    const fail = (message) => {
+        throw new Error(`${message} в позиции ${peek().position + 1}`);
+    };
+    const expect = (value) => {
+        if (!isOperator(value)) fail(`ожидается "${value}"`);
+        index++;
+    };
+
+    function parseExpression() {
+        const test = parseBinary(1);
+        if (!isOperator('?')) return test;
+        index++;
+        const consequent = parseExpression();
+        expect(':');
+        const alternate = parseExpression();
+        return { type: 'conditional', test, consequent, alternate };
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            const precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) return left;
+            index++;
+            // ** правоассоциативен, остальные операторы - левоассоциативны
+            const right = parseBinary(token.value === '**' ? precedence : precedence + 1);
+            left = { type: 'binary', operator: token.value, left, right };
+        }
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token.type === 'operator' && ['-', '+', '!', '~'].includes(token.value)) {
+            index++;
+            // Степень связывает сильнее унарного минуса: -2 ** 2 = -4
+            return { type: 'unary', operator: token.value, argument: parseBinary(BINARY_PRECEDENCE['**']) };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (token.type === 'number') {
+            index++;
+            return { type: 'literal', value: token.value };
+        }
+        if (isOperator('(')) {
+            index++;
+            const node = parseExpression();
+            expect(')');
+            return node;
+        }
+        if (token.type !== 'name') {
+            fail(token.type === 'end' ? 'выражение оборвано' : `неожиданное "${token.value}"`);
+        }
+        index++;
+
+        if (!token.quoted && (token.value === 'true' || token.value === 'false')) {
+            return { type: 'literal', value: token.value === 'true' };
+        }
+        if (!token.quoted && isOperator('(')) {
+            return parseCall(token.value);
+        }
+        if (isOperator('.')) {
+            index++;
+            const tag = peek();
+            if (tag.type !== 'name') fail('ожидается имя тега');
+            index++;
+            return { type: 'reference', device: token.value, tag: tag.value };
+        }
+        return { type: 'reference', device: null, tag: token.value };
+    }
+
+    function parseCall(name) {
+        const stateful = Object.prototype.hasOwnProperty.call(STATEFUL_FUNCTIONS, name);
+        if (!stateful && !Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+            fail(`неизвестная функция ${name}`);
+        }
+        expect('(');
+        const args = [];
+        if (!isOperator(')')) {
+            args.push(parseExpression());
+            while (isOperator(',')) {
+                index++;
+                args.push(parseExpression());
+            }
+        }
+        expect(')');
+
+        const [minArgs, maxArgs] = stateful ? [1, 1] : FUNCTIONS[name];
+        if (args.length < minArgs || args.length > maxArgs) {
+            throw new Error(`неверное число аргументов функции ${name}`);
+        }
+        // Номер вызова - ключ состояния rate и integral
+        return { type: 'call', name, args, stateful, id: callCount++ };
+    }
+
+    const tree = parseExpression();
+    if (peek().type !== 'end') {
+        fail(`неожиданное "${peek().value}"`);
+    }
+    return tree;
+}
+
+function collectReferences(node, references) {
+    switch (node.type) {
+        case 'reference':
+            if (!references.some(ref => ref.device === node.device && ref.tag === node.tag)) {
+                references.push({ device: node.device, tag: node.tag });
+            }
+            node.index = references.findIndex(ref => ref.device === node.device && ref.tag === node.tag);
+            break;
+        case 'unary':
+            collectReferences(node.argument, references);
+            break;
+        case 'binary':
+            collectReferences(node.left, references);
+            collectReferences(node.right, references);
+            break;
+        case 'conditional':
+            [node.test, node.consequent, node.alternate].forEach(child => collectReferences(child, references));
+            break;
+        case 'call':
+            node.args.forEach(arg => collectReferences(arg, references));
+            break;
+    }
+    return references;
+}
+
+function applyUnary(operator, value) {
+    switch (operator) {
+        case '-': return -value;
+        case '+': return +value;
+        case '!': return !value;
+        case '~': return ~value;
+    }
+}
+
+function applyBinary(operator, left, right) {
+    switch (operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '**': return left ** right;
+        case '&': return left & right;
+        case '|': return left | right;
+        case '^': return left ^ right;
+        case '<<': return left << right;
+        case '>>': return left >> right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left === right;
+        case '!=': return left !== right;
+    }
+}
+
+// Значение ссылки в выражении: логические значения участвуют в арифметике как 0 и 1
+function toOperand(value) {
+    if (typeof value === 'boolean' || typeof value === 'number') return value;
+    const number = Number(value);
+    if (Array.isArray(value) || !Number.isFinite(number)) {
+        throw new Error('значение тега не является числом');
+    }
+    return number;
+}
+
+/**
+ * Компилирует выражение. Бросает ошибку с описанием места, если выражение неверно.
+ * Возвращает { references, evaluate(getValue, state, now) }:
+ * references - теги, от которых зависит выражение ({ device, tag }, device null - то же устройство),
+ * getValue(index) - значение references[index], state - Map для rate и integral
+ * (одна на вычисляемый тег), now - время вычисления, мс.
+ */
+function compileExpression(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('выражение не задано');
+    }
+    const tree = parse(text);
+    const references = collectReferences(tree, []);
+
+    function evaluate(getValue, state, now) {
+        const visit = (node) => {
+            switch (node.type) {
+                case 'literal':
+                    return node.value;
+                case 'reference':
+                    return toOperand(getValue(node.index));
+                case 'unary':
+                    return applyUnary(node.operator, visit(node.argument));
+                case 'binary':
+                    if (node.operator === '&&') return visit(node.left) && visit(node.right);
+                    if (node.operator === '||') return visit(node.left) || visit(node.right);
+                    return applyBinary(node.operator, visit(node.left), visit(node.right));
+                case 'conditional':
+                    return visit(node.test) ? visit(node.consequent) : visit(node.alternate);
+                case 'call': {
+                    const args = node.args.map(visit);
+                    if (node.stateful) {
+                        if (!state.has(node.id)) {
+                            state.set(node.id, {});
+                        }
+                        return STATEFUL_FUNCTIONS[node.name](state.get(node.id), Number(args[0]), now);
+                    }
+                    return FUNCTIONS[node.name][2](...args.map(Number));
+                }
+            }
+        };
+        return visit(tree);
+    }
+
+    return { references, evaluate };
+}
+
+module.exports = {
+    compileExpression
+};
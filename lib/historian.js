@@ -0,0 +1,223 @@
+// Архив значений тегов: запись по изменению или по интервалу, зона нечувствительности, срок хранения
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_QUERY_LIMIT = 10000;
+const MAX_AGGREGATE_BUCKETS = 10000;
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // Удаление старых файлов раз в час
+const DAY = 24 * 60 * 60 * 1000;
+
+const MODES = ['change', 'interval'];
+const AGGREGATES = ['avg', 'min', 'max'];
+
+// Проверка интервала агрегации за период [from, to). Возвращает текст ошибки
+// (продолжение фразы "интервал агрегации ...") или null
+function validateAggregateInterval(from, to, interval) {
+    if (!Number.isInteger(interval) || interval <= 0) {
+        return 'должен быть положительным целым числом миллисекунд';
+    }
+    if ((to - from) / interval > MAX_AGGREGATE_BUCKETS) {
+        return `слишком мал: больше ${MAX_AGGREGATE_BUCKETS} интервалов за период`;
+    }
+    return null;
+}
+
+/**
+ * Значения хранятся в файлах JSON Lines по дням:
+ * <folder>/<id устройства>/<тег>/<ГГГГ-ММ-ДД>.jsonl, строка { t, v, s }
+ * (время в мс, значение, качество).
+ *
+ * options.folder            - папка архива
+ * options.retentionDays     - срок хранения по умолчанию, дней
+ * options.getRetentionDays  - срок хранения ряда (deviceId, tagName), дней; null - по умолчанию
+ */
+function createHistorian(options) {
+    const folder = options.folder;
+    const defaultRetentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+    const getRetentionDays = options.getRetentionDays || (() => null);
+
+    // Последнее записанное значение каждого ряда (по "устройство/тег")
+    const lastSamples = new Map();
+    let cleanupTimer = null;
+
+    function getSeriesFolder(deviceId, tagName) {
+        return path.join(folder, encodeURIComponent(deviceId), encodeURIComponent(tagName));
+    }
+
+    function getDayFile(seriesFolder, time) {
+        return path.join(seriesFolder, new Date(time).toISOString().slice(0, 10) + '.jsonl');
+    }
+
+    function isSameValue(last, sample, deadband) {
+        if (last.s !== sample.s) return false;
+        if (typeof last.v === 'number' && typeof sample.v === 'number') {
+            return Math.abs(sample.v - last.v) <= deadband;
+        }
+        return JSON.stringify(last.v) === JSON.stringify(sample.v);
+    }
+
+    /**
+     * Записывает значение тега, если оно проходит фильтр режима записи.
+     * sample: { t, v, s }; settings: { mode, deadband, interval }.
+     * Возвращает true, если значение попало в архив.
+     */
+    function record(deviceId, tagName, sample, settings = {}) {
+        const key = `${deviceId}/${tagName}`;
+        const last = lastSamples.get(key);
+        if (last) {
+            if (sample.t <= last.t) return false;
+            if (settings.mode === 'interval') {
+                if (sample.t - last.t < (settings.interval || 0)) return false;
+            } else if (isSameValue(last, sample, settings.deadband || 0)) {
+                return false;
+            }
+        }
+
+        const seriesFolder = getSeriesFolder(deviceId, tagName);
+        try {
+            fs.mkdirSync(seriesFolder, { recursive: true });
+            fs.appendFileSync(getDayFile(seriesFolder, sample.t), JSON.stringify(sample) + '\n');
+            lastSamples.set(key, sample);
+            return true;
+        } catch (error) {
+            console.error(`Ошибка записи в архив ${key}:`, error.message);
+            return false;
+        }
+    }
+
+    function readDayFile(file) {
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null; // недописанная строка при аварийной остановке
+                }
+            })
+            .filter(Boolean);
+    }
+
+    // Значения ряда за период по одному, файл за файлом (по убыванию времени при reverse)
+    function* readSeries(deviceId, tagName, from, to, reverse) {
+        const seriesFolder = getSeriesFolder(deviceId, tagName);
+        if (!fs.existsSync(seriesFolder)) return;
+
+        const fromDay = from === null ? null : new Date(from).toISOString().slice(0, 10);
+        const toDay = to === null ? null : new Date(to).toISOString().slice(0, 10);
+        const files = fs.readdirSync(seriesFolder)
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => file.slice(0, -'.jsonl'.length))
+            .filter(day => (fromDay === null || day >= fromDay) && (toDay === null || day <= toDay))
+            .sort();
+        if (reverse) files.reverse();
+
+        for (const day of files) {
+            const samples = readDayFile(path.join(seriesFolder, day + '.jsonl'))
+                .filter(sample => (from === null || sample.t >= from) && (to === null || sample.t <= to));
+            if (reverse) samples.reverse();
+            yield* samples;
+        }
+    }
+
+    /**
+     * Значения ряда за период по возрастанию времени.
+     * from, to - мс или null (без ограничения); limit - не больше значений
+     * (при reverse отсчитываются с конца периода).
+     */
+    function query(deviceId, tagName, from = null, to = null, limit = DEFAULT_QUERY_LIMIT, reverse = false) {
+        const result = [];
+        for (const sample of readSeries(deviceId, tagName, from, to, reverse)) {
+            result.push(sample);
+            if (limit && result.length >= limit) break;
+        }
+        return reverse ? result.reverse() : result;
+    }
+
+    /**
+     * Среднее, минимум или максимум ряда по интервалам длиной interval мс
+     * за период [from, to), только по числовым значениям с качеством Good.
+     * Значения читаются потоком, без ограничения количества.
+     */
+    function aggregate(deviceId, tagName, from, to, interval, type) {
+        const intervalError = validateAggregateInterval(from, to, interval);
+        if (intervalError) {
+            throw new RangeError(`интервал агрегации ${intervalError}`);
+        }
+        const buckets = [];
+        for (let start = from; start < to; start += interval) {
+            buckets.push({ t: start, count: 0, sum: 0, min: Infinity, max: -Infinity });
+        }
+        for (const sample of readSeries(deviceId, tagName, from, to, false)) {
+            const bucket = buckets[Math.floor((sample.t - from) / interval)];
+            if (bucket && typeof sample.v === 'number' && sample.s === 'Good') {
+                bucket.count++;
+                bucket.sum += sample.v;
+                bucket.min = Math.min(bucket.min, sample.v);
+                bucket.max = Math.max(bucket.max, sample.v);
+            }
+        }
+
+        return buckets.map(bucket => {
+            if (bucket.count === 0) {
+                return { t: bucket.t, v: null, s: 'BadNoData' };
+            }
+            let v;
+            if (type === 'min') {
+                v = bucket.min;
+            } else if (type === 'max') {
+                v = bucket.max;
+            } else {
+                v = bucket.sum / bucket.count;
+            }
+            return { t: bucket.t, v, s: 'Good' };
+        });
+    }
+
+    // Удаляет файлы дней старше срока хранения ряда
+    function cleanup(now = Date.now()) {
+        if (!fs.existsSync(folder)) return;
+        fs.readdirSync(folder).forEach(deviceFolder => {
+            const devicePath = path.join(folder, deviceFolder);
+            if (!fs.statSync(devicePath).isDirectory()) return;
+            fs.readdirSync(devicePath).forEach(tagFolder => {
+                const deviceId = decodeURIComponent(deviceFolder);
+                const tagName = decodeURIComponent(tagFolder);
+                const retentionDays = getRetentionDays(deviceId, tagName) || defaultRetentionDays;
+                const oldestDay = new Date(now - retentionDays * DAY).toISOString().slice(0, 10);
+                const seriesFolder = path.join(devicePath, tagFolder);
+                fs.readdirSync(seriesFolder)
+                    .filter(file => file.endsWith('.jsonl') && file.slice(0, -'.jsonl'.length) < oldestDay)
+                    .forEach(file => {
+                        fs.unlinkSync(path.join(seriesFolder, file));
+                        console.log(`Архив ${deviceId}/${tagName}: удален ${file}`);
+                    });
+            });
+        });
+    }
+
+    function start() {
+        if (cleanupTimer) return;
+        cleanup();
+        cleanupTimer = setInterval(() => {
+            try {
+                cleanup();
+            } catch (error) {
+                console.error('Ошибка очистки архива:', error.message);
+            }
+        }, CLEANUP_INTERVAL);
+        cleanupTimer.unref();
+    }
+
+    return { record, query, aggregate, cleanup, start };
+}
+
+module.exports = {
+    MODES,
+    AGGREGATES,
+    validateAggregateInterval,
+    createHistorian
+};
@@ -0,0 +1,264 @@
+// Разбор потока байт Modbus на кадры (MBAP для Modbus TCP, CRC для RTU поверх TCP)
+
+const MBAP_HEADER_LENGTH = 7; // transaction id, protocol id, length, unit id
+const MAX_MBAP_FRAME = 260; // 7 байт заголовка + 253 байта PDU
+const MAX_RTU_FRAME = 256;
+const MIN_RTU_FRAME = 4; // unit id + function code + CRC
+
+// CRC-16/MODBUS (полином 0xA001, начальное значение 0xFFFF)
+function crc16(buffer) {
+    let crc = 0xFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc ^= buffer[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+        }
+    }
+    return crc;
+}
+
+function hasValidCrc(frame) {
+    return frame.length >= MIN_RTU_FRAME &&
+        crc16(frame.slice(0, -2)) === frame.readUInt16LE(frame.length - 2);
+}
+
+function buildMbapFrame(transactionId, unitId, pdu, protocolId = 0) {
+    const frame = Buffer.alloc(MBAP_HEADER_LENGTH + pdu.length);
+    frame.writeUInt16BE(transactionId, 0);
+    frame.writeUInt16BE(protocolId, 2);
+    frame.writeUInt16BE(1 + pdu.length, 4); // unit id + PDU
+    frame.writeUInt8(unitId, 6);
+    pdu.copy(frame, MBAP_HEADER_LENGTH);
+    return frame;
+}
+
+function buildRtuFrame(unitId, pdu) {
+    const frame = Buffer.alloc(1 + pdu.length + 2);
+    frame.writeUInt8(unitId, 0);
+    pdu.copy(frame, 1);
+    frame.writeUInt16LE(crc16(frame.slice(0, -2)), frame.length - 2);
+    return frame;
+}
+
+// Возможные длины RTU кадра по коду функции: запроса и ответа, по возрастанию.
+// null - данных пока недостаточно, [] - длина неизвестна (ищем по CRC).
+function expectedRtuLengths(buffer) {
+    const functionCode = buffer[1];
+
+    if (functionCode & 0x80) {
+        return [5]; // исключение: unit, fc, код, CRC
+    }
+    if (functionCode >= 0x01 && functionCode <= 0x04) {
+        // Запрос: адрес и количество, ответ: счетчик байт и данные
+        return [5 + buffer[2], 8].sort((a, b) => a - b);
+    }
+    if (functionCode === 0x05 || functionCode === 0x06) {
+        return [8];
+    }
+    if (functionCode === 0x0F || functionCode === 0x10) {
+        // Ответ: адрес и количество, запрос: еще счетчик байт и данные
+        if (buffer.length < 7) return null;
+        return [8, 9 + buffer[6]];
+    }
+    return [];
+}
+
+// Пробуем выделить RTU кадр в начале буфера. standardOnly - кадр нестандартной функции считается мусором.
+// Возвращает { frame }, { incomplete: true } или { invalid: true }.
+function tryRtuFrame(buffer, maxFrameSize, standardOnly = false) {
+    if (buffer.length < MIN_RTU_FRAME) {
+        return { incomplete: true };
+    }
+
+    const lengths = expectedRtuLengths(buffer);
+    if (lengths === null) {
+        return { incomplete: true };
+    }
+
+    if (lengths.length > 0) {
+        for (const length of lengths.filter(l => l <= maxFrameSize)) {
+            if (buffer.length < length) return { incomplete: true };
+            const frame = buffer.slice(0, length);
+            if (hasValidCrc(frame)) return { frame };
+        }
+        return { invalid: true };
+    }
+
+    if (standardOnly) {
+        return { invalid: true };
+    }
+
+    // Нестандартная функция: ищем наименьшую длину с корректной CRC
+    const limit = Math.min(buffer.length, maxFrameSize);
+    for (let i = MIN_RTU_FRAME; i <= limit; i++) {
+        const frame = buffer.slice(0, i);
+        if (hasValidCrc(frame)) return { frame };
+    }
+    return buffer.length >= maxFrameSize ? { invalid: true } : { incomplete: true };
+}
+
+// Пробуем выделить MBAP кадр в начале буфера
+function tryMbapFrame(buffer, maxFrameSize) {
+    if (buffer.length < MBAP_HEADER_LENGTH) {
+        return { incomplete: true };
+    }
+
+    const protocolId = buffer.readUInt16BE(2);
+    const length = buffer.readUInt16BE(4);
+    if (protocolId !== 0 || length < 2 || 6 + length > maxFrameSize) {
+        return { invalid: true };
+    }
+    if (buffer.length < 6 + length) {
+        return { incomplete: true };
+    }
+    return { frame: buffer.slice(0, 6 + length) };
+}
+
+/**
+ * Выделяет кадр в начале буфера без разбора: запрос или ответ, MBAP или RTU.
+ *
+ * options.protocol     - 'tcp', 'rtu' или 'auto' (RTU проверяется первым, потому что CRC надежнее заголовка MBAP)
+ * options.maxFrameSize - максимальный размер кадра, байт
+ * options.standardOnly - RTU кадр нестандартной функции считается мусором, а не ждет подходящей CRC
+ *
+ * Возвращает { frame, protocol }, где frame - байты кадра, { incomplete: true } или { invalid: true }.
+ */
+function splitFrame(buffer, options = {}) {
+    const protocol = options.protocol || 'auto';
+    const maxFrameSize = options.maxFrameSize || MAX_MBAP_FRAME;
+    if (protocol === 'tcp') {
+        const result = tryMbapFrame(buffer, maxFrameSize);
+        return result.frame ? { ...result, protocol } : result;
+    }
+    if (protocol === 'rtu') {
+        const result = tryRtuFrame(buffer, maxFrameSize, options.standardOnly);
+        return result.frame ? { ...result, protocol } : result;
+    }
+
+    const rtu = tryRtuFrame(buffer, Math.min(maxFrameSize, MAX_RTU_FRAME), options.standardOnly);
+    if (rtu.frame) {
+        return { frame: rtu.frame, protocol: 'rtu' };
+    }
+    const mbap = tryMbapFrame(buffer, maxFrameSize);
+    if (mbap.frame) {
+        return { frame: mbap.frame, protocol: 'tcp' };
+    }
+    if (rtu.incomplete || mbap.incomplete) {
+        return { incomplete: true };
+    }
+    return { invalid: true };
+}
+
+function parseMbapFrame(raw) {
+    return {
+        protocol: 'tcp',
+        transactionId: raw.readUInt16BE(0),
+        protocolId: raw.readUInt16BE(2),
+        unitId: raw.readUInt8(6),
+        pdu: raw.slice(MBAP_HEADER_LENGTH),
+        raw
+    };
+}
+
+function parseRtuFrame(raw) {
+    return {
+        protocol: 'rtu',
+        unitId: raw.readUInt8(0),
+        pdu: raw.slice(1, -2),
+        raw
+    };
+}
+
+// Разбор кадра, выделенного splitFrame: { protocol, unitId, pdu, raw }, у MBAP еще transactionId и protocolId
+function parseFrame(raw, protocol) {
+    return protocol === 'rtu' ? parseRtuFrame(raw) : parseMbapFrame(raw);
+}
+
+/**
+ * Буфер кадров для одного соединения.
+ *
+ * options.protocol     - 'tcp' (MBAP), 'rtu' (CRC) или 'auto' (определяется по первому кадру)
+ * options.maxFrameSize - максимальный размер кадра, байт
+ * options.staleTimeout - через сколько мс недособранный кадр считается мусором
+ * options.onDiscard    - вызывается с отброшенными байтами при ресинхронизации
+ */
+function createFrameParser(options = {}) {
+    let protocol = options.protocol || 'auto';
+    const maxFrameSize = options.maxFrameSize ||
+        (protocol === 'rtu' ? MAX_RTU_FRAME : MAX_MBAP_FRAME);
+    const staleTimeout = options.staleTimeout || 3000;
+    const onDiscard = options.onDiscard || (() => {});
+
+    let buffer = Buffer.alloc(0);
+    let lastDataAt = 0;
+    let dropped = [];
+
+    function discard(count) {
+        dropped.push(buffer.slice(0, count));
+        buffer = buffer.slice(count);
+    }
+
+    function nextFrame() {
+        const result = splitFrame(buffer, { protocol, maxFrameSize });
+        if (!result.frame) {
+            return result;
+        }
+        // Автоопределение: формат первого кадра закрепляется за соединением
+        protocol = result.protocol;
+        return { frame: parseFrame(result.frame, protocol) };
+    }
+
+    // Добавляет порцию данных и возвращает все полностью принятые кадры
+    function push(chunk) {
+        const now = Date.now();
+        if (buffer.length > 0 && now - lastDataAt > staleTimeout) {
+            discard(buffer.length);
+        }
+        lastDataAt = now;
+        buffer = Buffer.concat([buffer, chunk]);
+
+        const frames = [];
+        while (buffer.length > 0) {
+            const result = nextFrame();
+            if (result.frame) {
+                frames.push(result.frame);
+                buffer = buffer.slice(result.frame.raw.length);
+            } else if (result.incomplete) {
+                break;
+            } else {
+                // Мусор в начале буфера: сдвигаемся на байт и ищем начало следующего кадра
+                discard(1);
+            }
+        }
+
+        if (buffer.length > maxFrameSize) {
+            discard(buffer.length);
+        }
+        if (dropped.length > 0) {
+            onDiscard(Buffer.concat(dropped));
+            dropped = [];
+        }
+        return frames;
+    }
+
+    function reset() {
+        buffer = Buffer.alloc(0);
+    }
+
+    return {
+        push,
+        reset,
+        get protocol() {
+            return protocol;
+        }
+    };
+}
+
+module.exports = {
+    crc16,
+    buildMbapFrame,
+    buildRtuFrame,
+    splitFrame,
+    parseFrame,
+    createFrameParser
+};
@@ -0,0 +1,453 @@
+// Симулятор Modbus устройств для проверки моста без оборудования: ведомые Modbus TCP,
+// RTU поверх TCP и UDP, а также виртуальные модемы, которые сами подключаются к портам моста.
+// Карта регистров строится по тегам из конфигурации устройств (devices.json).
+
+const net = require('net');
+const dgram = require('dgram');
+const { createFrameParser, buildMbapFrame, buildRtuFrame } = require('./modbus-frame');
+const { MODBUS_EXCEPTION, buildExceptionPdu, processSlavePdu, createTagMemory } = require('./modbus-slave');
+const { isArrayTag, getDefaultTagValue, decodeTagValue, encodeTagRegisters } = require('./register-codec');
+const { parseModemPattern } = require('./modem-connections');
+
+const GENERATORS = ['constant', 'ramp', 'sine', 'random'];
+const FAULT_TYPES = ['timeout', 'exception', 'disconnect'];
+const DEFAULT_PERIOD = 60000; // Период ramp и sine, мс
+const DEFAULT_MODEM_RECONNECT_DELAY = 3000; // Через сколько мс модем перезванивает после обрыва
+const DEFAULT_HEARTBEAT_INTERVAL = 30000; // Период heartbeat виртуального модема, мс
+
+// Транспорт ведомого по типу устройства моста
+const TRANSPORTS = {
+    'tcp': { listen: 'tcp', protocol: 'tcp' },
+    'rtu-tcp': { listen: 'tcp', protocol: 'rtu' },
+    'udp': { listen: 'udp', protocol: 'tcp' }
+};
+
+// Генератор по умолчанию: записываемые теги хранят значение, входные меняются сами
+function getDefaultGenerator(tag) {
+    if (tag.registerType === 'holding' || tag.registerType === 'coil' || tag.dataType === 'string') {
+        return 'constant';
+    }
+    return tag.registerType === 'discrete' ? 'random' : 'sine';
+}
+
+function isBitTag(tag) {
+    return tag.registerType === 'coil' || tag.registerType === 'discrete' || tag.dataType === 'boolean';
+}
+
+// Проверка настроек симуляции тега (tag.simulation). Возвращает текст ошибки или null
+function validateTagSimulation(simulation = {}) {
+    if (simulation.type !== undefined && !GENERATORS.includes(simulation.type)) {
+        return `генератор должен быть одним из: ${GENERATORS.join(', ')}`;
+    }
+    for (const field of ['min', 'max']) {
+        if (simulation[field] !== undefined && !Number.isFinite(simulation[field])) {
+            return `поле ${field} должно быть числом`;
+        }
+    }
+    if (simulation.min > simulation.max) {
+        return "минимум больше максимума";
+    }
+    if (simulation.period !== undefined && !(Number.isInteger(simulation.period) && simulation.period > 0)) {
+        return "период должен быть положительным целым числом";
+    }
+    return null;
+}
+
+// Проверка неисправности. Возвращает текст ошибки или null
+function validateFault(fault) {
+    if (!FAULT_TYPES.includes(fault.type)) {
+        return `неисправность должна быть одной из: ${FAULT_TYPES.join(', ')}`;
+    }
+    if (fault.code !== undefined && !(Number.isInteger(fault.code) && fault.code >= 1 && fault.code <= 255)) {
+        return "код исключения должен быть от 1 до 255";
+    }
+    if (fault.probability !== undefined &&
+        !(Number.isFinite(fault.probability) && fault.probability >= 0 && fault.probability <= 1)) {
+        return "вероятность должна быть от 0 до 1";
+    }
+    return null;
+}
+
+/**
+ * Значение тега во времени по tag.simulation:
+ * { type: 'constant' | 'ramp' | 'sine' | 'random', min, max, period, value }
+ * min/max - в инженерных единицах (по умолчанию euMin/euMax тега или 0..100),
+ * value - значение constant. Элементы массива сдвинуты по фазе.
+ */
+function createTagGenerator(tag) {
+    const config = { type: getDefaultGenerator(tag), ...tag.simulation };
+    const min = config.min ?? tag.euMin ?? 0;
+    const max = config.max ?? tag.euMax ?? 100;
+    const period = config.period || DEFAULT_PERIOD;
+
+    const scalar = (time) => {
+        const phase = (time % period) / period;
+        let value;
+        switch (config.type) {
+            case 'ramp':
+                value = min + (max - min) * phase;
+                break;
+            case 'sine':
+                value = (min + max) / 2 + (max - min) / 2 * Math.sin(2 * Math.PI * phase);
+                break;
+            case 'random':
+                value = min + (max - min) * Math.random();
+                break;
+        }
+        return isBitTag(tag) ? value >= (min + max) / 2 : value;
+    };
+
+    if (config.type === 'constant') {
+        const value = config.value ?? getDefaultTagValue(tag);
+        return () => value;
+    }
+    if (isArrayTag(tag)) {
+        return (time) => Array.from({ length: tag.arrayLength },
+            (item, index) => scalar(time + index * period / tag.arrayLength));
+    }
+    return scalar;
+}
+
+/**
+ * Симулятор набора устройств.
+ *
+ * options.devices             - устройства в формате devices.json; поддерживаются tcp, rtu-tcp, udp
+ *                               и tcp-modem в режиме master (модем звонит на порт моста, после
+ *                               подключения шлет modemRegistration, затем modemHeartbeat
+ *                               раз в device.simulation.heartbeatInterval мс)
+ * options.listenHost          - адрес, на котором слушают ведомые (по умолчанию 0.0.0.0)
+ * options.bridgeHost          - адрес моста для виртуальных модемов (по умолчанию 127.0.0.1)
+ * options.modemReconnectDelay - пауза перед повторным звонком модема, мс
+ * options.log                 - функция журнала (по умолчанию console.log)
+ *
+ * Неисправность устройства (device.simulation.fault или setFault):
+ * { type: 'timeout' | 'exception' | 'disconnect', code, probability }
+ * timeout - запрос остается без ответа, exception - ответ с кодом исключения code
+ * (по умолчанию 4), disconnect - соединение разрывается. probability - доля запросов с неисправностью.
+ */
+function createModbusSimulator(options) {
+    const listenHost = options.listenHost || '0.0.0.0';
+    const bridgeHost = options.bridgeHost || '127.0.0.1';
+    const modemReconnectDelay = options.modemReconnectDelay ?? DEFAULT_MODEM_RECONNECT_DELAY;
+    const log = options.log || console.log;
+
+    const slaves = new Map(); // id устройства -> ведомый
+    const groups = new Map(); // 'tcp:502', 'modem:8001:ID42' -> { kind, port, protocol, slaves }
+    const servers = [];
+    const sockets = new Set();
+    const modems = [];
+    let running = false;
+
+    function createSlave(device) {
+        device.tags.forEach(tag => {
+            const error = validateTagSimulation(tag.simulation);
+            if (error) {
+                throw new Error(`Устройство ${device.name}, тег ${tag.name}: ${error}`);
+            }
+        });
+
+        const slave = {
+            device,
+            unitId: device.deviceId || 1,
+            generators: new Map(device.tags.map(tag => [tag, createTagGenerator(tag)])),
+            overrides: new Map(), // Значения, записанные мастером или через setValue
+            fault: null,
+            requestCount: 0,
+            faultCount: 0
+        };
+        slave.memory = createTagMemory({
+            getTags: () => device.tags,
+            getValue: (tag) => slave.overrides.has(tag) ?
+                slave.overrides.get(tag) :
+                slave.generators.get(tag)(Date.now()),
+            onWrite: (tag, value) => {
+                // Записанное значение держится, пока его не перезапишут
+                slave.overrides.set(tag, value);
+                log(`✍️ ${device.name}.${tag.name} = ${value}`);
+            }
+        });
+        return slave;
+    }
+
+    // Модемы с разной регистрацией - разные модемы, даже если звонят на один порт
+    function addToGroup(kind, port, protocol, slave) {
+        const registration = kind === 'modem' ? slave.device.modemRegistration : undefined;
+        const key = registration ? `${kind}:${port}:${registration}` : `${kind}:${port}`;
+        if (!groups.has(key)) {
+            groups.set(key, { kind, port, protocol, slaves: [] });
+        }
+        const group = groups.get(key);
+        if (group.protocol !== protocol) {
+            throw new Error(`На порту ${port} устройства с разным форматом кадров`);
+        }
+        if (group.slaves.some(other => other.unitId === slave.unitId)) {
+            throw new Error(`На порту ${port} два устройства с адресом ${slave.unitId}`);
+        }
+        group.slaves.push(slave);
+    }
+
+    options.devices.forEach(device => {
+        const transport = TRANSPORTS[device.type];
+        const modem = device.type === 'tcp-modem' && device.modemMode === 'master';
+        if (!transport && !modem) {
+            log(`⚠️ Устройство ${device.name} (${device.type}${device.type === 'tcp-modem' ? ', slave' : ''}) не симулируется`);
+            return;
+        }
+
+        const slave = createSlave(device);
+        if (device.simulation?.fault) {
+            setSlaveFault(slave, device.simulation.fault);
+        }
+        slaves.set(device.id, slave);
+
+        if (modem) {
+            addToGroup('modem', device.port, device.modemProtocol || 'rtu', slave);
+        } else {
+            addToGroup(transport.listen, device.port || 502, transport.protocol, slave);
+        }
+    });
+
+    function setSlaveFault(slave, fault) {
+        if (fault) {
+            const error = validateFault(fault);
+            if (error) {
+                throw new Error(`Устройство ${slave.device.name}: ${error}`);
+            }
+        }
+        slave.fault = fault || null;
+    }
+
+    function getSlave(deviceId) {
+        const slave = slaves.get(deviceId);
+        if (!slave) {
+            throw new Error(`Устройство ${deviceId} не симулируется`);
+        }
+        return slave;
+    }
+
+    function getSlaveTag(slave, tagName) {
+        const tag = slave.device.tags.find(t => t.name === tagName);
+        if (!tag) {
+            throw new Error(`Тег ${tagName} не найден в устройстве ${slave.device.name}`);
+        }
+        return tag;
+    }
+
+    // Как поступить с запросом: { pdu } - ответить, {} - промолчать, { disconnect: true } - разорвать связь
+    function handleFrame(group, frame) {
+        const slave = group.slaves.find(s => s.unitId === frame.unitId);
+        if (!slave) {
+            log(`❌ Порт ${group.port}: нет устройства с адресом ${frame.unitId}`);
+            return {};
+        }
+
+        slave.requestCount++;
+        const fault = slave.fault;
+        if (fault && Math.random() < (fault.probability ?? 1)) {
+            slave.faultCount++;
+            switch (fault.type) {
+                case 'timeout':
+                    return {};
+                case 'disconnect':
+                    log(`🔌 ${slave.device.name}: разрыв соединения`);
+                    return { disconnect: true };
+                case 'exception':
+                    return { pdu: buildExceptionPdu(frame.pdu.readUInt8(0), fault.code || MODBUS_EXCEPTION.SLAVE_DEVICE_FAILURE) };
+            }
+        }
+
+        // На широковещательные RTU запросы ответ не отправляется
+        const pdu = processSlavePdu(slave.memory, frame.pdu);
+        return frame.protocol === 'rtu' && frame.unitId === 0 ? {} : { pdu };
+    }
+
+    function buildResponse(frame, pdu) {
+        return frame.protocol === 'rtu' ?
+            buildRtuFrame(frame.unitId, pdu) :
+            buildMbapFrame(frame.transactionId, frame.unitId, pdu, frame.protocolId);
+    }
+
+    // Обслуживание потокового соединения: входящего (TCP) или исходящего (модем)
+    function serveSocket(group, socket) {
+        const parser = createFrameParser({ protocol: group.protocol });
+        sockets.add(socket);
+
+        socket.on('data', (data) => {
+            parser.push(data).forEach(frame => {
+                if (socket.destroyed) return;
+                const result = handleFrame(group, frame);
+                if (result.disconnect) {
+                    socket.destroy();
+                } else if (result.pdu) {
+                    socket.write(buildResponse(frame, result.pdu));
+                }
+            });
+        });
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', (error) => log(`❌ Порт ${group.port}: ${error.message}`));
+    }
+
+    function listenTcp(group) {
+        return new Promise((resolve, reject) => {
+            const server = net.createServer(socket => serveSocket(group, socket));
+            server.once('error', reject);
+            server.listen(group.port, listenHost, () => {
+                server.removeListener('error', reject);
+                servers.push(server);
+                log(`✅ ${group.protocol === 'rtu' ? 'RTU поверх TCP' : 'Modbus TCP'}: порт ${group.port}, ` +
+                    `устройства ${group.slaves.map(s => `${s.device.name} (${s.unitId})`).join(', ')}`);
+                resolve();
+            });
+        });
+    }
+
+    function listenUdp(group) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+            socket.on('message', (message, remote) => {
+                // Каждая датаграмма - один кадр MBAP; разрыв соединения для UDP равен молчанию
+                createFrameParser({ protocol: 'tcp' }).push(message).forEach(frame => {
+                    const result = handleFrame(group, frame);
+                    if (result.pdu) {
+                        socket.send(buildResponse(frame, result.pdu), remote.port, remote.address);
+                    }
+                });
+            });
+            socket.once('error', reject);
+            socket.bind(group.port, listenHost, () => {
+                socket.removeListener('error', reject);
+                servers.push(socket);
+                log(`✅ Modbus UDP: порт ${group.port}, ` +
+                    `устройства ${group.slaves.map(s => `${s.device.name} (${s.unitId})`).join(', ')}`);
+                resolve();
+            });
+        });
+    }
+
+    // Виртуальный модем: звонит на порт моста и отвечает за счетчики за собой, после обрыва перезванивает
+    function startModem(group) {
+        const modem = { group, socket: null, timer: null, heartbeatTimer: null };
+        const device = group.slaves[0].device;
+        const format = device.modemPatternFormat;
+        const registration = device.modemRegistration && parseModemPattern(device.modemRegistration, format);
+        const heartbeat = device.modemHeartbeat && parseModemPattern(device.modemHeartbeat, format);
+
+        const dial = () => {
+            modem.timer = null;
+            const socket = net.connect({ host: bridgeHost, port: group.port });
+            modem.socket = socket;
+            socket.on('connect', () => {
+                log(`📡 Модем подключен к ${bridgeHost}:${group.port}` +
+                    (registration ? `, регистрация ${device.modemRegistration}` : ''));
+                if (registration) {
+                    socket.write(registration);
+                }
+                if (heartbeat) {
+                    modem.heartbeatTimer = setInterval(() => socket.write(heartbeat),
+                        device.simulation?.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL);
+                }
+            });
+            socket.on('close', () => {
+                clearInterval(modem.heartbeatTimer);
+                if (modem.socket === socket) {
+                    modem.socket = null;
+                }
+                if (running) {
+                    modem.timer = setTimeout(dial, modemReconnectDelay);
+                }
+            });
+            serveSocket(group, socket);
+        };
+
+        modems.push(modem);
+        dial();
+    }
+
+    async function start() {
+        running = true;
+        try {
+            for (const group of groups.values()) {
+                if (group.kind === 'tcp') {
+                    await listenTcp(group);
+                } else if (group.kind === 'udp') {
+                    await listenUdp(group);
+                }
+            }
+        } catch (error) {
+            await stop();
+            throw error;
+        }
+        groups.forEach(group => {
+            if (group.kind === 'modem') {
+                startModem(group);
+            }
+        });
+    }
+
+    async function stop() {
+        running = false;
+        modems.forEach(modem => {
+            clearTimeout(modem.timer);
+            clearInterval(modem.heartbeatTimer);
+        });
+        modems.length = 0;
+        sockets.forEach(socket => socket.destroy());
+        await Promise.all(servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+        servers.length = 0;
+    }
+
+    // Значение тега так, как его прочитает мастер (после кодирования в регистры)
+    function getValue(deviceId, tagName) {
+        const slave = getSlave(deviceId);
+        const tag = getSlaveTag(slave, tagName);
+        const value = slave.overrides.has(tag) ? slave.overrides.get(tag) : slave.generators.get(tag)(Date.now());
+        return tag.registerType === 'coil' || tag.registerType === 'discrete' ?
+            value :
+            decodeTagValue(tag, encodeTagRegisters(tag, value, { wrap: true }));
+    }
+
+    // Задает значение тега вместо генератора
+    function setValue(deviceId, tagName, value) {
+        const slave = getSlave(deviceId);
+        const tag = getSlaveTag(slave, tagName);
+        encodeTagRegisters(tag, value); // Проверяем, что значение представимо в регистрах тега
+        slave.overrides.set(tag, value);
+    }
+
+    // null снимает неисправность
+    function setFault(deviceId, fault) {
+        setSlaveFault(getSlave(deviceId), fault);
+    }
+
+    function status() {
+        return Array.from(slaves.values()).map(slave => {
+            const modem = modems.find(m => m.group.slaves.includes(slave));
+            return {
+                id: slave.device.id,
+                name: slave.device.name,
+                type: slave.device.type,
+                port: slave.device.port || 502,
+                unitId: slave.unitId,
+                fault: slave.fault,
+                requestCount: slave.requestCount,
+                faultCount: slave.faultCount,
+                ...(modem ? { connected: Boolean(modem.socket && !modem.socket.connecting) } : {})
+            };
+        });
+    }
+
+    return {
+        start,
+        stop,
+        getValue,
+        setValue,
+        setFault,
+        status
+    };
+}
+
+module.exports = {
+    GENERATORS,
+    FAULT_TYPES,
+    createModbusSimulator
+};
@@ -0,0 +1,282 @@
+// Modbus slave: разбор PDU запроса, проверка количества и адресов, построение ответа.
+// Память ведомого строится по тегам устройства, как их читает мост в режиме master.
+
+const {
+    isArrayTag,
+    getDefaultScalarValue,
+    getDefaultTagValue,
+    convertModbusData,
+    decodeTagValue,
+    encodeTagRegisters
+} = require('./register-codec');
+
+// Коды исключений Modbus
+const MODBUS_EXCEPTION = {
+    ILLEGAL_FUNCTION: 0x01,
+    ILLEGAL_DATA_ADDRESS: 0x02,
+    ILLEGAL_DATA_VALUE: 0x03,
+    SLAVE_DEVICE_FAILURE: 0x04
+};
+
+function buildExceptionPdu(functionCode, exceptionCode) {
+    return Buffer.from([(functionCode | 0x80) & 0xFF, exceptionCode]);
+}
+
+/**
+ * Выполняет PDU запроса над памятью ведомого и возвращает PDU ответа.
+ *
+ * memory.readBits(registerType, address, quantity)      - массив bool или null ('coil', 'discrete')
+ * memory.readRegisters(registerType, address, quantity) - массив регистров или null ('holding', 'input')
+ * memory.writeBits(address, bits)                       - false, если адрес не принадлежит coil
+ * memory.writeRegisters(address, values)                - false, если адрес не принадлежит holding
+ *
+ * Запись бросает ошибку, если тег не может принять значение.
+ *
+ * null и false отвечают исключением ILLEGAL_DATA_ADDRESS, ошибка записи - ILLEGAL_DATA_VALUE.
+ */
+function processSlavePdu(memory, pdu) {
+    const functionCode = pdu.readUInt8(0);
+    const exception = (code) => buildExceptionPdu(functionCode, code);
+    const write = (method, address, values) => {
+        try {
+            return memory[method](address, values) ? null : exception(MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS);
+        } catch (error) {
+            return exception(MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE);
+        }
+    };
+
+    if (![0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x0F, 0x10].includes(functionCode)) {
+        console.log(`❌ Неподдерживаемая функция: 0x${functionCode.toString(16)}`);
+        return exception(MODBUS_EXCEPTION.ILLEGAL_FUNCTION);
+    }
+    if (pdu.length < 5) {
+        return exception(MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE);
+    }
+
+    const address = pdu.readUInt16BE(1);
+    const quantity = pdu.readUInt16BE(3);
+
+    switch (functionCode) {
+        case 0x01: // Read Coils
+        case 0x02: { // Read Discrete Inputs
+            if (quantity < 1 || quantity > 2000) {
+                return exception(MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE);
+            }
+            const bits = memory.readBits(functionCode === 0x01 ? 'coil' : 'discrete', address, quantity);
+            if (!bits) {
+                return exception(MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS);
+            }
+            const bytes = packBits(bits);
+            return Buffer.concat([Buffer.from([functionCode, bytes.length]), bytes]);
+        }
+
+        case 0x03: // Read Holding Registers
+        case 0x04: { // Read Input Registers
+            if (quantity < 1 || quantity > 125) {
+                return exception(MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE);
+            }
+            const registers = memory.readRegisters(functionCode === 0x03 ? 'holding' : 'input', address, quantity);
+            if (!registers) {
+                return exception(MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS);
+            }
+            const response = Buffer.alloc(2 + registers.length * 2);
+            response.writeUInt8(functionCode, 0);
+            response.writeUInt8(registers.length * 2, 1); // byte count
+            registers.forEach((value, i) => response.writeUInt16BE(value, 2 + i * 2));
+            return response;
+        }
+
+        case 0x05: { // Write Single Coil
+            if (quantity !== 0xFF00 && quantity !== 0x0000) {
+                return exception(MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE);
+            }
+            return write('writeBits', address, [quantity === 0xFF00]) || pdu.slice(0, 5);
+        }
+
+        case 0x06: { // Write Single Register
+            return write('writeRegisters', address, [quantity]) || pdu.slice(0, 5);
+        }
+
+        case 0x0F: { // Write Multiple Coils
+            const byteCount = pdu.length > 5 ? pdu.readUInt8(5) : 0;
+            if (quantity < 1 || quantity > 1968 ||
+                byteCount !== Math.ceil(quantity / 8) || pdu.length < 6 + byteCount) {
+                return exception(MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE);
+            }
+            const bits = unpackBits(pdu.slice(6, 6 + byteCount), quantity);
+            return write('writeBits', address, bits) || pdu.slice(0, 5);
+        }
+
+        case 0x10: { // Write Multiple Registers
+            const byteCount = pdu.length > 5 ? pdu.readUInt8(5) : 0;
+            if (quantity < 1 || quantity > 123 ||
+                byteCount !== quantity * 2 || pdu.length < 6 + byteCount) {
+                return exception(MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE);
+            }
+            const values = [];
+            for (let i = 0; i < quantity; i++) {
+                values.push(pdu.readUInt16BE(6 + i * 2));
+            }
+            return write('writeRegisters', address, values) || pdu.slice(0, 5);
+        }
+    }
+}
+
+function packBits(bits) {
+    const bytes = Buffer.alloc(Math.ceil(bits.length / 8));
+    bits.forEach((bit, i) => {
+        if (bit) bytes[i >> 3] |= 1 << (i & 7);
+    });
+    return bytes;
+}
+
+function unpackBits(bytes, quantity) {
+    const bits = [];
+    for (let i = 0; i < quantity; i++) {
+        bits.push(Boolean(bytes[i >> 3] & (1 << (i & 7))));
+    }
+    return bits;
+}
+
+// Диапазон должен лежать внутри области, занятой тегами. Пропуски между тегами читаются как 0.
+function isRangeInsideMap(map, address, quantity) {
+    if (map.size === 0) return false;
+    const addresses = Array.from(map.keys());
+    return address >= Math.min(...addresses) && address + quantity - 1 <= Math.max(...addresses);
+}
+
+/**
+ * Память ведомого по тегам для processSlavePdu.
+ *
+ * options.getTags()             - теги устройства (address, registerType, dataType, ...)
+ * options.getValue(tag)         - текущее значение тега, undefined - значение по умолчанию
+ * options.checkWrite(tag, value) - необязательная проверка записи: текст отказа или null
+ * options.onWrite(tag, value)   - запись удаленного мастера, value уже декодировано
+ */
+function createTagMemory(options) {
+    const getValue = (tag) => options.getValue(tag) ?? getDefaultTagValue(tag);
+
+    // Запрос мастера меняет теги целиком или никак: отказ по любому тегу отклоняет всю запись
+    function applyWrites(writes) {
+        if (options.checkWrite) {
+            for (const [tag, value] of writes) {
+                const rejection = options.checkWrite(tag, value);
+                if (rejection) {
+                    throw new Error(`${tag.name}: ${rejection}`);
+                }
+            }
+        }
+        writes.forEach(([tag, value]) => options.onWrite(tag, value));
+    }
+
+    // Карта регистров одного типа: адрес -> { tag, offset, value }
+    function buildRegisterMap(registerType) {
+        const map = new Map();
+        options.getTags()
+            .filter(tag => tag.registerType === registerType)
+            .forEach(tag => {
+                const registers = encodeTagRegisters(tag, getValue(tag), { wrap: true });
+                registers.forEach((value, offset) => {
+                    map.set(tag.address + offset, { tag, offset, value });
+                });
+            });
+        return map;
+    }
+
+    // Карта битов: адрес -> { tag, index, value }, index задан только для тегов-массивов
+    function buildBitMap(registerType) {
+        const map = new Map();
+        options.getTags()
+            .filter(tag => tag.registerType === registerType)
+            .forEach(tag => {
+                if (isArrayTag(tag)) {
+                    const values = options.getValue(tag) || [];
+                    for (let index = 0; index < tag.arrayLength; index++) {
+                        map.set(tag.address + index, { tag, index, value: Boolean(values[index]) });
+                    }
+                } else {
+                    map.set(tag.address, { tag, value: Boolean(options.getValue(tag)) });
+                }
+            });
+        return map;
+    }
+
+    function readRegisters(registerType, address, quantity) {
+        const map = buildRegisterMap(registerType);
+        if (!isRangeInsideMap(map, address, quantity)) return null;
+
+        const registers = [];
+        for (let i = 0; i < quantity; i++) {
+            registers.push(map.get(address + i)?.value || 0);
+        }
+        return registers;
+    }
+
+    function readBits(registerType, address, quantity) {
+        const map = buildBitMap(registerType);
+        if (!isRangeInsideMap(map, address, quantity)) return null;
+
+        const bits = [];
+        for (let i = 0; i < quantity; i++) {
+            bits.push(Boolean(map.get(address + i)?.value));
+        }
+        return bits;
+    }
+
+    // Запись удаленного мастера: каждый адрес должен принадлежать holding-тегу
+    function writeRegisters(address, values) {
+        const map = buildRegisterMap('holding');
+        const touched = new Map(); // tag -> регистры тега с учетом записи
+
+        for (let i = 0; i < values.length; i++) {
+            const entry = map.get(address + i);
+            if (!entry) return false;
+
+            if (!touched.has(entry.tag)) {
+                touched.set(entry.tag, encodeTagRegisters(entry.tag, getValue(entry.tag), { wrap: true }));
+            }
+            touched.get(entry.tag)[entry.offset] = values[i];
+        }
+
+        // Сначала декодируем все теги: значение, которое тег не принимает (например, неверный BCD),
+        // отклоняет запись целиком
+        applyWrites([...touched].map(([tag, registers]) => [tag, decodeTagValue(tag, registers)]));
+        return true;
+    }
+
+    function writeBits(address, bits) {
+        const coils = buildBitMap('coil');
+
+        for (let i = 0; i < bits.length; i++) {
+            if (!coils.has(address + i)) return false;
+        }
+
+        const touched = new Map(); // tag -> новое значение
+        bits.forEach((bit, i) => {
+            const { tag, index } = coils.get(address + i);
+            const value = convertModbusData([bit ? 1 : 0], tag.dataType);
+            if (index === undefined) {
+                touched.set(tag, value);
+            } else {
+                const current = touched.get(tag) || options.getValue(tag);
+                const values = Array.from(current || new Array(tag.arrayLength).fill(getDefaultScalarValue(tag)));
+                values[index] = value;
+                touched.set(tag, values);
+            }
+        });
+
+        applyWrites([...touched]);
+        return true;
+    }
+
+    return { readRegisters, readBits, writeRegisters, writeBits };
+}
+
+module.exports = {
+    MODBUS_EXCEPTION,
+    buildExceptionPdu,
+    processSlavePdu,
+    createTagMemory,
+    packBits,
+    unpackBits
+};
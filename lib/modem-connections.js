@@ -0,0 +1,370 @@
+// Входящие подключения модемов: регистрационные пакеты и heartbeat, привязка сокета к устройству
+// tcp-modem независимо от порта и адреса модема, таймаут простоя и история подключений
+
+const { splitFrame, parseFrame } = require('./modbus-frame');
+
+const PATTERN_FORMATS = ['ascii', 'hex'];
+const DEFAULT_IDLE_TIMEOUT = 300000; // Сокет без входящих данных закрывается через столько мс
+const DEFAULT_HISTORY_SIZE = 200;
+const KEEPALIVE_DELAY = 30000; // TCP keepalive: находит сокеты, оборванные без FIN (пропала сотовая сеть)
+const DEFAULT_FRAME_TIMEOUT = 3000; // Недособранный кадр или пакет старше стольких мс - мусор
+const MAX_FRAME_SIZE = 260; // Наибольший кадр Modbus (MBAP), байт
+
+// Пакет модема из настроек: ASCII строка или байты в hex ("FE 01 A2")
+function parseModemPattern(text, format = 'ascii') {
+    return format === 'hex' ? Buffer.from(text.replace(/\s+/g, ''), 'hex') : Buffer.from(text, 'utf8');
+}
+
+// Сколько байт в начале data занимает пакет pattern (ASCII пакет - вместе с переводом строки), 0 - не он
+function matchPacket(data, pattern, format) {
+    if (data.length < pattern.length || !data.subarray(0, pattern.length).equals(pattern)) {
+        return 0;
+    }
+    let length = pattern.length;
+    if (format !== 'hex') {
+        while (data[length] === 0x0D || data[length] === 0x0A) length++;
+    }
+    return length;
+}
+
+// Начало пакета pattern, остаток которого еще не пришел
+function isPacketStart(data, pattern) {
+    return data.length < pattern.length && pattern.subarray(0, data.length).equals(data);
+}
+
+function formatPacket(packet, format) {
+    return format === 'hex' ? packet.toString('hex') : packet.toString('utf8').trim();
+}
+
+// Проверка настроек пакетов модема. Возвращает текст ошибки или null
+function validateModemSettings(device) {
+    if (device.modemPatternFormat !== undefined && !PATTERN_FORMATS.includes(device.modemPatternFormat)) {
+        return `формат пакетов модема должен быть одним из: ${PATTERN_FORMATS.join(', ')}`;
+    }
+    for (const field of ['modemRegistration', 'modemHeartbeat']) {
+        const value = device[field];
+        if (value === undefined) continue;
+        if (typeof value !== 'string' || !value.trim()) {
+            return `поле ${field} должно быть непустой строкой`;
+        }
+        if (device.modemPatternFormat === 'hex' && !/^([0-9a-f]{2})+$/i.test(value.replace(/\s+/g, ''))) {
+            return `поле ${field} должно быть последовательностью байт в hex`;
+        }
+    }
+    if (device.modemIdleTimeout !== undefined &&
+        !(Number.isInteger(device.modemIdleTimeout) && device.modemIdleTimeout >= 1000 && device.modemIdleTimeout <= 86400000)) {
+        return "modemIdleTimeout должен быть целым числом от 1000 до 86400000";
+    }
+    return null;
+}
+
+/**
+ * Подключения модемов к портам моста.
+ *
+ * options.getDevices()  - устройства моста: tcp-modem с modemRegistration привязываются к сокету,
+ *                         с которого пришел их регистрационный пакет, остальные - по порту
+ * options.idleTimeout   - таймаут простоя непривязанного сокета, мс (у привязанного - modemIdleTimeout устройства)
+ * options.frameTimeout  - через сколько мс недособранный кадр считается мусором
+ * options.historySize   - сколько событий подключения хранить
+ * options.getProtocol(socket, port) - формат кадров сокета: 'rtu', 'tcp' или 'auto' (по умолчанию)
+ * options.onChange(snapshot, event) - event: 'connect', 'register' или 'disconnect'
+ */
+function createModemConnections(options) {
+    const getDevices = options.getDevices;
+    const idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+    const frameTimeout = options.frameTimeout || DEFAULT_FRAME_TIMEOUT;
+    const historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+    const onChange = options.onChange || (() => {});
+    const getProtocol = options.getProtocol || (() => 'auto');
+
+    const connections = new Map(); // сокет -> подключение
+    const history = [];
+
+    const getFormat = (device) => device.modemPatternFormat || 'ascii';
+
+    function getBoundDevices(connection) {
+        return getDevices().filter(device => connection.deviceIds.includes(device.id));
+    }
+
+    function snapshot(connection) {
+        const toIso = (date) => date && date.toISOString();
+        return {
+            id: connection.id,
+            remoteAddress: connection.remoteAddress,
+            remotePort: connection.remotePort,
+            localPort: connection.localPort,
+            connected: !connection.socket.destroyed,
+            connectedAt: toIso(connection.connectedAt),
+            lastDataAt: toIso(connection.lastDataAt),
+            lastHeartbeatAt: toIso(connection.lastHeartbeatAt),
+            registration: connection.registration,
+            devices: getBoundDevices(connection).map(device => ({ id: device.id, name: device.name }))
+        };
+    }
+
+    function record(connection, event, reason) {
+        const entry = {
+            time: new Date().toISOString(),
+            event,
+            id: connection.id,
+            remoteAddress: connection.remoteAddress,
+            localPort: connection.localPort,
+            devices: getBoundDevices(connection).map(device => device.name),
+            ...(reason ? { reason } : {})
+        };
+        history.push(entry);
+        if (history.length > historySize) {
+            history.shift();
+        }
+        onChange(snapshot(connection), event);
+    }
+
+    // Привязанный сокет живет по самому короткому таймауту своих устройств
+    function getIdleTimeout(connection) {
+        const timeouts = getBoundDevices(connection)
+            .map(device => device.modemIdleTimeout)
+            .filter(timeout => timeout !== undefined);
+        return timeouts.length ? Math.min(...timeouts) : idleTimeout;
+    }
+
+    function resetIdleTimer(connection) {
+        clearTimeout(connection.idleTimer);
+        const timeout = getIdleTimeout(connection);
+        connection.idleTimer = setTimeout(() => {
+            close(connection, `нет данных ${Math.round(timeout / 1000)} с`);
+        }, timeout);
+    }
+
+    function close(connection, reason) {
+        connection.closeReason = reason;
+        console.log(`🔌 Подключение модема ${connection.id} закрыто: ${reason}`);
+        connection.socket.destroy();
+    }
+
+    // Пакеты, которые модем может прислать по этому подключению: регистрация любого устройства
+    // и heartbeat привязанных устройств (до привязки - любого устройства)
+    function getPackets(connection) {
+        const modemDevices = getDevices().filter(device => device.type === 'tcp-modem');
+        const packets = [];
+        modemDevices.filter(d => d.modemRegistration).forEach(device => {
+            const format = getFormat(device);
+            const pattern = parseModemPattern(device.modemRegistration, format);
+            // За одним модемом может стоять несколько счетчиков с одной регистрацией
+            const registered = modemDevices.filter(d =>
+                d.modemRegistration && parseModemPattern(d.modemRegistration, getFormat(d)).equals(pattern));
+            packets.push({ type: 'registration', pattern, format, devices: registered, text: formatPacket(pattern, format) });
+        });
+
+        const candidates = connection.deviceIds.length ? getBoundDevices(connection) : modemDevices;
+        candidates.filter(d => d.modemHeartbeat).forEach(device => {
+            const format = getFormat(device);
+            packets.push({ type: 'heartbeat', pattern: parseModemPattern(device.modemHeartbeat, format), format });
+        });
+        return packets;
+    }
+
+    // Пакет модема из packets в начале data: { packet, length }, { incomplete: true } - пришло
+    // только начало пакета, null - в начале data не пакет модема
+    function findPacket(packets, data) {
+        for (const packet of packets) {
+            const length = matchPacket(data, packet.pattern, packet.format);
+            if (length) {
+                return { packet, length };
+            }
+        }
+        return packets.some(packet => isPacketStart(data, packet.pattern)) ? { incomplete: true } : null;
+    }
+
+    function bind(connection, devices, registration) {
+        const ids = devices.map(device => device.id);
+        if (connection.registration === registration && ids.every(id => connection.deviceIds.includes(id))) {
+            return; // Модем повторил регистрацию
+        }
+
+        // Модем переподключился с другого адреса, а старый сокет мог остаться полуоткрытым
+        connections.forEach(other => {
+            if (other !== connection && other.deviceIds.some(id => ids.includes(id))) {
+                close(other, `модем ${registration} зарегистрировался с ${connection.id}`);
+            }
+        });
+
+        connection.deviceIds = ids;
+        connection.registration = registration;
+        console.log(`📡 Модем ${connection.id} зарегистрирован как ${registration}: ${devices.map(d => d.name).join(', ')}`);
+        record(connection, 'register');
+    }
+
+    function discard(connection, bytes) {
+        console.log(`⚠️ Отброшено ${bytes.length} байт от модема ${connection.id}: ${bytes.toString('hex')}`);
+    }
+
+    // Разбирает поток модема на пакеты регистрации и heartbeat и кадры Modbus. Пакеты ищутся
+    // только на границах кадров: те же байты внутри кадра - данные счетчика. Недособранный
+    // пакет или кадр ждет следующей порции данных. Возвращает принятые кадры Modbus, разобранные parseFrame
+    function filterData(connection, data) {
+        const now = new Date();
+        if (connection.pending.length && now - connection.lastDataAt > frameTimeout) {
+            discard(connection, connection.pending);
+            connection.pending = Buffer.alloc(0);
+        }
+        connection.lastDataAt = now;
+
+        let rest = Buffer.concat([connection.pending, data]);
+        const protocol = getProtocol(connection.socket, connection.port);
+        // Список пакетов меняется только при регистрации: heartbeat берется у привязанных устройств
+        let packets = getPackets(connection);
+        const frames = [];
+        let dropped = [];
+        while (rest.length) {
+            // Перевод строки после ASCII пакета мог прийти отдельно
+            if (connection.afterTextPacket && (rest[0] === 0x0D || rest[0] === 0x0A)) {
+                rest = rest.subarray(1);
+                continue;
+            }
+            connection.afterTextPacket = false;
+
+            const found = findPacket(packets, rest);
+            if (found && found.incomplete) {
+                break;
+            }
+            if (found) {
+                rest = rest.subarray(found.length);
+                connection.afterTextPacket = found.packet.format !== 'hex';
+                if (found.packet.type === 'registration') {
+                    bind(connection, found.packet.devices, found.packet.text);
+                    packets = getPackets(connection);
+                } else {
+                    connection.lastHeartbeatAt = now;
+                }
+                continue;
+            }
+
+            // Модем присылает и свой текст (RING, NO CARRIER): он не должен ждать CRC как кадр
+            const result = splitFrame(rest, { protocol, maxFrameSize: MAX_FRAME_SIZE, standardOnly: true });
+            if (result.incomplete) {
+                break;
+            }
+            if (result.frame) {
+                frames.push(parseFrame(result.frame, result.protocol));
+                rest = rest.subarray(result.frame.length);
+            } else {
+                // Ни пакет, ни кадр: сдвигаемся на байт и ищем начало следующего
+                dropped.push(rest.subarray(0, 1));
+                rest = rest.subarray(1);
+            }
+        }
+
+        if (rest.length > MAX_FRAME_SIZE) {
+            dropped.push(rest);
+            rest = Buffer.alloc(0);
+        }
+        if (dropped.length) {
+            discard(connection, Buffer.concat(dropped));
+        }
+        connection.pending = Buffer.from(rest);
+        resetIdleTimer(connection);
+        return frames;
+    }
+
+    // onFrame(frame) получает кадры Modbus из сокета: без пакетов модема, по одному целиком,
+    // уже разобранные: { protocol, unitId, pdu, raw }, у MBAP еще transactionId
+    function accept(socket, port, onFrame) {
+        const connection = {
+            id: `${socket.remoteAddress}:${socket.remotePort}:${port}`,
+            socket,
+            port,
+            remoteAddress: socket.remoteAddress,
+            remotePort: socket.remotePort,
+            localPort: socket.localPort,
+            connectedAt: new Date(),
+            lastDataAt: null,
+            lastHeartbeatAt: null,
+            registration: null,
+            deviceIds: [],
+            pending: Buffer.alloc(0), // Начало кадра или пакета, остаток которого еще не пришел
+            afterTextPacket: false,
+            idleTimer: null,
+            closeReason: null
+        };
+        connections.set(socket, connection);
+        socket.setKeepAlive(true, KEEPALIVE_DELAY);
+
+        socket.on('data', (data) => {
+            filterData(connection, data).forEach(frame => {
+                if (!socket.destroyed) {
+                    onFrame(frame);
+                }
+            });
+        });
+        socket.on('error', (error) => {
+            connection.closeReason = connection.closeReason || error.message;
+        });
+        socket.on('close', () => {
+            clearTimeout(connection.idleTimer);
+            connections.delete(socket);
+            record(connection, 'disconnect', connection.closeReason || 'соединение закрыто модемом');
+        });
+
+        resetIdleTimer(connection);
+        record(connection, 'connect');
+        return connection;
+    }
+
+    // Сокет устройства: с регистрацией - привязанный к нему, без регистрации -
+    // последнее непривязанное подключение на порту устройства
+    function findSocket(device) {
+        let found = null;
+        connections.forEach(connection => {
+            if (connection.socket.destroyed) return;
+            const matches = device.modemRegistration ?
+                connection.deviceIds.includes(device.id) :
+                connection.port === device.port && connection.deviceIds.length === 0;
+            if (matches) {
+                found = connection.socket;
+            }
+        });
+        return found;
+    }
+
+    // Устройства, привязанные к сокету регистрацией; пустой список - сокет не привязан
+    function getSocketDevices(socket) {
+        const connection = connections.get(socket);
+        return connection ? getBoundDevices(connection) : [];
+    }
+
+    // Закрывает подключение модема устройства, модем подключится заново. false - модем не подключен
+    function disconnect(device, reason) {
+        const socket = findSocket(device);
+        if (!socket) {
+            return false;
+        }
+        close(connections.get(socket), reason);
+        return true;
+    }
+
+    // Закрывает все подключения или только подключения к порту port
+    function closeAll(reason, port) {
+        connections.forEach(connection => {
+            if (port === undefined || connection.port === port) {
+                close(connection, reason);
+            }
+        });
+    }
+
+    return {
+        accept,
+        findSocket,
+        getSocketDevices,
+        disconnect,
+        closeAll,
+        list: () => [...connections.values()].map(snapshot),
+        history: () => history.slice()
+    };
+}
+
+module.exports = {
+    PATTERN_FORMATS,
+    parseModemPattern,
+    validateModemSettings,
+    createModemConnections
+};
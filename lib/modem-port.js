@@ -0,0 +1,64 @@
+// Порт modbus-serial поверх входящего подключения модема в режиме master. Ответы счетчиков
+// приходят из modemConnections уже без пакетов модема, по одному кадру целиком и разобранными
+
+const { EventEmitter } = require('events');
+const { buildMbapFrame, buildRtuFrame } = require('./modbus-frame');
+
+/**
+ * Порт для new ModbusRTU(port).
+ *
+ * protocol - 'rtu': кадры с CRC как есть (прозрачный модем), 'tcp': кадры с заголовком MBAP
+ *
+ * port.receive(frame) - кадр из сокета модема для клиента Modbus, разобранный parseFrame
+ */
+function createModemPort(socket, protocol) {
+    const port = new EventEmitter();
+    let request = null; // unit id, функция и номер транзакции MBAP последнего запроса
+    let transactionId = 0;
+
+    Object.defineProperty(port, 'isOpen', { get: () => !socket.destroyed });
+
+    port.open = (callback) => {
+        callback(socket.destroyed ? new Error('Подключение модема закрыто') : null);
+    };
+
+    // Сокет общий для всех устройств за модемом, закрывает его только modemConnections
+    port.close = (callback) => {
+        if (callback) callback();
+    };
+    port.destroy = port.close;
+
+    // data - запрос RTU от ModbusRTU: unit id, PDU и CRC
+    port.write = (data) => {
+        transactionId = transactionId % 0xFFFF + 1;
+        request = { unitId: data[0], functionCode: data[1], transactionId };
+        if (protocol === 'tcp') {
+            socket.write(buildMbapFrame(transactionId, data[0], data.subarray(1, -2)));
+        } else {
+            socket.write(data);
+        }
+    };
+
+    // ModbusRTU ждет один ответ за раз, поэтому ответ на другой запрос (например, опоздавший
+    // после таймаута) отбрасываем, иначе его примут за ответ на текущий. В MBAP ответ находится
+    // по номеру транзакции, в RTU номера нет - по unit id и функции
+    port.receive = (frame) => {
+        if (!request || frame.protocol !== protocol || frame.pdu.length === 0) {
+            return;
+        }
+        if (protocol === 'tcp' ? frame.transactionId !== request.transactionId :
+            frame.unitId !== request.unitId || (frame.pdu[0] & 0x7F) !== request.functionCode) {
+            return;
+        }
+        request = null;
+        // ModbusRTU разбирает ответы в формате RTU: кадр MBAP пересобираем с CRC
+        port.emit('data', protocol === 'tcp' ? buildRtuFrame(frame.unitId, frame.pdu) : frame.raw);
+    };
+
+    socket.once('close', () => port.emit('close'));
+    return port;
+}
+
+module.exports = {
+    createModemPort
+};
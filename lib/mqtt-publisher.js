@@ -0,0 +1,381 @@
+// Публикация тегов в MQTT: JSON по топику на тег или Sparkplug B, запись через командные топики
+
+const fs = require('fs');
+const mqtt = require('mqtt');
+const sparkplug = require('sparkplug-payload').get('spBv1.0');
+
+const DEFAULT_MQTT_CONFIG = {
+    enabled: false,
+    url: 'mqtt://localhost:1883',
+    clientId: null,
+    username: null,
+    password: null,
+    format: 'json', // 'json' или 'sparkplug'
+    topicPrefix: 'modbus', // JSON: <topicPrefix>/<устройство>/<тег>
+    retain: true, // JSON: последнее значение тега сохраняется брокером
+    qos: 0,
+    groupId: 'ModbusBridge', // Sparkplug: spBv1.0/<groupId>/<тип>/<edgeNodeId>/<устройство>
+    edgeNodeId: 'bridge',
+    commands: true, // Принимать запись через <топик тега>/set или DCMD
+    reconnectPeriod: 5000
+};
+
+const FORMATS = ['json', 'sparkplug'];
+
+// Качество в свойстве Quality метрики (как в OPC DA): Good, Uncertain, Bad
+const QUALITY_GOOD = 192;
+const QUALITY_UNCERTAIN = 64;
+const QUALITY_BAD = 0;
+
+const REBIRTH_METRIC = 'Node Control/Rebirth';
+
+function validateMqttConfig(config) {
+    if (!FORMATS.includes(config.format)) {
+        return `неизвестный формат ${config.format}`;
+    }
+    if (![0, 1, 2].includes(config.qos)) {
+        return "qos должен быть 0, 1 или 2";
+    }
+    if (/[+#/]/.test(config.groupId) || /[+#/]/.test(config.edgeNodeId)) {
+        return "groupId и edgeNodeId не могут содержать символы + # /";
+    }
+    return null;
+}
+
+function loadMqttConfig(file) {
+    let config = { ...DEFAULT_MQTT_CONFIG };
+    try {
+        if (fs.existsSync(file)) {
+            config = { ...config, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+            console.log(`Загружены настройки MQTT из ${file}`);
+        }
+    } catch (error) {
+        throw new Error(`Ошибка чтения ${file}: ${error.message}`);
+    }
+
+    const configError = validateMqttConfig(config);
+    if (configError) {
+        throw new Error(`Ошибка в ${file}: ${configError}`);
+    }
+    return config;
+}
+
+// Имя устройства или тега как уровень топика: без разделителя и подстановочных символов
+function toTopicLevel(name) {
+    return String(name).replace(/[+#/]/g, '_');
+}
+
+function getQuality(status) {
+    if (status === 'Good') return QUALITY_GOOD;
+    if (status && status.startsWith('Uncertain')) return QUALITY_UNCERTAIN;
+    return QUALITY_BAD;
+}
+
+/**
+ * Клиент MQTT моста.
+ *
+ * options.config       - настройки (loadMqttConfig)
+ * options.getDevices   - () => список устройств
+ * options.getTagValue  - (tag) => { value, status, timestamp, unit, dataType }; dataType - тип OPC UA
+ *                        ('Int16', 'Float', ...), его имена совпадают с типами метрик Sparkplug B
+ * options.onCommand    - async (device, tag, value) => true/false: запись из командного топика
+ */
+function createMqttPublisher(options) {
+    const config = options.config;
+    const getDevices = options.getDevices;
+    const getTagValue = options.getTagValue;
+    const onCommand = options.onCommand;
+    const isSparkplug = config.format === 'sparkplug';
+
+    let client = null;
+    let connected = false;
+    let bdSeq = 0; // Номер сессии Sparkplug: одинаковый в NBIRTH и NDEATH одной сессии
+    let seq = 0;
+    let publishedCount = 0;
+    let lastError = null;
+    const bornDevices = new Set(); // Устройства, для которых отправлен DBIRTH
+    const deadDevices = new Set(); // Устройства после DDEATH: новый DBIRTH только с хорошим значением
+
+    function sparkplugTopic(type, deviceName) {
+        const topic = `spBv1.0/${config.groupId}/${type}/${config.edgeNodeId}`;
+        return deviceName ? `${topic}/${toTopicLevel(deviceName)}` : topic;
+    }
+
+    function tagTopic(device, tag) {
+        return `${config.topicPrefix}/${toTopicLevel(device.name)}/${toTopicLevel(tag.name)}`;
+    }
+
+    function nextSeq() {
+        const current = seq;
+        seq = (seq + 1) % 256;
+        return current;
+    }
+
+    function publish(topic, payload, retain = false) {
+        if (!connected) return;
+        client.publish(topic, payload, { qos: config.qos, retain }, (error) => {
+            if (error) {
+                lastError = error.message;
+                console.error(`MQTT: ошибка публикации ${topic}:`, error.message);
+            }
+        });
+        publishedCount++;
+    }
+
+    function deathPayload() {
+        return sparkplug.encodePayload({
+            timestamp: Date.now(),
+            metrics: [{ name: 'bdSeq', type: 'UInt64', value: bdSeq }]
+        });
+    }
+
+    function createMetric(tag) {
+        const { value, status, timestamp, dataType } = getTagValue(tag);
+        // Массивы передаются строкой JSON
+        const isArray = Array.isArray(value);
+        const metric = {
+            name: tag.name,
+            type: isArray ? 'String' : dataType,
+            value: isArray ? JSON.stringify(value) : value,
+            timestamp: timestamp ? new Date(timestamp).getTime() : Date.now(),
+            properties: { Quality: { type: 'Int32', value: getQuality(status) } }
+        };
+        if (value === null || value === undefined) {
+            metric.value = null;
+            metric.isNull = true;
+        }
+        return metric;
+    }
+
+    function publishNodeBirth() {
+        seq = 0;
+        publish(sparkplugTopic('NBIRTH'), sparkplug.encodePayload({
+            timestamp: Date.now(),
+            seq: nextSeq(),
+            metrics: [
+                { name: 'bdSeq', type: 'UInt64', value: bdSeq },
+                { name: REBIRTH_METRIC, type: 'Boolean', value: false }
+            ]
+        }));
+    }
+
+    function publishDeviceBirth(device) {
+        bornDevices.add(device.id);
+        publish(sparkplugTopic('DBIRTH', device.name), sparkplug.encodePayload({
+            timestamp: Date.now(),
+            seq: nextSeq(),
+            metrics: device.tags.map(createMetric)
+        }));
+    }
+
+    // Полная публикация состояния: после подключения и по команде Rebirth
+    function publishAll() {
+        bornDevices.clear();
+        if (isSparkplug) {
+            publishNodeBirth();
+            getDevices()
+                .filter(device => device.enabled !== false && !deadDevices.has(device.id))
+                .forEach(publishDeviceBirth);
+        } else {
+            publish(`${config.topicPrefix}/status`, 'online', true);
+            getDevices().forEach(device => device.tags.forEach(tag => publishTag(device, tag)));
+        }
+    }
+
+    // Публикация обновленного тега: DDATA (или DBIRTH, если устройство еще не объявлено) или JSON
+    function publishTag(device, tag) {
+        if (!connected) return;
+        if (!isSparkplug) {
+            const { value, status, timestamp, unit } = getTagValue(tag);
+            publish(tagTopic(device, tag), JSON.stringify({ value, status, timestamp, unit }), config.retain);
+            return;
+        }
+        if (!bornDevices.has(device.id)) {
+            if (deadDevices.has(device.id) && tag.status !== 'Good') return;
+            deadDevices.delete(device.id);
+            publishDeviceBirth(device);
+            return;
+        }
+        publish(sparkplugTopic('DDATA', device.name), sparkplug.encodePayload({
+            timestamp: Date.now(),
+            seq: nextSeq(),
+            metrics: [createMetric(tag)]
+        }));
+    }
+
+    // Устройство недоступно, отключено, удалено или изменено: DDEATH,
+    // новый DBIRTH - при первом значении с качеством Good
+    function deviceOffline(device) {
+        if (!isSparkplug) return;
+        deadDevices.add(device.id);
+        if (!bornDevices.has(device.id)) return;
+        bornDevices.delete(device.id);
+        publish(sparkplugTopic('DDEATH', device.name), sparkplug.encodePayload({
+            timestamp: Date.now(),
+            seq: nextSeq()
+        }));
+    }
+
+    function decodeMetricValue(value) {
+        // Int64/UInt64 приходят как Long
+        return value && typeof value.toNumber === 'function' ? value.toNumber() : value;
+    }
+
+    async function runCommand(device, tag, value) {
+        try {
+            if (!await onCommand(device, tag, value)) {
+                console.log(`MQTT: команда записи ${device.name}.${tag.name} не выполнена`);
+            }
+        } catch (error) {
+            console.error(`MQTT: ошибка записи ${device.name}.${tag.name}:`, error.message);
+        }
+    }
+
+    function findDevice(topicLevel) {
+        return getDevices().find(device => toTopicLevel(device.name) === topicLevel) || null;
+    }
+
+    function handleJsonCommand(topic, message) {
+        // <prefix>/<устройство>/<тег>/set, значение - JSON или { "value": ... }
+        const levels = topic.slice(config.topicPrefix.length + 1).split('/');
+        const device = levels.length === 3 && findDevice(levels[0]);
+        const tag = device && device.tags.find(t => toTopicLevel(t.name) === levels[1]);
+        if (!tag) return;
+
+        let value = message.toString();
+        try {
+            value = JSON.parse(value);
+        } catch (error) {
+            // строка без кавычек
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value) && 'value' in value) {
+            value = value.value;
+        }
+        runCommand(device, tag, value);
+    }
+
+    function handleSparkplugCommand(topic, message) {
+        const levels = topic.split('/');
+        const payload = sparkplug.decodePayload(message);
+        const metrics = payload.metrics || [];
+
+        if (levels[2] === 'NCMD') {
+            if (metrics.some(metric => metric.name === REBIRTH_METRIC && metric.value)) {
+                console.log('MQTT: запрошен Rebirth');
+                publishAll();
+            }
+            return;
+        }
+
+        const device = findDevice(levels[4]);
+        if (!device) return;
+        metrics.forEach(metric => {
+            const tag = device.tags.find(t => t.name === metric.name);
+            if (tag) {
+                runCommand(device, tag, decodeMetricValue(metric.value));
+            }
+        });
+    }
+
+    function start() {
+        if (client) return;
+
+        const will = isSparkplug ?
+            { topic: sparkplugTopic('NDEATH'), payload: deathPayload(), qos: 1, retain: false } :
+            { topic: `${config.topicPrefix}/status`, payload: 'offline', qos: 1, retain: true };
+
+        client = mqtt.connect(config.url, {
+            clientId: config.clientId || `modbus-bridge-${Math.random().toString(16).slice(2, 10)}`,
+            username: config.username || undefined,
+            password: config.password || undefined,
+            reconnectPeriod: config.reconnectPeriod,
+            clean: true,
+            will
+        });
+
+        client.on('connect', () => {
+            connected = true;
+            lastError = null;
+            console.log(`📡 MQTT подключен к ${config.url} (${config.format})`);
+            if (config.commands) {
+                const topics = isSparkplug ?
+                    [sparkplugTopic('NCMD'), `${sparkplugTopic('DCMD')}/+`] :
+                    [`${config.topicPrefix}/+/+/set`];
+                client.subscribe(topics, { qos: config.qos });
+            }
+            publishAll();
+        });
+
+        client.on('message', (topic, message) => {
+            try {
+                if (isSparkplug) {
+                    handleSparkplugCommand(topic, message);
+                } else {
+                    handleJsonCommand(topic, message);
+                }
+            } catch (error) {
+                console.error(`MQTT: ошибка разбора команды ${topic}:`, error.message);
+            }
+        });
+
+        client.on('close', () => {
+            if (connected) {
+                console.log('📡 MQTT соединение потеряно');
+            }
+            connected = false;
+            if (isSparkplug) {
+                // Новая сессия - новый bdSeq в NDEATH, который брокер опубликует за нас
+                bdSeq = (bdSeq + 1) % 256;
+                client.options.will.payload = deathPayload();
+            }
+        });
+
+        client.on('error', (error) => {
+            lastError = error.message;
+            console.error('MQTT ошибка:', error.message);
+        });
+    }
+
+    // Штатная остановка: свидетельство о смерти публикуем сами, брокер его не отправит
+    async function stop() {
+        if (!client) return;
+        if (connected) {
+            if (isSparkplug) {
+                getDevices().forEach(deviceOffline);
+                await client.publishAsync(sparkplugTopic('NDEATH'), deathPayload(), { qos: 1 });
+            } else {
+                await client.publishAsync(`${config.topicPrefix}/status`, 'offline', { qos: 1, retain: true });
+            }
+        }
+        await client.endAsync();
+        client = null;
+        connected = false;
+    }
+
+    function status() {
+        return {
+            enabled: true,
+            url: config.url,
+            format: config.format,
+            connected,
+            publishedCount,
+            lastError
+        };
+    }
+
+    return {
+        start,
+        stop,
+        publishTag,
+        deviceOffline,
+        status,
+        get connected() {
+            return connected;
+        }
+    };
+}
+
+module.exports = {
+    loadMqttConfig,
+    createMqttPublisher
+};
@@ -0,0 +1,162 @@
+// Безопасность OPC UA: режимы и политики шифрования, сертификаты, пользователи и роли
+
+const opcua = require("node-opcua");
+const fs = require('fs');
+const path = require('path');
+const { ROLES } = require('./auth');
+
+const DEFAULT_SECURITY_CONFIG = {
+    securityModes: ['None', 'Sign', 'SignAndEncrypt'],
+    securityPolicies: ['None', 'Basic256Sha256'],
+    allowAnonymous: true,
+    anonymousRole: 'viewer',
+    pkiFolder: 'pki',
+    automaticallyAcceptUnknownCertificate: false,
+    certificateFile: null,
+    privateKeyFile: null
+};
+
+const WELL_KNOWN_ROLES = {
+    viewer: opcua.WellKnownRoles.Observer,
+    operator: opcua.WellKnownRoles.Operator,
+    engineer: opcua.WellKnownRoles.Engineer
+};
+
+// Проверка конфигурации безопасности. Возвращает текст ошибки или null
+function validateSecurityConfig(config) {
+    for (const mode of config.securityModes) {
+        if (opcua.MessageSecurityMode[mode] === undefined) {
+            return `неизвестный режим безопасности ${mode}`;
+        }
+    }
+    for (const policy of config.securityPolicies) {
+        if (!opcua.SecurityPolicy[policy]) {
+            return `неизвестная политика безопасности ${policy}`;
+        }
+    }
+    if (!ROLES.includes(config.anonymousRole)) {
+        return `неизвестная роль анонимного пользователя ${config.anonymousRole}`;
+    }
+    return null;
+}
+
+function loadSecurityConfig(file) {
+    let config = { ...DEFAULT_SECURITY_CONFIG };
+    try {
+        if (fs.existsSync(file)) {
+            config = { ...config, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+            console.log(`Загружены настройки безопасности OPC UA из ${file}`);
+        }
+    } catch (error) {
+        throw new Error(`Ошибка чтения ${file}: ${error.message}`);
+    }
+
+    const configError = validateSecurityConfig(config);
+    if (configError) {
+        throw new Error(`Ошибка в ${file}: ${configError}`);
+    }
+    return config;
+}
+
+// Пользователь сессии OPC UA; анонимная сессия получает anonymousRole.
+// Без контекста (запись изнутри сервера) проверка не выполняется.
+function getSessionUser(config, userStore, context) {
+    if (!context || !context.session) {
+        return null;
+    }
+    const token = context.session.userIdentityToken;
+    if (token instanceof opcua.UserNameIdentityToken) {
+        const user = userStore.find(token.userName);
+        if (user) return user;
+    }
+    return { username: 'anonymous', role: config.anonymousRole };
+}
+
+function createUserManager(userStore) {
+    return {
+        isValidUser: (username, password) => Boolean(userStore.authenticate(username, password)),
+        getUserRoles: (username) => {
+            const user = userStore.find(username);
+            if (!user) {
+                return opcua.makeRoles([opcua.WellKnownRoles.Anonymous]);
+            }
+            return opcua.makeRoles([opcua.WellKnownRoles.AuthenticatedUser, WELL_KNOWN_ROLES[user.role]]);
+        }
+    };
+}
+
+// Параметры OPCUAServer, относящиеся к безопасности
+function getServerSecurityOptions(config, userStore) {
+    const serverCertificateManager = new opcua.OPCUACertificateManager({
+        rootFolder: path.resolve(config.pkiFolder),
+        automaticallyAcceptUnknownCertificate: config.automaticallyAcceptUnknownCertificate
+    });
+
+    return {
+        securityModes: config.securityModes.map(mode => opcua.MessageSecurityMode[mode]),
+        securityPolicies: config.securityPolicies.map(policy => opcua.SecurityPolicy[policy]),
+        allowAnonymous: config.allowAnonymous,
+        userManager: createUserManager(userStore),
+        serverCertificateManager,
+        ...(config.certificateFile ? { certificateFile: path.resolve(config.certificateFile) } : {}),
+        ...(config.privateKeyFile ? { privateKeyFile: path.resolve(config.privateKeyFile) } : {})
+    };
+}
+
+// Сертификат из файла хранилища: PEM или DER
+function readCertificateFile(file) {
+    const content = fs.readFileSync(file);
+    const text = content.toString('latin1');
+    if (!text.includes('-----BEGIN CERTIFICATE-----')) {
+        return content;
+    }
+    const base64 = text
+        .split('-----BEGIN CERTIFICATE-----')[1]
+        .split('-----END CERTIFICATE-----')[0]
+        .replace(/\s+/g, '');
+    return Buffer.from(base64, 'base64');
+}
+
+function listCertificateFolder(folder) {
+    if (!fs.existsSync(folder)) return [];
+    return fs.readdirSync(folder)
+        .filter(file => /\.(pem|der)$/i.test(file))
+        .map(file => {
+            const stat = fs.statSync(path.join(folder, file));
+            return { file, modified: stat.mtime.toISOString() };
+        });
+}
+
+// Списки доверенных и отклоненных сертификатов клиентов
+function listCertificates(certificateManager) {
+    return {
+        trusted: listCertificateFolder(certificateManager.trustedFolder),
+        rejected: listCertificateFolder(certificateManager.rejectedFolder)
+    };
+}
+
+// Переносит сертификат клиента между хранилищами trusted и rejected
+async function setCertificateTrust(certificateManager, file, trusted) {
+    const name = path.basename(String(file));
+    const sourceFolder = trusted ? certificateManager.rejectedFolder : certificateManager.trustedFolder;
+    const source = path.join(sourceFolder, name);
+    if (!fs.existsSync(source)) {
+        return false;
+    }
+
+    const certificate = readCertificateFile(source);
+    if (trusted) {
+        await certificateManager.trustCertificate(certificate);
+    } else {
+        await certificateManager.rejectCertificate(certificate);
+    }
+    return true;
+}
+
+module.exports = {
+    loadSecurityConfig,
+    getSessionUser,
+    getServerSecurityOptions,
+    listCertificates,
+    setCertificateTrust
+};
@@ -0,0 +1,102 @@
+// Блоки регистров: теги одного типа с близкими адресами читаются одним запросом,
+// теги с соседними адресами записываются одним запросом
+
+const { getTagRegisterCount } = require('./register-codec');
+
+const MODBUS_MAX_WRITE_REGISTERS = 123; // Предел FC16 по спецификации Modbus
+const MODBUS_MAX_WRITE_BITS = 1968; // Предел FC15 по спецификации Modbus
+
+/**
+ * Объединяем теги одного типа регистров с близкими адресами в блоки чтения.
+ * Теги, которые сами не помещаются в блок, читаются отдельно, как раньше.
+ *
+ * getLimits(registerType) - { maxCount, maxGap }: наибольшая длина блока и наибольший
+ * пропуск неиспользуемых адресов между тегами блока.
+ * Возвращает [{ registerType, address, count, tags }].
+ */
+function planReadBlocks(tags, getLimits) {
+    const blocks = [];
+    const byType = new Map();
+
+    for (const tag of tags) {
+        if (!byType.has(tag.registerType)) {
+            byType.set(tag.registerType, []);
+        }
+        byType.get(tag.registerType).push(tag);
+    }
+
+    byType.forEach((tags, registerType) => {
+        const { maxCount, maxGap } = getLimits(registerType);
+        const sorted = [...tags].sort((a, b) => a.address - b.address);
+        let block = null;
+
+        for (const tag of sorted) {
+            const end = tag.address + getTagRegisterCount(tag);
+            if (block &&
+                tag.address - (block.address + block.count) <= maxGap &&
+                Math.max(end, block.address + block.count) - block.address <= maxCount) {
+                block.count = Math.max(end, block.address + block.count) - block.address;
+                block.tags.push(tag);
+                continue;
+            }
+            block = { registerType, address: tag.address, count: end - tag.address, tags: [tag] };
+            blocks.push(block);
+        }
+    });
+
+    return blocks;
+}
+
+/**
+ * Объединяем записи тегов с соседними адресами одного типа в блоки записи. Блок пишется
+ * одним запросом FC16 (FC15 для катушек), и устройство принимает его целиком или отклоняет.
+ * Тег не делится между блоками; если тег записывается дважды, действует последнее значение.
+ *
+ * writes - [{ tag, values }]: values - регистры (holding) или биты (coil) тега.
+ * Возвращает [{ registerType, address, values, writes }] по возрастанию адресов каждого типа,
+ * writes - записи из входного списка, вошедшие в блок.
+ */
+function planWriteBlocks(writes) {
+    const blocks = [];
+    const byType = new Map();
+
+    writes.forEach((write, index) => {
+        const registerType = write.tag.registerType;
+        if (!byType.has(registerType)) {
+            byType.set(registerType, []);
+        }
+        byType.get(registerType).push({ write, index });
+    });
+
+    byType.forEach((items, registerType) => {
+        const maxCount = registerType === 'coil' ? MODBUS_MAX_WRITE_BITS : MODBUS_MAX_WRITE_REGISTERS;
+        const sorted = [...items].sort((a, b) => a.write.tag.address - b.write.tag.address || a.index - b.index);
+        let block = null;
+
+        for (const { write, index } of sorted) {
+            const address = write.tag.address;
+            const end = address + write.values.length;
+            if (!block || address > block.address + block.values.length ||
+                Math.max(end, block.address + block.values.length) - block.address > maxCount) {
+                block = { registerType, address, values: [], owners: [], writes: [] };
+                blocks.push(block);
+            }
+            write.values.forEach((value, offset) => {
+                const position = address - block.address + offset;
+                // Пересекающиеся записи: побеждает более поздняя по списку
+                if (!(block.owners[position] > index)) {
+                    block.values[position] = value;
+                    block.owners[position] = index;
+                }
+            });
+            block.writes.push(write);
+        }
+    });
+
+    return blocks.map(({ owners, ...block }) => block);
+}
+
+module.exports = {
+    planReadBlocks,
+    planWriteBlocks
+};
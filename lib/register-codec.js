@@ -0,0 +1,344 @@
+// Представление значений тегов в регистрах Modbus: типы данных, порядок байт, строки, BCD,
+// массивы и масштабирование в инженерные единицы
+
+// Порядок байт многорегистровых значений: A - старший байт, D - младший
+const BYTE_ORDERS = ['ABCD', 'CDAB', 'BADC', 'DCBA'];
+
+// Диапазоны сырых значений типов. Значения тегов - Number, поэтому int64 и uint64
+// ограничены целыми, которые Number хранит точно (Number.MAX_SAFE_INTEGER = 2^53 - 1)
+const RAW_RANGES = {
+    'int16': [-32768, 32767],
+    'uint16': [0, 65535],
+    'int32': [-2147483648, 2147483647],
+    'uint32': [0, 4294967295],
+    'int64': [-Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+    'uint64': [0, Number.MAX_SAFE_INTEGER],
+    'bcd16': [0, 9999],
+    'bcd32': [0, 99999999],
+    'float': [-3.4028234663852886e38, 3.4028234663852886e38],
+    'double': [-Number.MAX_VALUE, Number.MAX_VALUE]
+};
+
+const INTEGER_TYPES = ['int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64', 'bcd16', 'bcd32'];
+
+// Проверка сырого значения перед записью в регистры: число, которое не помещается
+// в тип тега, отклоняется RangeError, а не обрезается. Тег без dataType - uint16
+function checkRawValue(value, dataType) {
+    if (dataType === 'boolean') return;
+    const [min, max] = RAW_RANGES[dataType] || RAW_RANGES.uint16;
+    const number = INTEGER_TYPES.includes(dataType) ? Math.round(Number(value)) : Number(value);
+    if (Number.isNaN(number)) {
+        throw new RangeError(`Значение ${value} не является числом`);
+    }
+    if (number < min || number > max) {
+        throw new RangeError(`Значение ${value} вне диапазона типа ${dataType || 'uint16'} (${min}..${max})`);
+    }
+}
+
+function getTagByteOrder(tag) {
+    // Для битовых регистров порядок байт не имеет смысла
+    if (tag.registerType === 'coil' || tag.registerType === 'discrete') return 'ABCD';
+    return tag.byteOrder || 'ABCD';
+}
+
+// Перестановка регистров между порядком устройства и big-endian (ABCD).
+// Обе перестановки обратимы сами в себя, поэтому функция работает в обе стороны.
+function reorderRegisters(registers, byteOrder) {
+    let result = registers.slice();
+    if (byteOrder === 'CDAB' || byteOrder === 'DCBA') {
+        result.reverse();
+    }
+    if (byteOrder === 'BADC' || byteOrder === 'DCBA') {
+        result = result.map(register => ((register & 0xFF) << 8) | (register >> 8));
+    }
+    return result;
+}
+
+function getRegisterCount(dataType) {
+    switch (dataType) {
+        case 'float': return 2;
+        case 'int32': return 2;
+        case 'uint32': return 2;
+        case 'bcd32': return 2;
+        case 'double': return 4;
+        case 'int64': return 4;
+        case 'uint64': return 4;
+        default: return 1;
+    }
+}
+
+function isArrayTag(tag) {
+    return Number(tag.arrayLength) > 0;
+}
+
+// Количество регистров (или битов для coil/discrete), которое занимает тег целиком
+function getTagRegisterCount(tag) {
+    if (tag.registerType === 'coil' || tag.registerType === 'discrete') {
+        return isArrayTag(tag) ? tag.arrayLength : 1;
+    }
+    if (tag.dataType === 'string') {
+        return tag.stringLength || 1;
+    }
+    const count = getRegisterCount(tag.dataType);
+    return isArrayTag(tag) ? count * tag.arrayLength : count;
+}
+
+function getDefaultScalarValue(tag) {
+    if (tag.dataType === 'string') return '';
+    if (tag.dataType === 'boolean') return false;
+    return 0;
+}
+
+function getDefaultTagValue(tag) {
+    return isArrayTag(tag) ?
+        new Array(tag.arrayLength).fill(getDefaultScalarValue(tag)) :
+        getDefaultScalarValue(tag);
+}
+
+function isNumericTag(tag) {
+    return tag.registerType !== 'coil' && tag.registerType !== 'discrete' &&
+        tag.dataType !== 'boolean' && tag.dataType !== 'string';
+}
+
+function isScaledTag(tag) {
+    return isNumericTag(tag) &&
+        ((tag.scale !== undefined && tag.scale !== 1) || (tag.offset !== undefined && tag.offset !== 0));
+}
+
+function hasTagLimits(tag) {
+    return ['rawMin', 'rawMax', 'euMin', 'euMax'].some(field => tag[field] !== undefined);
+}
+
+function clamp(value, min, max) {
+    if (min !== undefined && value < min) return min;
+    if (max !== undefined && value > max) return max;
+    return value;
+}
+
+// Инженерное значение = сырое × scale + offset, с ограничениями с обеих сторон
+function rawToEngineering(tag, raw) {
+    if (!isNumericTag(tag)) return raw;
+    const limited = clamp(raw, tag.rawMin, tag.rawMax);
+    // toPrecision убирает хвосты двоичной арифметики вида 42.300000000000004
+    const value = isScaledTag(tag) ?
+        Number((limited * (tag.scale ?? 1) + (tag.offset ?? 0)).toPrecision(12)) :
+        limited;
+    return clamp(value, tag.euMin, tag.euMax);
+}
+
+function engineeringToRaw(tag, value) {
+    if (!isNumericTag(tag)) return value;
+    const limited = clamp(Number(value), tag.euMin, tag.euMax);
+    const raw = isScaledTag(tag) ? (limited - (tag.offset ?? 0)) / (tag.scale ?? 1) : limited;
+    return clamp(raw, tag.rawMin, tag.rawMax);
+}
+
+// 64-битное значение из регистров: без потери точности или RangeError
+function toSafeNumber(value) {
+    if (value > BigInt(Number.MAX_SAFE_INTEGER) || value < -BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new RangeError(`Значение ${value} больше ${Number.MAX_SAFE_INTEGER} по модулю и не представимо точно`);
+    }
+    return Number(value);
+}
+
+function convertModbusData(data, dataType, byteOrder = 'ABCD') {
+    if (dataType === 'boolean') {
+        return Boolean(data[0]);
+    }
+
+    // Приводим регистры к порядку ABCD и читаем значение как big-endian
+    const count = getRegisterCount(dataType);
+    const registers = reorderRegisters(
+        Array.from(data).slice(0, count).map(register => Number(register) & 0xFFFF),
+        byteOrder
+    );
+    const buffer = Buffer.alloc(count * 2);
+    registers.forEach((register, i) => buffer.writeUInt16BE(register, i * 2));
+
+    switch (dataType) {
+        case 'float':
+            return buffer.readFloatBE(0);
+        case 'double':
+            return buffer.readDoubleBE(0);
+        case 'int32':
+            return buffer.readInt32BE(0);
+        case 'uint32':
+            return buffer.readUInt32BE(0);
+        case 'int64':
+            return toSafeNumber(buffer.readBigInt64BE(0));
+        case 'uint64':
+            return toSafeNumber(buffer.readBigUInt64BE(0));
+        case 'bcd16':
+            return decodeBcd(buffer.readUInt16BE(0), 4);
+        case 'bcd32':
+            return decodeBcd(buffer.readUInt32BE(0), 8);
+        case 'int16':
+            return buffer.readInt16BE(0);
+        case 'uint16':
+            return buffer.readUInt16BE(0);
+        default:
+            return registers[0];
+    }
+}
+
+// Значение тега в виде массива 16-битных регистров (обратное к convertModbusData).
+// wrap - целые вне диапазона типа обрезаются до младших разрядов: так ведомый отдает мастеру
+// текущее значение тега. Без wrap (запись в устройство) такое значение - RangeError
+function encodeTagValue(value, dataType, byteOrder = 'ABCD', wrap = false) {
+    if (!wrap) {
+        checkRawValue(value, dataType);
+    }
+    const buffer = Buffer.alloc(getRegisterCount(dataType) * 2);
+    const number = Number(value) || 0;
+
+    switch (dataType) {
+        case 'float':
+            buffer.writeFloatBE(number, 0);
+            break;
+        case 'double':
+            buffer.writeDoubleBE(number, 0);
+            break;
+        case 'int32':
+        case 'uint32':
+            buffer.writeUInt32BE(Math.round(number) >>> 0, 0);
+            break;
+        case 'int64':
+            buffer.writeBigInt64BE(BigInt.asIntN(64, BigInt(Math.round(number))), 0);
+            break;
+        case 'uint64':
+            buffer.writeBigUInt64BE(BigInt.asUintN(64, BigInt(Math.round(number))), 0);
+            break;
+        case 'bcd16':
+            buffer.writeUInt16BE(encodeBcd(number, 4, wrap), 0);
+            break;
+        case 'bcd32':
+            buffer.writeUInt32BE(encodeBcd(number, 8, wrap), 0);
+            break;
+        case 'boolean':
+            buffer.writeUInt16BE(value ? 1 : 0, 0);
+            break;
+        default:
+            buffer.writeUInt16BE(Math.round(number) & 0xFFFF, 0);
+    }
+
+    const registers = [];
+    for (let i = 0; i < buffer.length; i += 2) {
+        registers.push(buffer.readUInt16BE(i));
+    }
+    return dataType === 'boolean' ? registers : reorderRegisters(registers, byteOrder);
+}
+
+// Полное значение тега (скаляр, строка или массив) из прочитанных регистров/битов
+function decodeTagValue(tag, data) {
+    const values = Array.from(data);
+
+    if (tag.registerType === 'coil' || tag.registerType === 'discrete') {
+        const bits = values.slice(0, getTagRegisterCount(tag))
+            .map(bit => convertModbusData([bit ? 1 : 0], tag.dataType));
+        return isArrayTag(tag) ? bits : bits[0];
+    }
+
+    if (tag.dataType === 'string') {
+        return decodeString(values.slice(0, getTagRegisterCount(tag)), tag.swapBytes);
+    }
+
+    const byteOrder = getTagByteOrder(tag);
+    if (isArrayTag(tag)) {
+        const size = getRegisterCount(tag.dataType);
+        const result = [];
+        for (let i = 0; i < tag.arrayLength; i++) {
+            const raw = convertModbusData(values.slice(i * size, (i + 1) * size), tag.dataType, byteOrder);
+            result.push(rawToEngineering(tag, raw));
+        }
+        return result;
+    }
+    return rawToEngineering(tag, convertModbusData(values, tag.dataType, byteOrder));
+}
+
+// Полное значение тега в регистры (обратное к decodeTagValue).
+// options.wrap - см. encodeTagValue, только для чтения значений тегов ведомого
+function encodeTagRegisters(tag, value, options = {}) {
+    if (tag.dataType === 'string') {
+        return encodeString(value, getTagRegisterCount(tag), tag.swapBytes);
+    }
+
+    const byteOrder = getTagByteOrder(tag);
+    if (isArrayTag(tag)) {
+        const items = Array.isArray(value) ? value : [];
+        const registers = [];
+        for (let i = 0; i < tag.arrayLength; i++) {
+            const raw = engineeringToRaw(tag, items[i] ?? getDefaultScalarValue(tag));
+            registers.push(...encodeTagValue(raw, tag.dataType, byteOrder, options.wrap));
+        }
+        return registers;
+    }
+    return encodeTagValue(engineeringToRaw(tag, value), tag.dataType, byteOrder, options.wrap);
+}
+
+// ASCII строка: два символа на регистр, старший байт первый (swapBytes меняет местами)
+function decodeString(registers, swapBytes) {
+    const buffer = Buffer.alloc(registers.length * 2);
+    registers.forEach((register, i) => {
+        const value = Number(register) & 0xFFFF;
+        buffer.writeUInt16BE(swapBytes ? ((value & 0xFF) << 8) | (value >> 8) : value, i * 2);
+    });
+    const end = buffer.indexOf(0);
+    return buffer.toString('latin1', 0, end === -1 ? buffer.length : end);
+}
+
+function encodeString(value, registerCount, swapBytes) {
+    const buffer = Buffer.alloc(registerCount * 2);
+    const text = String(value ?? '');
+    if (text.length > buffer.length) {
+        throw new Error(`Строка длиннее ${buffer.length} символов`);
+    }
+    buffer.write(text, 0, 'latin1');
+
+    const registers = [];
+    for (let i = 0; i < buffer.length; i += 2) {
+        const register = buffer.readUInt16BE(i);
+        registers.push(swapBytes ? ((register & 0xFF) << 8) | (register >> 8) : register);
+    }
+    return registers;
+}
+
+// BCD: каждая десятичная цифра занимает полубайт
+// wrap - лишние старшие цифры отбрасываются (модуль числа), как у целых типов
+function encodeBcd(value, digits, wrap = false) {
+    let number = Math.round(value);
+    if (wrap) {
+        number = Math.abs(number) % Math.pow(10, digits);
+    } else if (number < 0 || number >= Math.pow(10, digits)) {
+        throw new Error(`Значение ${value} не помещается в ${digits} BCD цифр`);
+    }
+    return parseInt(String(number), 16);
+}
+
+function decodeBcd(value, digits) {
+    let result = 0;
+    for (let i = digits - 1; i >= 0; i--) {
+        const digit = Math.floor(value / Math.pow(16, i)) % 16;
+        if (digit > 9) {
+            throw new Error(`Неверное BCD значение 0x${value.toString(16)}`);
+        }
+        result = result * 10 + digit;
+    }
+    return result;
+}
+
+module.exports = {
+    BYTE_ORDERS,
+    RAW_RANGES,
+    checkRawValue,
+    isArrayTag,
+    getTagRegisterCount,
+    getDefaultScalarValue,
+    getDefaultTagValue,
+    isNumericTag,
+    isScaledTag,
+    hasTagLimits,
+    engineeringToRaw,
+    convertModbusData,
+    decodeTagValue,
+    encodeTagRegisters
+};
@@ -0,0 +1,202 @@
+// Общая шина RS-485: одно соединение с последовательным портом на все ведомые устройства,
+// запросы к ним идут строго по очереди
+
+const { createTransactionQueue, getTransactionPriority } = require('./transaction-queue');
+
+const DEFAULT_SERIAL_SETTINGS = {
+    baudRate: 9600,
+    dataBits: 8,
+    stopBits: 1,
+    parity: 'none',
+    interFrameDelay: 0 // Пауза на линии после каждого ответа перед следующим запросом, мс
+};
+
+const SERIAL_FIELDS = Object.keys(DEFAULT_SERIAL_SETTINGS);
+const BAUD_RATES = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200];
+const PARITIES = ['none', 'even', 'odd', 'mark', 'space'];
+
+// Настройки порта устройства с подставленными значениями по умолчанию
+function getSerialSettings(device) {
+    const settings = {};
+    SERIAL_FIELDS.forEach(field => {
+        settings[field] = device[field] ?? DEFAULT_SERIAL_SETTINGS[field];
+    });
+    return settings;
+}
+
+function isSameSerialSettings(a, b) {
+    return SERIAL_FIELDS.every(field => a[field] === b[field]);
+}
+
+function formatSerialSettings(settings) {
+    return `${settings.baudRate} ${settings.dataBits}${settings.parity[0].toUpperCase()}${settings.stopBits}`;
+}
+
+// Проверка настроек порта. Возвращает текст ошибки или null
+function validateSerialSettings(device) {
+    if (device.baudRate !== undefined && !BAUD_RATES.includes(device.baudRate)) {
+        return `скорость порта должна быть одной из: ${BAUD_RATES.join(', ')}`;
+    }
+    if (device.dataBits !== undefined && ![7, 8].includes(device.dataBits)) {
+        return "dataBits должен быть 7 или 8";
+    }
+    if (device.stopBits !== undefined && ![1, 2].includes(device.stopBits)) {
+        return "stopBits должен быть 1 или 2";
+    }
+    if (device.parity !== undefined && !PARITIES.includes(device.parity)) {
+        return `четность должна быть одной из: ${PARITIES.join(', ')}`;
+    }
+    if (device.interFrameDelay !== undefined &&
+        !(Number.isInteger(device.interFrameDelay) && device.interFrameDelay >= 0 && device.interFrameDelay <= 10000)) {
+        return "interFrameDelay должен быть целым числом от 0 до 10000";
+    }
+    return null;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Шина на одном последовательном порту.
+ *
+ * options.path         - путь к порту (COM1, /dev/ttyUSB0)
+ * options.protocol     - кадры на линии: 'rtu' или 'ascii'
+ * options.settings     - настройки порта (getSerialSettings)
+ * options.createClient - () => новый клиент ModbusRTU
+ */
+function createSerialBus(options) {
+    const path = options.path;
+    const protocol = options.protocol || 'rtu';
+    const createClient = options.createClient;
+    let settings = options.settings;
+
+    const users = new Set(); // id устройств на шине
+    let client = null;
+    let opening = null;
+    let closing = null;
+    const queue = createTransactionQueue();
+
+    function isOpen() {
+        return Boolean(client && client.isOpen);
+    }
+
+    // Открывает порт, если он еще не открыт; одновременные вызовы ждут одного открытия
+    function open() {
+        if (isOpen()) return Promise.resolve();
+        if (!opening) {
+            opening = (async () => {
+                // Порт, закрываемый перед сменой настроек, еще может быть занят
+                await closing;
+                const newClient = createClient();
+                const portOptions = {
+                    baudRate: settings.baudRate,
+                    dataBits: settings.dataBits,
+                    stopBits: settings.stopBits,
+                    parity: settings.parity
+                };
+                if (protocol === 'ascii') {
+                    await newClient.connectAsciiSerial(path, portOptions);
+                } else {
+                    await newClient.connectRTUBuffered(path, portOptions);
+                }
+                client = newClient;
+                console.log(`✅ Шина ${path} открыта (${protocol.toUpperCase()}, ${formatSerialSettings(settings)})`);
+            })().finally(() => {
+                opening = null;
+            });
+        }
+        return opening;
+    }
+
+    /**
+     * Запрос к ведомому: ждет своей очереди (запись - раньше опроса), задает адрес
+     * и таймаут и вызывает метод клиента ModbusRTU. Таймаут или исключение одного
+     * ведомого не закрывает порт.
+     */
+    function run(slaveId, timeout, method, args) {
+        return queue.run(async () => {
+            if (!isOpen()) {
+                throw new Error(`Порт ${path} не открыт`);
+            }
+            client.setID(slaveId);
+            client.setTimeout(timeout);
+            try {
+                return await client[method](...args);
+            } finally {
+                if (settings.interFrameDelay) {
+                    await delay(settings.interFrameDelay);
+                }
+            }
+        }, getTransactionPriority(method));
+    }
+
+    function attach(deviceId) {
+        users.add(deviceId);
+    }
+
+    // Возвращает число устройств, оставшихся на шине
+    function detach(deviceId) {
+        users.delete(deviceId);
+        return users.size;
+    }
+
+    function close() {
+        const current = client;
+        client = null;
+        if (!current || !current.isOpen) return closing || Promise.resolve();
+
+        closing = current.close()
+            .then(() => console.log(`Шина ${path} закрыта`))
+            .finally(() => {
+                closing = null;
+            });
+        return closing;
+    }
+
+    // Новые настройки порта: порт закрывается и при следующем подключении откроется с ними
+    function reconfigure(newSettings) {
+        settings = newSettings;
+        return close();
+    }
+
+    function status() {
+        return {
+            path,
+            protocol,
+            ...settings,
+            open: isOpen(),
+            devices: [...users],
+            queue: queue.stats()
+        };
+    }
+
+    return {
+        open,
+        run,
+        attach,
+        detach,
+        close,
+        reconfigure,
+        status,
+        queueStats: () => queue.stats(),
+        get path() {
+            return path;
+        },
+        get protocol() {
+            return protocol;
+        },
+        get settings() {
+            return settings;
+        }
+    };
+}
+
+module.exports = {
+    SERIAL_FIELDS,
+    getSerialSettings,
+    isSameSerialSettings,
+    formatSerialSettings,
+    validateSerialSettings,
+    createSerialBus
+};
@@ -0,0 +1,177 @@
+// Настройки запуска моста: порты, файлы конфигурации и описание сервера OPC UA.
+// Источники по возрастанию приоритета: значения по умолчанию, файл настроек (settings.json),
+// переменные окружения BRIDGE_<ИМЯ> и ключи командной строки --<имя>.
+// Пример: BRIDGE_WEB_PORT=3001 node server.js --opcua-port 52001 --devices-file devices-2.json
+
+const fs = require('fs');
+
+const DEFAULT_SETTINGS_FILE = 'settings.json';
+
+const DEFAULT_SETTINGS = {
+    opcuaPort: 52000,
+    webPort: 3000,
+    modemPortsStart: 8000, // Порты модемов: слушаются только порты устройств tcp-modem из этого диапазона
+    modemPortsEnd: 8100,
+    devicesFile: 'devices.json',
+    securityConfigFile: 'opcua-security.json',
+    usersFile: 'users.json',
+    auditLogFile: 'audit.log',
+    historyFolder: 'history',
+    alarmLogFile: 'alarms.log',
+    mqttConfigFile: 'mqtt.json',
+    resourcePath: '/UA/MyServer',
+    productName: 'Modbus-OPC-UA-Bridge',
+    buildNumber: '1.0.0'
+};
+
+const PORT_SETTINGS = ['opcuaPort', 'webPort', 'modemPortsStart', 'modemPortsEnd'];
+
+// opcuaPort -> BRIDGE_OPCUA_PORT
+function toEnvName(key) {
+    return 'BRIDGE_' + key.replace(/[A-Z]/g, letter => '_' + letter).toUpperCase();
+}
+
+// opcuaPort -> --opcua-port
+function toFlagName(key) {
+    return '--' + key.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+}
+
+// Значение из окружения или командной строки приводится к типу значения по умолчанию
+function parseSettingValue(key, text) {
+    if (typeof DEFAULT_SETTINGS[key] === 'number') {
+        const value = Number(text);
+        return text.trim() !== '' && Number.isFinite(value) ? value : text;
+    }
+    return text;
+}
+
+// Ключи --имя значение и --имя=значение. Возвращает { settingsFile, values }
+function parseArgs(argv) {
+    const keys = new Map(Object.keys(DEFAULT_SETTINGS).map(key => [toFlagName(key), key]));
+    const values = {};
+    let settingsFile = null;
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/s);
+        const key = keys.get(flag);
+        if (flag !== '--settings' && !key) {
+            throw new Error(`неизвестный ключ ${argv[i]}`);
+        }
+        const text = inline !== undefined ? inline : argv[++i];
+        if (text === undefined) {
+            throw new Error(`не задано значение ключа ${flag}`);
+        }
+        if (key) {
+            values[key] = parseSettingValue(key, text);
+        } else {
+            settingsFile = text;
+        }
+    }
+    return { settingsFile, values };
+}
+
+function validateSettings(settings) {
+    for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+        const value = settings[key];
+        if (typeof defaultValue === 'string' && (typeof value !== 'string' || !value.trim())) {
+            return `${key} должен быть непустой строкой`;
+        }
+    }
+    for (const key of PORT_SETTINGS) {
+        const value = settings[key];
+        if (!Number.isInteger(value) || value < 1 || value > 65535) {
+            return `${key} должен быть целым числом от 1 до 65535`;
+        }
+    }
+    if (settings.modemPortsStart > settings.modemPortsEnd) {
+        return "modemPortsStart не может быть больше modemPortsEnd";
+    }
+    if (settings.webPort === settings.opcuaPort) {
+        return "webPort и opcuaPort должны различаться";
+    }
+    for (const key of ['webPort', 'opcuaPort']) {
+        if (settings[key] >= settings.modemPortsStart && settings[key] <= settings.modemPortsEnd) {
+            return `${key} попадает в диапазон портов модемов ${settings.modemPortsStart}-${settings.modemPortsEnd}`;
+        }
+    }
+    if (!settings.resourcePath.startsWith('/')) {
+        return "resourcePath должен начинаться с /";
+    }
+    return null;
+}
+
+/**
+ * Загружает настройки моста.
+ *
+ * options.argv - ключи командной строки (process.argv.slice(2))
+ * options.env  - переменные окружения (process.env)
+ *
+ * Файл настроек: --settings, BRIDGE_SETTINGS или settings.json в рабочем каталоге.
+ * Возвращает { settings, sources, file }: sources - откуда взято каждое значение
+ * ('default', 'file', 'env' или 'cli'), file - прочитанный файл настроек или null.
+ */
+function loadSettings(options = {}) {
+    const env = options.env || {};
+    let args;
+    try {
+        args = parseArgs(options.argv || []);
+    } catch (error) {
+        throw new Error(`Ошибка в параметрах запуска: ${error.message}`);
+    }
+
+    const file = args.settingsFile || env.BRIDGE_SETTINGS || DEFAULT_SETTINGS_FILE;
+    const settings = { ...DEFAULT_SETTINGS };
+    const sources = Object.fromEntries(Object.keys(DEFAULT_SETTINGS).map(key => [key, 'default']));
+    const apply = (values, source) => {
+        Object.entries(values).forEach(([key, value]) => {
+            settings[key] = value;
+            sources[key] = source;
+        });
+    };
+
+    // Явно указанный файл обязан существовать, settings.json по умолчанию - нет
+    const explicitFile = file !== DEFAULT_SETTINGS_FILE;
+    let loadedFile = null;
+    try {
+        if (explicitFile || fs.existsSync(file)) {
+            const values = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const unknown = Object.keys(values).find(key => !(key in DEFAULT_SETTINGS));
+            if (unknown) {
+                throw new Error(`неизвестный параметр ${unknown}`);
+            }
+            apply(values, 'file');
+            loadedFile = file;
+            console.log(`Загружены настройки моста из ${file}`);
+        }
+    } catch (error) {
+        throw new Error(`Ошибка чтения ${file}: ${error.message}`);
+    }
+
+    const envValues = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        const text = env[toEnvName(key)];
+        if (text !== undefined) {
+            envValues[key] = parseSettingValue(key, text);
+        }
+    });
+    apply(envValues, 'env');
+    apply(args.values, 'cli');
+
+    const settingsError = validateSettings(settings);
+    if (settingsError) {
+        throw new Error(`Ошибка в настройках моста: ${settingsError}`);
+    }
+    return { settings, sources, file: loadedFile };
+}
+
+// Порт устройства tcp-modem должен попадать в диапазон портов модемов
+function isModemPort(settings, port) {
+    return Number.isInteger(port) && port >= settings.modemPortsStart && port <= settings.modemPortsEnd;
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    toEnvName,
+    toFlagName,
+    loadSettings,
+    isModemPort
+};
@@ -0,0 +1,107 @@
+// Очередь транзакций Modbus одного соединения: запросы не пересекаются, запись идет раньше опроса
+
+const PRIORITIES = ['write', 'read']; // В порядке убывания приоритета
+const LATENCY_WINDOW = 100; // По скольким последним транзакциям считается задержка
+
+/**
+ * Транзакции выполняются строго по одной. Из ожидающих первой берется запись,
+ * среди транзакций одного приоритета - по порядку поступления.
+ * Задержка транзакции - от постановки в очередь до получения ответа.
+ */
+function createTransactionQueue() {
+    const pending = new Map(PRIORITIES.map(priority => [priority, []]));
+    let running = false;
+    let maxDepth = 0;
+    let completedCount = 0;
+    let failedCount = 0;
+    let latencies = [];
+    let lastLatency = null;
+
+    function getDepth() {
+        let depth = 0;
+        pending.forEach(items => {
+            depth += items.length;
+        });
+        return depth;
+    }
+
+    function takeNext() {
+        for (const priority of PRIORITIES) {
+            const items = pending.get(priority);
+            if (items.length > 0) return items.shift();
+        }
+        return null;
+    }
+
+    function recordLatency(latency) {
+        lastLatency = latency;
+        latencies.push(latency);
+        if (latencies.length > LATENCY_WINDOW) {
+            latencies = latencies.slice(-LATENCY_WINDOW);
+        }
+    }
+
+    async function drain() {
+        if (running) return;
+        running = true;
+        let item;
+        while ((item = takeNext())) {
+            try {
+                item.resolve(await item.execute());
+                completedCount++;
+            } catch (error) {
+                failedCount++;
+                item.reject(error);
+            }
+            recordLatency(Date.now() - item.queuedAt);
+        }
+        running = false;
+    }
+
+    /**
+     * Ставит транзакцию в очередь.
+     * execute  - async () => результат, вызывается, когда подошла очередь
+     * priority - 'write' или 'read'
+     */
+    function run(execute, priority = 'read') {
+        return new Promise((resolve, reject) => {
+            pending.get(PRIORITIES.includes(priority) ? priority : 'read')
+                .push({ execute, resolve, reject, queuedAt: Date.now() });
+            maxDepth = Math.max(maxDepth, getDepth());
+            drain();
+        });
+    }
+
+    function stats() {
+        return {
+            depth: getDepth(),
+            pendingWrites: pending.get('write').length,
+            busy: running,
+            maxDepth,
+            completedCount,
+            failedCount,
+            lastLatency,
+            averageLatency: latencies.length > 0 ?
+                Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length) : null,
+            maxLatency: latencies.length > 0 ? Math.max(...latencies) : null
+        };
+    }
+
+    return {
+        run,
+        stats,
+        get depth() {
+            return getDepth();
+        }
+    };
+}
+
+// Приоритет по методу клиента ModbusRTU: writeRegister, writeCoils и т.д. - запись
+function getTransactionPriority(method) {
+    return method.startsWith('write') ? 'write' : 'read';
+}
+
+module.exports = {
+    createTransactionQueue,
+    getTransactionPriority
+};
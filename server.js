@@ -4,33 +4,179 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs");
 const net = require('net');
-
-// Конфигурация
-const OPC_UA_PORT = 52000;
-const WEB_PORT = 3000;
-const TCP_PORTS_START = 8000;
-const TCP_PORTS_END = 8100;
-const CONFIG_FILE = 'devices.json';
+const { buildMbapFrame, buildRtuFrame } = require('./lib/modbus-frame');
+const { MODBUS_EXCEPTION, buildExceptionPdu, processSlavePdu, createTagMemory } = require('./lib/modbus-slave');
+const {
+    BYTE_ORDERS,
+    isArrayTag,
+    getTagRegisterCount,
+    getDefaultTagValue,
+    isNumericTag,
+    isScaledTag,
+    hasTagLimits,
+    RAW_RANGES,
+    decodeTagValue,
+    encodeTagRegisters
+} = require('./lib/register-codec');
+const { planReadBlocks, planWriteBlocks } = require('./lib/register-blocks');
+const { STATES: CONNECTION_STATES, createDeviceConnection } = require('./lib/device-connection');
+const opcuaSecurity = require('./lib/opcua-security');
+const auth = require('./lib/auth');
+const { createAuditLog } = require('./lib/audit-log');
+const { MODES: HISTORY_MODES, AGGREGATES: HISTORY_AGGREGATES, validateAggregateInterval, createHistorian } = require('./lib/historian');
+const { getAlarmKind, validateAlarmConfig, createTagAlarm, createAlarmLog } = require('./lib/alarms');
+const { loadMqttConfig, createMqttPublisher } = require('./lib/mqtt-publisher');
+const { createEventStream } = require('./lib/event-stream');
+const { compileExpression } = require('./lib/expression');
+const {
+    SERIAL_FIELDS,
+    getSerialSettings,
+    isSameSerialSettings,
+    formatSerialSettings,
+    validateSerialSettings,
+    createSerialBus
+} = require('./lib/serial-bus');
+const { createTransactionQueue, getTransactionPriority } = require('./lib/transaction-queue');
+const { validateModemSettings, createModemConnections } = require('./lib/modem-connections');
+const { createModemPort } = require('./lib/modem-port');
+const { loadSettings, isModemPort } = require('./lib/settings');
+
+// Конфигурация: порты и файлы - из settings.json, переменных BRIDGE_* и ключей командной строки
+const { settings, sources: settingsSources, file: settingsFile } =
+    loadSettings({ argv: process.argv.slice(2), env: process.env });
+const OPC_UA_PORT = settings.opcuaPort;
+const WEB_PORT = settings.webPort;
+const CONFIG_FILE = settings.devicesFile;
+const SECURITY_CONFIG_FILE = settings.securityConfigFile;
+const USERS_FILE = settings.usersFile;
+const AUDIT_LOG_FILE = settings.auditLogFile;
+const HISTORY_FOLDER = settings.historyFolder;
+const ALARM_LOG_FILE = settings.alarmLogFile;
+const MQTT_CONFIG_FILE = settings.mqttConfigFile;
+const HISTORY_DEFAULT_PERIOD = 60 * 60 * 1000; // Период /api/history без from (мс)
+const HISTORY_MAX_POINTS = 1000; // Сколько интервалов агрегации строить по умолчанию
+const HISTORY_MAX_VALUES = 10000; // Сколько значений /api/history отдает за раз без агрегации
+const SESSION_COOKIE = 'bridge_session';
+const MODEM_RESPONSE_TIMEOUT = 3000; // Таймаут ответа счетчика через модем (мс)
+const DEVICE_RESPONSE_TIMEOUT = 3000; // Таймаут подключения и ответа Modbus TCP/RTU устройств (мс)
+const MODEM_FRAME_TIMEOUT = 3000; // Через сколько мс недособранный кадр отбрасывается
+const MODBUS_MAX_READ_REGISTERS = 125; // Предел FC3/FC4 по спецификации Modbus
+const MODBUS_MAX_READ_BITS = 2000; // Предел FC1/FC2 по спецификации Modbus
+const DEFAULT_MAX_READ_GAP = 10; // Сколько неиспользуемых регистров можно захватить, чтобы объединить теги
+
+// Типы устройств: сетевые (свое соединение на устройство), последовательные (общая шина на порт),
+// модемы с входящим соединением и виртуальные (только вычисляемые теги). Для сетевых - метод подключения ModbusRTU.
+const NETWORK_DEVICE_TYPES = {
+    'tcp': 'connectTCP', // Modbus TCP (MBAP)
+    'rtu-tcp': 'connectTelnet', // RTU кадры с CRC поверх TCP (преобразователи интерфейсов)
+    'udp': 'connectUDP' // Modbus UDP
+};
+const SERIAL_DEVICE_TYPES = ['rtu', 'ascii'];
+const DEVICE_TYPES = [...Object.keys(NETWORK_DEVICE_TYPES), ...SERIAL_DEVICE_TYPES, 'tcp-modem', 'virtual'];
+// Типы значений вычисляемых тегов
+const VIRTUAL_DATA_TYPES = ['double', 'float', 'int16', 'uint16', 'int32', 'uint32', 'boolean'];
+
+// Качество значения тега (имена кодов из opcua.StatusCodes)
+const TAG_STATUS = {
+    GOOD: 'Good',
+    WAITING: 'BadWaitingForInitialData',
+    COMM_ERROR: 'BadCommunicationError',
+    LAST_USABLE: 'UncertainLastUsableValue',
+    OUT_OF_SERVICE: 'BadOutOfService',
+    CONFIG_ERROR: 'BadConfigurationError',
+    OUT_OF_RANGE: 'BadOutOfRange',
+    ENCODING_ERROR: 'BadDataEncodingInvalid'
+};
+
+// Результат записи, отклоненной устройством: код исключения Modbus -> имя кода opcua.StatusCodes
+const WRITE_EXCEPTION_STATUS = {
+    [MODBUS_EXCEPTION.ILLEGAL_FUNCTION]: 'BadNotSupported',
+    [MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS]: 'BadNotWritable',
+    [MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE]: 'BadOutOfRange',
+    [MODBUS_EXCEPTION.SLAVE_DEVICE_FAILURE]: 'BadDeviceFailure',
+    0x06: 'BadResourceUnavailable', // Slave Device Busy
+    0x0A: 'BadNoCommunication', // Gateway Path Unavailable
+    0x0B: 'BadTimeout' // Gateway Target Device Failed to Respond
+};
+// Поля ограничений записи тега
+const WRITE_POLICY_FIELDS = ['writeMin', 'writeMax', 'writeAllowedValues', 'writeVerify', 'writeMinInterval'];
 
 // Создаем Express сервер для веб-интерфейса
 const webApp = express();
 webApp.use(express.json());
-webApp.use(express.static('public'));
+webApp.use(express.static(path.join(__dirname, 'public')));
+
+// Пользователи, сессии веб-интерфейса и журнал записей
+const userStore = auth.createUserStore(USERS_FILE);
+const webSessions = auth.createSessionStore();
+const auditLog = createAuditLog({ file: AUDIT_LOG_FILE });
+const alarmLog = createAlarmLog({ file: ALARM_LOG_FILE });
+const eventStream = createEventStream();
+// Подключения модемов: привязка к устройствам по регистрации, подключение и отключение - в поток событий
+const modemConnections = createModemConnections({
+    getDevices: () => devices,
+    frameTimeout: MODEM_FRAME_TIMEOUT,
+    // В режиме master формат задает сессия устройства, иначе - устройства-slave сокета
+    getProtocol: (socket, port) => modemSessions.has(socket) ?
+        modemSessions.get(socket).protocol :
+        getModemSlaveProtocol(socket, port),
+    onChange: (connection, event) => eventStream.publish('modem', { ...connection, event })
+});
+const historian = createHistorian({
+    folder: HISTORY_FOLDER,
+    getRetentionDays: (deviceId, tagName) => {
+        const device = devices.find(d => d.id === deviceId);
+        const tag = device && device.tags.find(t => t.name === tagName);
+        return tag ? tag.historyRetentionDays : null;
+    }
+});
+
+// Публикация тегов в MQTT (JSON или Sparkplug B), включается в mqtt.json
+const mqttConfig = loadMqttConfig(MQTT_CONFIG_FILE);
+const mqttPublisher = mqttConfig.enabled ? createMqttPublisher({
+    config: mqttConfig,
+    getDevices: () => devices,
+    getTagValue: (tag) => ({
+        value: tag.currentValue ?? null,
+        status: tag.status,
+        timestamp: tag.timestamp,
+        unit: tag.unit,
+        dataType: getOPCUADataType(getTagValueType(tag))
+    }),
+    onCommand: writeTagFromMqtt
+}) : null;
+
+// Настройки безопасности OPC UA: режимы, политики, сертификаты и пользователи
+const securityConfig = opcuaSecurity.loadSecurityConfig(SECURITY_CONFIG_FILE);
+const serverSecurityOptions = opcuaSecurity.getServerSecurityOptions(securityConfig, userStore);
 
 // Создаем OPC UA сервер
 const server = new opcua.OPCUAServer({
     port: OPC_UA_PORT,
-    resourcePath: "/UA/MyServer",
+    resourcePath: settings.resourcePath,
     buildInfo: {
-        productName: "Modbus-OPC-UA-Bridge",
-        buildNumber: "1.0.0"
-    }
+        productName: settings.productName,
+        buildNumber: settings.buildNumber
+    },
+    ...serverSecurityOptions
 });
 
 let devices = [];
 let modbusClients = new Map();
 let opcuaVariables = new Map();
-let tcpConnections = new Map(); // Храним TCP соединения с модемами
+let modemSessions = new Map(); // Сессии Modbus master поверх сокетов модемов (по сокету)
+let serialBuses = new Map(); // Общие шины RS-485: одно соединение на все ведомые на порту (по пути к порту)
+let failedReadBlocks = new Map(); // Блоки, ответившие исключением: читаются по тегам (по id устройства)
+let deviceConnections = new Map(); // Состояние связи и счетчики ошибок (по id устройства)
+let deviceObjects = new Map(); // OPC UA объекты устройств (по id устройства)
+let pollingTimers = new Map(); // Таймеры опроса (по id устройства)
+let activePolls = new Set(); // Устройства, цикл опроса которых еще не закончился
+let devicesFolder = null; // Папка ModbusDevices в адресном пространстве
+let tagAlarms = new Map(); // Аварии тегов: состояние и условие OPC UA (по id устройства, затем по имени тега)
+let streamedTagValues = new WeakMap(); // Последнее значение и качество тега, отправленные в поток событий
+let virtualTagPrograms = new WeakMap(); // Тег -> выражение и состояние вычисляемого тега
+let lastTagWrites = new WeakMap(); // Тег -> время последней записи, пропущенной к устройству (для writeMinInterval)
+let modemListeners = new Map(); // TCP серверы для модемов (по порту)
 
 // Загрузка конфигурации устройств
 function loadDevicesConfig() {
@@ -51,57 +197,237 @@ function saveDevicesConfig() {
     try {
         fs.writeFileSync(CONFIG_FILE, JSON.stringify(devices, null, 2));
         console.log("Конфигурация устройств сохранена");
+        eventStream.publish('devices', { count: devices.length });
     } catch (error) {
         console.error("Ошибка сохранения конфигурации:", error);
     }
 }
 
+// Вход в веб-интерфейс: сессия в cookie, для скриптов тот же токен в заголовке Authorization: Bearer
+webApp.post('/api/login', (req, res) => {
+    const { username, password } = req.body;
+    const user = username && password ? userStore.authenticate(username, password) : null;
+    if (!user) {
+        console.log(`🔐 Неудачный вход пользователя ${username}`);
+        return res.status(401).json({ error: "Неверное имя пользователя или пароль" });
+    }
+
+    const token = webSessions.create(user);
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/`);
+    console.log(`🔐 Вход пользователя ${user.username} (${user.role})`);
+    res.json({ success: true, token, username: user.username, role: user.role });
+});
+
+webApp.post('/api/logout', (req, res) => {
+    webSessions.destroy(getRequestToken(req));
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+    res.json({ success: true });
+});
+
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7);
+    }
+    return auth.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+}
+
+// Все остальные маршруты /api требуют входа
+webApp.use('/api', (req, res, next) => {
+    const user = userStore.find(webSessions.touch(getRequestToken(req)));
+    if (!user) {
+        return res.status(401).json({ error: "Требуется вход" });
+    }
+    req.user = user;
+    next();
+});
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!auth.hasRole(req.user, role)) {
+            return res.status(403).json({ error: "Недостаточно прав" });
+        }
+        next();
+    };
+}
+
+webApp.get('/api/me', (req, res) => {
+    res.json({ username: req.user.username, role: req.user.role, devices: req.user.devices });
+});
+
+webApp.get('/api/audit', (req, res) => {
+    res.json(auditLog.query(req.query));
+});
+
 // API маршруты
 webApp.get('/api/devices', (req, res) => {
     res.json(devices);
 });
 
+// Подключения модемов с привязанными устройствами и история подключений и отключений
 webApp.get('/api/connections', (req, res) => {
-    const connections = [];
-    tcpConnections.forEach((socket, key) => {
-        connections.push({
-            id: key,
-            remoteAddress: socket.remoteAddress,
-            remotePort: socket.remotePort,
-            localPort: socket.localPort,
-            connected: !socket.destroyed
-        });
+    res.json({
+        connections: modemConnections.list(),
+        history: modemConnections.history()
+    });
+});
+
+// Поток событий для веб-интерфейса (SSE): ?devices=id1,id2 - только эти устройства,
+// ?events=tag,connection,modem,alarm,devices - только эти события
+webApp.get('/api/events', (req, res) => {
+    eventStream.subscribe(req, res);
+});
+
+// Шины RS-485: настройки порта, устройства и счетчики запросов
+webApp.get('/api/buses', (req, res) => {
+    res.json([...serialBuses.values()].map(bus => bus.status()));
+});
+
+// Действующие настройки запуска и источник каждого значения: default, file, env или cli
+webApp.get('/api/settings', (req, res) => {
+    res.json({
+        settings,
+        sources: settingsSources,
+        file: settingsFile,
+        modemPorts: [...modemListeners.keys()].sort((a, b) => a - b)
+    });
+});
+
+webApp.get('/api/mqtt', (req, res) => {
+    res.json(mqttPublisher ? mqttPublisher.status() : { enabled: false });
+});
+
+webApp.get('/api/devices/:id/status', (req, res) => {
+    const device = devices.find(d => d.id === req.params.id);
+    if (!device) {
+        return res.status(404).json({ error: "Устройство не найдено" });
+    }
+
+    res.json({
+        id: device.id,
+        name: device.name,
+        connected: Boolean(device.connected),
+        ...getDeviceConnection(device).snapshot(),
+        queue: getDeviceQueueStats(device)
     });
-    res.json(connections);
 });
 
-webApp.post('/api/devices', (req, res) => {
+// Сертификаты клиентов OPC UA: доверенные и отклоненные
+webApp.get('/api/opcua/certificates', (req, res) => {
+    res.json(opcuaSecurity.listCertificates(serverSecurityOptions.serverCertificateManager));
+});
+
+webApp.post('/api/opcua/certificates/trust', requireRole('engineer'), (req, res) => {
+    handleCertificateTrust(req, res, true);
+});
+
+webApp.post('/api/opcua/certificates/reject', requireRole('engineer'), (req, res) => {
+    handleCertificateTrust(req, res, false);
+});
+
+async function handleCertificateTrust(req, res, trusted) {
     try {
-        const newDevice = req.body;
-        
-        // Валидация
-        if (!newDevice.name || !newDevice.type || !newDevice.tags || !Array.isArray(newDevice.tags)) {
-            return res.status(400).json({ error: "Неверные данные устройства" });
+        if (!req.body.file) {
+            return res.status(400).json({ error: "Не указан файл сертификата" });
         }
 
-        // Генерируем ID если нет
-        if (!newDevice.id) {
-            newDevice.id = Date.now().toString();
+        const moved = await opcuaSecurity.setCertificateTrust(
+            serverSecurityOptions.serverCertificateManager, req.body.file, trusted);
+        if (!moved) {
+            return res.status(404).json({ error: "Сертификат не найден" });
         }
 
-        devices.push(newDevice);
-        saveDevicesConfig();
-        
-        // Инициализируем новое устройство
-        initializeDevice(newDevice);
-        
+        console.log(`🔐 Сертификат ${req.body.file} ${trusted ? 'добавлен в доверенные' : 'отклонен'}`);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+webApp.post('/api/devices', requireRole('engineer'), (req, res) => {
+    try {
+        const newDevice = req.body;
+        const validationError = addDevice(newDevice);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
         res.json({ success: true, device: newDevice });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-webApp.delete('/api/devices/:id', (req, res) => {
+// Добавление устройства (API и метод AddDevice OPC UA). Возвращает текст ошибки или null
+function addDevice(newDevice) {
+    // Валидация
+    const validationError = validateDeviceRequest(newDevice);
+    if (validationError) {
+        return validationError;
+    }
+
+    // Генерируем ID если нет
+    if (!newDevice.id) {
+        newDevice.id = Date.now().toString();
+    } else if (devices.some(d => d.id === newDevice.id)) {
+        return `Устройство с id ${newDevice.id} уже существует`;
+    }
+
+    const busError = checkSerialBus(newDevice, newDevice.id);
+    if (busError) {
+        return busError;
+    }
+
+    devices.push(newDevice);
+    saveDevicesConfig();
+    syncModemListeners();
+
+    // Инициализируем новое устройство
+    initializeDevice(newDevice);
+    return null;
+}
+
+// PUT заменяет конфигурацию целиком, PATCH меняет только переданные поля
+// (список тегов в PATCH передается полностью). Применяется без перезапуска.
+webApp.put('/api/devices/:id', requireRole('engineer'), (req, res) => {
+    handleDeviceUpdate(req, res, false);
+});
+
+webApp.patch('/api/devices/:id', requireRole('engineer'), (req, res) => {
+    handleDeviceUpdate(req, res, true);
+});
+
+function handleDeviceUpdate(req, res, partial) {
+    try {
+        const device = devices.find(d => d.id === req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: "Устройство не найдено" });
+        }
+
+        const config = partial ? { ...getDeviceConfig(device), ...req.body } : { ...req.body };
+        // Форма редактирования не передает enabled: состояние вкл/выкл сохраняется
+        if (config.enabled === undefined && device.enabled !== undefined) {
+            config.enabled = device.enabled;
+        }
+        delete config.id;
+        delete config.connected;
+
+        const validationError = validateDeviceRequest(config) || checkSerialBusProtocol(config, device.id);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        updateDevice(device, config);
+        applySerialBusSettings(device);
+        saveDevicesConfig();
+        syncModemListeners();
+
+        res.json({ success: true, device });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+webApp.delete('/api/devices/:id', requireRole('engineer'), (req, res) => {
     try {
         const deviceId = req.params.id;
         const index = devices.findIndex(d => d.id === deviceId);
@@ -110,18 +436,9 @@ webApp.delete('/api/devices/:id', (req, res) => {
             return res.status(404).json({ error: "Устройство не найдено" });
         }
 
-        // Удаляем OPC UA переменные
-        removeDeviceVariables(deviceId);
-        
-        // Закрываем Modbus соединение
-        const client = modbusClients.get(deviceId);
-        if (client) {
-            client.close().catch(() => {});
-            modbusClients.delete(deviceId);
-        }
-
-        devices.splice(index, 1);
+        removeDevice(devices[index]);
         saveDevicesConfig();
+        syncModemListeners();
         
         res.json({ success: true });
     } catch (error) {
@@ -129,6 +446,21 @@ webApp.delete('/api/devices/:id', (req, res) => {
     }
 });
 
+// Удаление устройства (API и метод ReloadConfig OPC UA); конфигурацию сохраняет вызывающий
+function removeDevice(device) {
+    // Останавливаем опрос, удаляем узлы OPC UA и закрываем Modbus соединение
+    stopDevicePolling(device.id);
+    mqttPublisher?.deviceOffline(device);
+    removeDeviceNodes(device.id);
+    closeDeviceClient(device.id);
+    failedReadBlocks.delete(device.id);
+    deviceConnections.delete(device.id);
+
+    devices.splice(devices.indexOf(device), 1);
+    // Вычисляемые теги, ссылавшиеся на устройство, теряют входы
+    updateVirtualTags(device);
+}
+
 webApp.get('/api/values', (req, res) => {
     const values = {};
     devices.forEach(device => {
@@ -138,7 +470,10 @@ webApp.get('/api/values', (req, res) => {
         };
         device.tags.forEach(tag => {
             values[device.id].tags[tag.name] = {
-                value: tag.currentValue || 0,
+                value: tag.currentValue ?? getDefaultTagValue(tag),
+                status: tag.status || TAG_STATUS.WAITING,
+                timestamp: tag.timestamp || null,
+                unit: tag.unit,
                 writable: isTagWritable(tag.registerType)
             };
         });
@@ -146,7 +481,121 @@ webApp.get('/api/values', (req, res) => {
     res.json(values);
 });
 
-webApp.post('/api/write', async (req, res) => {
+// Архив тега: device (id или имя), tag, from, to (ISO время), необязательно
+// aggregate (avg, min, max) и interval (мс) для усреднения по интервалам.
+// Без агрегации отдается не больше HISTORY_MAX_VALUES значений: при truncated
+// продолжение запрашивается с from = next
+webApp.get('/api/history', (req, res) => {
+    const device = devices.find(d => d.id === req.query.device || d.name === req.query.device);
+    if (!device) {
+        return res.status(404).json({ error: "Устройство не найдено" });
+    }
+    const tag = device.tags.find(t => t.name === req.query.tag);
+    if (!tag) {
+        return res.status(404).json({ error: "Тег не найден" });
+    }
+    if (!tag.historize) {
+        return res.status(400).json({ error: "Тег не архивируется" });
+    }
+
+    const to = req.query.to ? Date.parse(req.query.to) : Date.now();
+    const from = req.query.from ? Date.parse(req.query.from) : to - HISTORY_DEFAULT_PERIOD;
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+        return res.status(400).json({ error: "Неверный период" });
+    }
+
+    const aggregate = req.query.aggregate || null;
+    if (aggregate && !HISTORY_AGGREGATES.includes(aggregate)) {
+        return res.status(400).json({ error: `Неизвестная функция агрегации ${aggregate}` });
+    }
+    const interval = req.query.interval !== undefined ?
+        Number(req.query.interval) : Math.ceil((to - from) / HISTORY_MAX_POINTS);
+    const intervalError = validateAggregateInterval(from, to, interval);
+    if (intervalError) {
+        return res.status(400).json({ error: `Интервал агрегации ${intervalError}` });
+    }
+
+    // Без агрегации значения отдаются частями: next - время, с которого запросить продолжение
+    let samples;
+    let next = null;
+    if (aggregate) {
+        samples = historian.aggregate(device.id, tag.name, from, to, interval, aggregate);
+    } else {
+        samples = historian.query(device.id, tag.name, from, to, HISTORY_MAX_VALUES + 1);
+        if (samples.length > HISTORY_MAX_VALUES) {
+            next = samples.pop().t;
+        }
+    }
+
+    res.json({
+        device: device.id,
+        tag: tag.name,
+        unit: tag.unit,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        aggregate,
+        interval: aggregate ? interval : null,
+        truncated: next !== null,
+        next: next !== null ? new Date(next).toISOString() : null,
+        values: samples.map(sample => ({
+            time: new Date(sample.t).toISOString(),
+            value: sample.v,
+            status: sample.s
+        }))
+    });
+});
+
+// Аварии тегов с текущим состоянием; ?active=true - только активные и ожидающие квитирования
+webApp.get('/api/alarms', (req, res) => {
+    const alarms = [];
+    devices.forEach(device => {
+        device.tags.forEach(tag => {
+            const alarm = tagAlarms.get(device.id)?.get(tag.name);
+            if (!alarm) return;
+            const snapshot = alarm.state.snapshot();
+            if (req.query.active === 'true' && !snapshot.retained) return;
+            alarms.push({ deviceId: device.id, device: device.name, tag: tag.name, unit: tag.unit, ...snapshot });
+        });
+    });
+    res.json(alarms);
+});
+
+webApp.get('/api/alarms/history', (req, res) => {
+    res.json(alarmLog.query(req.query));
+});
+
+webApp.post('/api/alarms/acknowledge', requireRole('operator'), (req, res) => {
+    handleAlarmRequest(req, res, 'acknowledge');
+});
+
+webApp.post('/api/alarms/confirm', requireRole('operator'), (req, res) => {
+    handleAlarmRequest(req, res, 'confirm');
+});
+
+function handleAlarmRequest(req, res, action) {
+    const { deviceId, tagName, comment } = req.body;
+    const device = devices.find(d => d.id === deviceId);
+    if (!device) {
+        return res.status(404).json({ error: "Устройство не найдено" });
+    }
+    const tag = device.tags.find(t => t.name === tagName);
+    if (!tag || !tagAlarms.get(device.id)?.has(tag.name)) {
+        return res.status(404).json({ error: "Авария не найдена" });
+    }
+    if (!auth.canWriteDevice(req.user, device)) {
+        return res.status(403).json({ error: "Нет прав на это устройство" });
+    }
+
+    const actor = { user: req.user.username, role: req.user.role, source: 'web' };
+    if (!handleAlarmAction(device, tag, action, actor, comment)) {
+        return res.status(409).json({
+            error: action === 'acknowledge' ? "Авария уже квитирована" : "Авария не квитирована или уже подтверждена"
+        });
+    }
+    res.json({ success: true, alarm: tagAlarms.get(device.id).get(tag.name).state.snapshot() });
+}
+
+webApp.post('/api/write', requireRole('operator'), async (req, res) => {
     try {
         const { deviceId, tagName, value } = req.body;
         
@@ -158,6 +607,9 @@ webApp.post('/api/write', async (req, res) => {
         if (!device) {
             return res.status(404).json({ error: "Устройство не найдено" });
         }
+        if (device.enabled === false) {
+            return res.status(409).json({ error: "Устройство отключено" });
+        }
 
         const tag = device.tags.find(t => t.name === tagName);
         if (!tag) {
@@ -168,22 +620,30 @@ webApp.post('/api/write', async (req, res) => {
             return res.status(400).json({ error: "Этот тег доступен только для чтения" });
         }
 
+        const actor = { user: req.user.username, role: req.user.role, source: 'web' };
+        if (!auth.canWriteDevice(req.user, device)) {
+            recordWriteAudit(device, tag, value, actor, 'denied');
+            return res.status(403).json({ error: "Нет прав на запись в это устройство" });
+        }
+
+        let tagValue;
+        try {
+            tagValue = parseTagValue(tag, value);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
         // Записываем значение в устройство
-        const success = await writeTagValue(device, tag, parseFloat(value));
-        
-        if (success) {
-            // Обновляем значение в OPC UA
-            const variable = opcuaVariables.get(deviceId)?.get(tagName);
-            if (variable) {
-                variable.setValueFromSource(new opcua.Variant({
-                    dataType: getOPCUADataTypeCode(tag.dataType),
-                    value: tag.currentValue
-                }));
-            }
-            
+        const result = await writeTagValue(device, tag, tagValue, actor);
+
+        if (result.status === TAG_STATUS.GOOD) {
             res.json({ success: true, value: tag.currentValue });
+        } else if (result.rejected) {
+            // Ограничения тега: значение вне допустимых или слишком частая запись
+            res.status(result.status === 'BadTooManyOperations' ? 429 : 400)
+                .json({ error: result.error, status: result.status });
         } else {
-            res.status(500).json({ error: "Ошибка записи в устройство" });
+            res.status(500).json({ error: `Ошибка записи в устройство: ${result.error}`, status: result.status });
         }
 
     } catch (error) {
@@ -195,274 +655,178 @@ webApp.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+webApp.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
 webApp.get('/add-device', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'add-device.html'));
 });
 
-// TCP сервер для модемов
-// function startTCPServers() {
-//     for (let port = TCP_PORTS_START; port <= TCP_PORTS_END; port++) {
-//         const tcpServer = net.createServer((socket) => {
-//             const connectionId = `${socket.remoteAddress}:${socket.remotePort}:${port}`;
-//             console.log(`Новое подключение от модема: ${connectionId}`);
-            
-//             // Сохраняем соединение
-//             tcpConnections.set(connectionId, socket);
-            
-//             socket.on('data', (data) => {
-//                 console.log(`Данные от модема ${connectionId}:`, data.toString('hex'));
-                
-//                 // Обработка Modbus запросов
-//                 handleModbusRequest(data, socket, port);
-//             });
-            
-//             socket.on('close', () => {
-//                 console.log(`Соединение с модемом ${connectionId} закрыто`);
-//                 tcpConnections.delete(connectionId);
-//             });
-            
-//             socket.on('error', (err) => {
-//                 console.error(`Ошибка с модемом ${connectionId}:`, err.message);
-//                 tcpConnections.delete(connectionId);
-//             });
-//         });
-
-//         tcpServer.listen(port, '0.0.0.0', () => {
-//             console.log(`TCP сервер запущен на порту ${port}`);
-//         }).on('error', (err) => {
-//             console.error(`Не удалось запустить сервер на порту ${port}:`, err.message);
-//         });
-//     }
-// }
+// Редактирование использует ту же форму, устройство загружается по id из адреса
+webApp.get('/edit-device/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'add-device.html'));
+});
+
+// Порты, на которые должны подключаться модемы: порты устройств tcp-modem
+function getModemPorts() {
+    return new Set(devices
+        .filter(device => device.type === 'tcp-modem' && isModemPort(settings, device.port))
+        .map(device => device.port));
+}
+
+// TCP серверы для модемов: открываются порты устройств tcp-modem, порты без устройств закрываются.
+// Вызывается при запуске и после каждого изменения списка устройств
+function syncModemListeners() {
+    const ports = getModemPorts();
+    ports.forEach(port => {
+        if (!modemListeners.has(port)) {
+            startModemListener(port);
+        }
+    });
+    modemListeners.forEach((tcpServer, port) => {
+        if (!ports.has(port)) {
+            stopModemListener(port, 'на порту не осталось устройств');
+        }
+    });
+}
+
+function stopModemListener(port, reason) {
+    const tcpServer = modemListeners.get(port);
+    modemListeners.delete(port);
+    tcpServer.close(() => {
+        console.log(`🔌 TCP сервер на порту ${port} остановлен: ${reason}`);
+    });
+    modemConnections.closeAll(reason, port);
+}
 
 // TCP сервер для модемов
-function startTCPServers() {
-    for (let port = TCP_PORTS_START; port <= TCP_PORTS_END; port++) {
-        const tcpServer = net.createServer((socket) => {
-            const connectionId = `${socket.remoteAddress}:${socket.remotePort}:${port}`;
-            console.log(`✅ Новое подключение от модема: ${connectionId}`);
-            
-            // Сохраняем соединение
-            tcpConnections.set(connectionId, socket);
-            
-            socket.on('data', (data) => {
-                console.log(`📨 Данные от модема ${connectionId}: ${data.toString('hex')}`);
-                
-                // Обработка Modbus запросов
-                handleModbusRequest(data, socket, port);
-            });
-            
-            socket.on('close', () => {
-                console.log(`🔌 Соединение с модемом ${connectionId} закрыто`);
-                tcpConnections.delete(connectionId);
-            });
-            
-            socket.on('error', (err) => {
-                console.error(`❌ Ошибка с модемом ${connectionId}:`, err.message);
-                tcpConnections.delete(connectionId);
-            });
-        });
+function startModemListener(port) {
+    const tcpServer = net.createServer((socket) => {
+        // Регистрация, heartbeat, таймаут простоя, история и разбор кадров - в modemConnections,
+        // сюда приходят разобранные кадры Modbus уже без пакетов модема
+        const connectionId = modemConnections.accept(socket, port, (frame) => {
+            // В режиме master сокет обслуживает клиент Modbus, это ответы счетчиков
+            const session = modemSessions.get(socket);
+            if (session) {
+                session.modemPort.receive(frame);
+                return;
+            }
 
-        tcpServer.listen(port, '0.0.0.0', () => {
-            console.log(`✅ TCP сервер запущен на порту ${port}`);
-        }).on('error', (err) => {
-            console.error(`❌ Не удалось запустить сервер на порту ${port}:`, err.message);
+            // Обработка Modbus запросов
+            handleModbusRequest(frame, socket, port);
+        }).id;
+        console.log(`✅ Новое подключение от модема: ${connectionId}`);
+
+        socket.on('close', () => {
+            console.log(`🔌 Соединение с модемом ${connectionId} закрыто`);
         });
-    }
+        
+        socket.on('error', (err) => {
+            console.error(`❌ Ошибка с модемом ${connectionId}:`, err.message);
+        });
+    });
+
+    modemListeners.set(port, tcpServer);
+    tcpServer.listen(port, '0.0.0.0', () => {
+        console.log(`✅ TCP сервер запущен на порту ${port}`);
+    }).on('error', (err) => {
+        console.error(`❌ Не удалось запустить сервер на порту ${port}:`, err.message);
+        // Порт будет занят повторно при следующем изменении устройств
+        if (modemListeners.get(port) === tcpServer) {
+            modemListeners.delete(port);
+        }
+    });
 }
 
-// Обработка Modbus запросов
-// function handleModbusRequest(data, socket, port) {
-//     try {
-//         // Парсим Modbus запрос
-//         const transactionId = data.readUInt16BE(0);
-//         const protocolId = data.readUInt16BE(2);
-//         const length = data.readUInt16BE(4);
-//         const unitId = data.readUInt5BE(6);
-//         const functionCode = data.readUInt8(7);
-        
-//         // Находим устройство по порту и unitId
-//         const device = devices.find(d => 
-//             d.type === 'tcp-modem' && 
-//             d.port === port && 
-//             d.deviceId === unitId
-//         );
-        
-//         if (!device) {
-//             console.log(`Устройство не найдено для порта ${port}, unitId ${unitId}`);
-//             return;
-//         }
-        
-//         // Обрабатываем функцию чтения регистров
-//         if (functionCode === 0x03) { // Read Holding Registers
-//             const startAddress = data.readUInt16BE(8);
-//             const quantity = data.readUInt16BE(10);
-            
-//             // Ищем тег по адресу
-//             const tag = device.tags.find(t => t.address === startAddress);
-            
-//             if (tag) {
-//                 const value = tag.currentValue || 0;
-//                 let responseData;
-                
-//                 if (tag.dataType === 'float') {
-//                     const buffer = Buffer.alloc(4);
-//                     buffer.writeFloatBE(value, 0);
-//                     responseData = Buffer.from([
-//                         buffer.readUInt8(0), buffer.readUInt8(1),
-//                         buffer.readUInt8(2), buffer.readUInt8(3)
-//                     ]);
-//                 } else {
-//                     responseData = Buffer.alloc(2);
-//                     responseData.writeUInt16BE(Math.round(value));
-//                 }
-                
-//                 // Формируем ответ
-//                 const response = Buffer.alloc(9 + responseData.length);
-//                 response.writeUInt16BE(transactionId, 0);
-//                 response.writeUInt16BE(protocolId, 2);
-//                 response.writeUInt16BE(3 + responseData.length, 4); // length
-//                 response.writeUInt8(unitId, 6);
-//                 response.writeUInt8(0x03, 7); // function code
-//                 response.writeUInt8(responseData.length, 8); // byte count
-//                 responseData.copy(response, 9);
-                
-//                 socket.write(response);
-//                 console.log(`Отправлен ответ для адреса ${startAddress}: ${value}`);
-//             }
-//         }
-        
-//     } catch (error) {
-//         console.error('Ошибка обработки Modbus запроса:', error);
-//     }
-// }
+// Обработка Modbus запросов (мост работает как slave для удаленного мастера)
+function handleModbusRequest(frame, socket, port) {
+    const { unitId, pdu } = frame;
+    const functionCode = pdu.readUInt8(0);
+
+    // Ответ в том же формате, в котором пришел запрос
+    const sendResponse = (responsePdu) => {
+        const response = frame.protocol === 'rtu' ?
+            buildRtuFrame(unitId, responsePdu) :
+            buildMbapFrame(frame.transactionId, unitId, responsePdu, frame.protocolId);
+
+        console.log(`📤 Отправляем ответ: ${response.toString('hex')}`);
+        socket.write(response);
+    };
 
-// Обработка Modbus запросов
-function handleModbusRequest(data, socket, port) {
     try {
-        console.log(`📨 Modbus запрос: ${data.toString('hex')}`);
-
-        // Парсим Modbus TCP заголовок
-        const transactionId = data.readUInt16BE(0);
-        const protocolId = data.readUInt16BE(2);
-        const length = data.readUInt16BE(4);
-        const unitId = data.readUInt8(6); // Исправлено: readUInt8 вместо readUInt5BE
-        const functionCode = data.readUInt8(7);
-        
-        console.log(`📊 Transaction ID: ${transactionId}`);
-        console.log(`📊 Protocol ID: ${protocolId}`);
-        console.log(`📊 Length: ${length}`);
-        console.log(`📊 Unit ID: ${unitId}`);
-        console.log(`📊 Function Code: 0x${functionCode.toString(16)}`);
-
-        // Находим устройство по порту и unitId
-        const device = devices.find(d => 
-            d.type === 'tcp-modem' && 
-            d.port === port && 
+        console.log(`📨 Modbus запрос (${frame.protocol}): ${frame.raw.toString('hex')}`);
+        console.log(`📊 Unit ID: ${unitId}, Function Code: 0x${functionCode.toString(16)}`);
+
+        // Находим устройство по unitId среди привязанных к сокету регистрацией, иначе - по порту
+        const device = getModemSlaveDevices(socket, port).find(d =>
+            d.enabled !== false &&
             d.deviceId === unitId
         );
-        
+
+        let responsePdu;
         if (!device) {
             console.log(`❌ Устройство не найдено для порта ${port}, unitId ${unitId}`);
-            
-            // Отправляем ошибку "Illegal Data Address" (код 0x02)
-            const errorResponse = Buffer.alloc(9);
-            errorResponse.writeUInt16BE(transactionId, 0);
-            errorResponse.writeUInt16BE(protocolId, 2);
-            errorResponse.writeUInt16BE(3, 4);
-            errorResponse.writeUInt8(unitId, 6);
-            errorResponse.writeUInt8(0x83, 7); // Function code + 0x80 для ошибки
-            errorResponse.writeUInt8(0x02, 8); // Error code: Illegal Data Address
-            
-            socket.write(errorResponse);
-            return;
-        }
-        
-        // Обрабатываем функцию чтения регистров (0x03)
-        if (functionCode === 0x03) {
-            const startAddress = data.readUInt16BE(8);
-            const quantity = data.readUInt16BE(10);
-            
-            console.log(`📊 Запрос регистров: адрес=${startAddress}, количество=${quantity}`);
-
-            // Ищем тег по адресу
-            const tag = device.tags.find(t => t.address === startAddress);
-            
-            if (tag) {
-                const value = tag.currentValue || 0;
-                console.log(`✅ Найден тег: ${tag.name}, значение: ${value}`);
-                
-                let responseData;
-                
-                if (tag.dataType === 'float') {
-                    const buffer = Buffer.alloc(4);
-                    buffer.writeFloatBE(value, 0);
-                    responseData = Buffer.from([
-                        buffer.readUInt8(0), buffer.readUInt8(1),
-                        buffer.readUInt8(2), buffer.readUInt8(3)
-                    ]);
-                } else {
-                    responseData = Buffer.alloc(2);
-                    responseData.writeUInt16BE(Math.round(value));
-                }
-                
-                // Формируем ответ
-                const response = Buffer.alloc(9 + responseData.length);
-                response.writeUInt16BE(transactionId, 0);
-                response.writeUInt16BE(protocolId, 2);
-                response.writeUInt16BE(3 + responseData.length, 4); // length
-                response.writeUInt8(unitId, 6);
-                response.writeUInt8(0x03, 7); // function code
-                response.writeUInt8(responseData.length, 8); // byte count
-                responseData.copy(response, 9);
-                
-                console.log(`📤 Отправляем ответ: ${response.toString('hex')}`);
-                socket.write(response);
-            } else {
-                console.log(`❌ Тег не найден для адреса ${startAddress}`);
-                
-                // Отправляем ошибку "Illegal Data Address"
-                const errorResponse = Buffer.alloc(9);
-                errorResponse.writeUInt16BE(transactionId, 0);
-                errorResponse.writeUInt16BE(protocolId, 2);
-                errorResponse.writeUInt16BE(3, 4);
-                errorResponse.writeUInt8(unitId, 6);
-                errorResponse.writeUInt8(0x83, 7); // Function code + 0x80 для ошибки
-                errorResponse.writeUInt8(0x02, 8); // Error code: Illegal Data Address
-                
-                socket.write(errorResponse);
-            }
+            responsePdu = buildExceptionPdu(functionCode, MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS);
         } else {
-            console.log(`❌ Неподдерживаемая функция: 0x${functionCode.toString(16)}`);
-            
-            // Отправляем ошибку "Illegal Function" (код 0x01)
-            const errorResponse = Buffer.alloc(9);
-            errorResponse.writeUInt16BE(transactionId, 0);
-            errorResponse.writeUInt16BE(protocolId, 2);
-            errorResponse.writeUInt16BE(3, 4);
-            errorResponse.writeUInt8(unitId, 6);
-            errorResponse.writeUInt8(0x80 + functionCode, 7); // Function code + 0x80
-            errorResponse.writeUInt8(0x01, 8); // Error code: Illegal Function
-            
-            socket.write(errorResponse);
+            responsePdu = processSlavePdu(getSlaveMemory(device), pdu);
+            getDeviceConnection(device).pollSucceeded();
         }
+
+        // На широковещательные RTU запросы ответ не отправляется
+        if (frame.protocol === 'rtu' && unitId === 0) return;
+
+        sendResponse(responsePdu);
         
     } catch (error) {
         console.error('❌ Ошибка обработки Modbus запроса:', error);
         
         // Отправляем общую ошибку
-        const errorResponse = Buffer.alloc(9);
-        errorResponse.writeUInt16BE(data.readUInt16BE(0), 0); // Transaction ID из запроса
-        errorResponse.writeUInt16BE(0, 2); // Protocol ID
-        errorResponse.writeUInt16BE(3, 4); // Length
-        errorResponse.writeUInt8(data.readUInt8(6), 6); // Unit ID из запроса
-        errorResponse.writeUInt8(0x80 + data.readUInt8(7), 7); // Function code + 0x80
-        errorResponse.writeUInt8(0x04, 8); // Error code: Slave Device Failure
-        
-        socket.write(errorResponse);
+        sendResponse(buildExceptionPdu(functionCode, MODBUS_EXCEPTION.SLAVE_DEVICE_FAILURE));
     }
 }
 
+// Устройства-slave, которые обслуживает сокет модема: привязанные к нему регистрацией
+// или, пока модем не зарегистрировался, устройства без регистрации на порту сокета
+function getModemSlaveDevices(socket, port) {
+    const bound = modemConnections.getSocketDevices(socket);
+    const candidates = bound.length ? bound : devices.filter(d => d.port === port && !d.modemRegistration);
+    return candidates.filter(d => d.type === 'tcp-modem' && !isModemMaster(d));
+}
+
+// Формат кадров задается устройствами-slave сокета, иначе определяется автоматически
+function getModemSlaveProtocol(socket, port) {
+    const device = getModemSlaveDevices(socket, port).find(d => d.modemProtocol);
+    return device ? device.modemProtocol : 'auto';
+}
+
+// Память ведомого поверх тегов устройства: запись удаленного мастера проходит те же
+// ограничения тега и журнал аудита, что и запись из веб-интерфейса, OPC UA и MQTT,
+// и сразу уходит в OPC UA
+function getSlaveMemory(device) {
+    const actor = { user: 'modbus', source: 'modbus' };
+    return createTagMemory({
+        getTags: () => device.tags,
+        getValue: (tag) => tag.currentValue,
+        checkWrite: (tag, value) => {
+            const rejection = checkWritePolicy(tag, value);
+            if (!rejection) return null;
+            console.log(`⚠️ Удаленная запись ${device.name}.${tag.name} = ${JSON.stringify(value)} отклонена: ${rejection.error}`);
+            recordWriteAudit(device, tag, value, actor, 'rejected', tag.currentValue, rejection.error);
+            return rejection.error;
+        },
+        onWrite: (tag, value) => {
+            lastTagWrites.set(tag, Date.now());
+            recordWriteAudit(device, tag, value, actor, 'ok');
+            tag.currentValue = value;
+            setTagStatus(tag, TAG_STATUS.GOOD);
+            updateOPCUAVariable(device, tag);
+            console.log(`✍️ Удаленная запись: ${device.name}.${tag.name} = ${tag.currentValue}`);
+            updateVirtualTags(device);
+        }
+    });
+}
+
 async function main() {
     try {
         // Загружаем конфигурацию
@@ -473,8 +837,8 @@ async function main() {
             console.log(`Веб-интерфейс доступен по адресу: http://localhost:${WEB_PORT}`);
         });
 
-        // Запускаем TCP серверы для модемов
-        startTCPServers();
+        // Запускаем TCP серверы для модемов на портах устройств
+        syncModemListeners();
 
         // Инициализация OPC UA сервера
         await server.initialize();
@@ -484,16 +848,25 @@ async function main() {
         const addressSpace = server.engine.addressSpace;
         const namespace = addressSpace.getOwnNamespace();
 
+        // Historical Access: агрегаты Average, Minimum, Maximum и др. для HistoryReadProcessed
+        opcua.addAggregateSupport(addressSpace);
+        // Alarms & Conditions: ConditionRefresh и методы квитирования условий
+        addressSpace.installAlarmsAndConditionsService();
+
         // Создаем корневую папку для устройств
-        const devicesFolder = namespace.addFolder(addressSpace.rootFolder.objects, {
-            browseName: "ModbusDevices"
+        devicesFolder = namespace.addFolder(addressSpace.rootFolder.objects, {
+            browseName: "ModbusDevices",
+            nodeId: "s=ModbusDevices"
         });
+        addServerMethods(namespace, devicesFolder);
 
         // Инициализируем все устройства из конфигурации
         devices.forEach(device => {
+            resetTagStatus(device);
             initializeOPCUADevice(device, namespace, devicesFolder);
             initializeModbusClient(device);
         });
+        devices.forEach(device => evaluateVirtualTags(device));
 
         console.log("Устройства инициализированы");
 
@@ -501,9 +874,15 @@ async function main() {
         await server.start();
         console.log(`OPC UA сервер запущен на порту ${OPC_UA_PORT}`);
         console.log(`Endpoint URL: ${server.endpoints[0].endpointDescriptions()[0].endpointUrl}`);
+        server.endpoints[0].endpointDescriptions().forEach(endpoint => {
+            console.log(`🔐 ${opcua.MessageSecurityMode[endpoint.securityMode]} ${endpoint.securityPolicyUri.split('#')[1]}`);
+        });
+        console.log(`🔐 Анонимный доступ: ${securityConfig.allowAnonymous ? `разрешен (роль ${securityConfig.anonymousRole})` : 'запрещен'}, пользователей: ${userStore.count}`);
 
         // Запускаем опрос всех устройств
         startAllDevicesPolling();
+        historian.start();
+        mqttPublisher?.start();
 
     } catch (error) {
         console.error("Ошибка:", error);
@@ -511,14 +890,12 @@ async function main() {
 }
 
 function initializeDevice(device) {
-    const addressSpace = server.engine.addressSpace;
-    const namespace = addressSpace.getOwnNamespace();
-    const devicesFolder = namespace.addFolder(addressSpace.rootFolder.objects, {
-        browseName: "ModbusDevices"
-    });
+    const namespace = server.engine.addressSpace.getOwnNamespace();
 
+    resetTagStatus(device);
     initializeOPCUADevice(device, namespace, devicesFolder);
     initializeModbusClient(device);
+    evaluateVirtualTags(device);
     startDevicePolling(device);
 }
 
@@ -526,266 +903,1660 @@ function initializeOPCUADevice(device, namespace, parentFolder) {
     // Создаем объект устройства
     const deviceObject = namespace.addObject({
         organizedBy: parentFolder,
-        browseName: device.name
+        browseName: device.name,
+        nodeId: `s=${device.id}`,
+        // Устройство - источник событий аварий, они доставляются подписчикам объекта Server
+        eventSourceOf: namespace.addressSpace.rootFolder.objects.server
     });
 
+    deviceObjects.set(device.id, deviceObject);
+    addDeviceStatusNodes(device, namespace, deviceObject);
+    addDeviceDiagnosticsNodes(device, namespace, deviceObject);
+    addDeviceMethods(device, namespace, deviceObject);
+
     // Создаем переменные для каждого тега
     device.tags.forEach(tag => {
-        const isWritable = isTagWritable(tag.registerType);
-        
-        const variable = namespace.addVariable({
-            componentOf: deviceObject,
-            browseName: tag.name,
-            nodeId: `s=${device.id}_${tag.name}`,
-            dataType: getOPCUADataType(tag.dataType),
-            value: {
-                get: () => new opcua.Variant({
-                    dataType: getOPCUADataTypeCode(tag.dataType),
-                    value: tag.currentValue || 0
-                }),
-                set: isWritable ? (variant) => {
-                    const newValue = variant.value;
-                    console.log(`OPC UA запись: ${tag.name} = ${newValue}`);
-                    writeTagValue(device, tag, newValue).then(success => {
-                        if (success) {
-                            console.log(`Значение ${tag.name} успешно записано`);
-                        }
-                    });
-                    return opcua.StatusCodes.Good;
-                } : undefined
-            },
-            minimumSamplingInterval: device.pollInterval || 1000,
-            accessLevel: isWritable ? 
-                opcua.makeAccessLevelFlag("CurrentRead | CurrentWrite") : 
-                opcua.makeAccessLevelFlag("CurrentRead")
-        });
-
-        // Сохраняем ссылку на переменную
-        if (!opcuaVariables.has(device.id)) {
-            opcuaVariables.set(device.id, new Map());
-        }
-        opcuaVariables.get(device.id).set(tag.name, variable);
+        addTagVariable(device, tag, namespace, deviceObject);
     });
 }
 
-function initializeModbusClient(device) {
-    if (device.type === 'tcp-modem') {
-        // Для модемов используем виртуальное соединение
-        return;
-    }
-    
-    const client = new ModbusRTU();
+function addTagVariable(device, tag, namespace, deviceObject) {
+    const isWritable = isTagWritable(tag.registerType);
     
-    client.on("error", (error) => {
-        console.error(`Modbus ошибка устройства ${device.name}:`, error.message);
-        device.connected = false;
-    });
+    const options = {
+        componentOf: deviceObject,
+        browseName: tag.name,
+        nodeId: `s=${device.id}_${tag.name}`,
+        dataType: getOPCUADataType(getTagValueType(tag)),
+        valueRank: isArrayTag(tag) ? 1 : -1,
+        arrayDimensions: isArrayTag(tag) ? [tag.arrayLength] : null,
+        value: {
+            timestamped_get: () => createTagDataValue(tag),
+            // Клиент получает настоящий результат записи в устройство: node-opcua ждет промис set
+            set: isWritable ? async (variant) => {
+                // $writeActor доступен только до первого await
+                const actor = variable.$writeActor || { user: 'system', source: 'opcua' };
+                const newValue = fromVariantValue(tag, variant.value);
+                console.log(`OPC UA запись: ${tag.name} = ${newValue}`);
+                try {
+                    const result = await writeTagValue(device, tag, newValue, actor);
+                    if (result.status === TAG_STATUS.GOOD) {
+                        console.log(`Значение ${tag.name} успешно записано`);
+                    }
+                    return opcua.StatusCodes[result.status];
+                } catch (error) {
+                    console.error(`Ошибка OPC UA записи ${tag.name}:`, error.message);
+                    return opcua.StatusCodes.BadInternalError;
+                }
+            } : undefined
+        },
+        minimumSamplingInterval: device.pollInterval || 1000,
+        accessLevel: isWritable ? 
+            opcua.makeAccessLevelFlag("CurrentRead | CurrentWrite") : 
+            opcua.makeAccessLevelFlag("CurrentRead")
+    };
 
-    client.on("close", () => {
-        console.log(`Modbus соединение устройства ${device.name} закрыто`);
-        device.connected = false;
-    });
+    // Числовые теги публикуем как AnalogItem с диапазоном и единицами измерения
+    let variable;
+    if (isNumericTag(tag)) {
+        const engineeringUnits = getEngineeringUnits(tag.unit);
+        variable = namespace.addAnalogDataItem({
+            ...options,
+            engineeringUnitsRange: getTagEURange(tag),
+            ...(engineeringUnits ? { engineeringUnits } : {})
+        });
+    } else {
+        variable = namespace.addVariable(options);
+    }
 
-    modbusClients.set(device.id, client);
-}
+    if (isWritable) {
+        guardTagWrites(device, tag, variable);
+    }
 
-async function connectToDevice(device) {
-    if (device.type === 'tcp-modem') {
-        // Для модемов соединение уже установлено через TCP
-        device.connected = true;
-        return true;
+    if (tag.historize) {
+        variable.addressSpace.installHistoricalDataNode(variable, { historian: createTagHistorian(device, tag) });
     }
-    
-    const client = modbusClients.get(device.id);
-    if (!client) return false;
 
-    if (device.connected) return true;
+    if (getAlarmKind(tag)) {
+        addTagAlarm(device, tag, namespace, variable);
+    }
 
-    try {
-        if (device.type === 'tcp') {
-            await client.connectTCP(device.address, { port: device.port || 502 });
-        } else if (device.type === 'rtu') {
-            await client.connectRTUBuffered(device.address, {
-                baudRate: device.baudRate || 9600,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none'
-            });
-        }
-        
-        client.setID(device.deviceId || 1);
-        device.connected = true;
-        console.log(`Подключено к устройству ${device.name}`);
-        return true;
-    } catch (error) {
-        console.error(`Ошибка подключения к устройству ${device.name}:`, error.message);
-        device.connected = false;
-        return false;
+    // Сохраняем ссылку на переменную
+    if (!opcuaVariables.has(device.id)) {
+        opcuaVariables.set(device.id, new Map());
     }
+    opcuaVariables.get(device.id).set(tag.name, variable);
 }
 
-async function readDeviceData(device) {
-    if (device.type === 'tcp-modem') {
-        // Для модемов данные приходят асинхронно через TCP
-        return;
-    }
-    
+// Права на запись проверяются по пользователю сессии. node-opcua не передает
+// контекст сессии в set, поэтому проверка стоит перед ним, в writeValue переменной.
+// Пользователь передается в set через $writeActor: set вызывается синхронно внутри writeValue.
+function guardTagWrites(device, tag, variable) {
+    const writeValue = variable.writeValue;
+    variable.writeValue = function (context, dataValue, ...args) {
+        const user = opcuaSecurity.getSessionUser(securityConfig, userStore, context);
+        const actor = user ?
+            { user: user.username, role: user.role, source: 'opcua' } :
+            { user: 'system', source: 'opcua' };
+
+        if (user && !auth.canWriteDevice(user, device)) {
+            console.log(`🔐 OPC UA запись ${device.name}.${tag.name} запрещена пользователю ${user.username} (${user.role})`);
+            recordWriteAudit(device, tag, fromVariantValue(tag, dataValue.value.value), actor, 'denied');
+            const callback = args[args.length - 1];
+            callback(null, opcua.StatusCodes.BadUserAccessDenied);
+            return;
+        }
+
+        variable.$writeActor = actor;
+        try {
+            return writeValue.call(this, context, dataValue, ...args);
+        } finally {
+            variable.$writeActor = null;
+        }
+    };
+}
+
+// Объект Status устройства: состояние связи, последняя ошибка и счетчики
+function addDeviceStatusNodes(device, namespace, deviceObject) {
+    const snapshot = () => getDeviceConnection(device).snapshot();
+    const toDate = (value) => value ? new Date(value) : null;
+    addDeviceInfoObject(device, namespace, deviceObject, "Status", [
+        ['State', 'String', () => snapshot().state],
+        ['LastError', 'String', () => snapshot().lastError || ''],
+        ['LastErrorTime', 'DateTime', () => toDate(snapshot().lastErrorAt)],
+        ['LastSuccessfulPoll', 'DateTime', () => toDate(snapshot().lastSuccessAt)],
+        ['ErrorCount', 'UInt32', () => snapshot().errorCount],
+        ['ConsecutiveErrors', 'UInt32', () => snapshot().consecutiveErrors],
+        ['ReconnectCount', 'UInt32', () => snapshot().reconnectCount],
+        ['SkippedPolls', 'UInt32', () => snapshot().skippedPollCount],
+        ['QueueDepth', 'UInt32', () => getDeviceQueueStats(device)?.depth || 0],
+        ['AverageLatency', 'Double', () => getDeviceQueueStats(device)?.averageLatency || 0]
+    ]);
+}
+
+// Объект Diagnostics устройства: счетчики опроса и время ответа устройства (мс).
+// LastExceptionCode - код последнего исключения Modbus, 0 - исключений не было
+function addDeviceDiagnosticsNodes(device, namespace, deviceObject) {
+    const snapshot = () => getDeviceConnection(device).snapshot();
+    addDeviceInfoObject(device, namespace, deviceObject, "Diagnostics", [
+        ['PollCount', 'UInt32', () => snapshot().pollCount],
+        ['ErrorCount', 'UInt32', () => snapshot().errorCount],
+        ['AverageResponseTime', 'Double', () => snapshot().averageResponseTime],
+        ['MaxResponseTime', 'Double', () => snapshot().maxResponseTime],
+        ['LastExceptionCode', 'Byte', () => snapshot().lastExceptionCode || 0]
+    ]);
+}
+
+// Объект устройства с переменными только для чтения: fields - [имя, тип OPC UA, функция чтения]
+function addDeviceInfoObject(device, namespace, deviceObject, browseName, fields) {
+    const infoObject = namespace.addObject({
+        componentOf: deviceObject,
+        browseName,
+        nodeId: `s=${device.id}/${browseName}`
+    });
+
+    fields.forEach(([name, dataType, read]) => {
+        namespace.addVariable({
+            componentOf: infoObject,
+            browseName: name,
+            nodeId: `s=${device.id}/${browseName}/${name}`,
+            dataType,
+            minimumSamplingInterval: 1000,
+            value: {
+                get: () => new opcua.Variant({ dataType: opcua.DataType[dataType], value: read() })
+            }
+        });
+    });
+}
+
+// Методы устройства: Reconnect, ReadNow, Enable, Disable и WriteMultiple
+function addDeviceMethods(device, namespace, deviceObject) {
+    const methods = [
+        { browseName: 'Reconnect', role: 'operator', handler: () => reconnectDevice(device) },
+        { browseName: 'ReadNow', role: 'operator', handler: () => readDeviceNow(device) },
+        { browseName: 'Enable', role: 'engineer', handler: () => setDeviceEnabled(device, true) },
+        { browseName: 'Disable', role: 'engineer', handler: () => setDeviceEnabled(device, false) },
+        {
+            browseName: 'WriteMultiple',
+            role: 'operator',
+            inputArguments: [
+                { name: 'TagNames', description: { text: 'Имена тегов' }, dataType: opcua.DataType.String, valueRank: 1 },
+                { name: 'Values', description: { text: 'Значения в порядке имен тегов' }, dataType: opcua.DataType.Variant, valueRank: 1 }
+            ],
+            outputArguments: [
+                { name: 'Results', description: { text: 'Результат записи каждого тега' }, dataType: opcua.DataType.StatusCode, valueRank: 1 }
+            ],
+            handler: async ([tagNames, values], actor) => {
+                const result = await writeTagValues(device, tagNames.value || [], values.value || [], actor);
+                return {
+                    status: result.status,
+                    outputArguments: [{
+                        dataType: opcua.DataType.StatusCode,
+                        arrayType: opcua.VariantArrayType.Array,
+                        value: result.results.map(status => opcua.StatusCodes[status])
+                    }]
+                };
+            }
+        }
+    ];
+
+    methods.forEach(method => addBridgeMethod(namespace, deviceObject, {
+        ...method,
+        nodeId: `s=${device.id}/${method.browseName}`,
+        device
+    }));
+}
+
+// Методы моста в папке ModbusDevices: ReloadConfig и AddDevice
+function addServerMethods(namespace, folder) {
+    addBridgeMethod(namespace, folder, {
+        browseName: 'ReloadConfig',
+        nodeId: 's=ModbusDevices/ReloadConfig',
+        role: 'engineer',
+        outputArguments: ['Added', 'Updated', 'Removed'].map(name => ({
+            name,
+            description: { text: 'Число устройств' },
+            dataType: opcua.DataType.UInt32
+        })),
+        handler: () => {
+            try {
+                const result = reloadDevicesConfig();
+                return {
+                    status: TAG_STATUS.GOOD,
+                    outputArguments: [result.added, result.updated, result.removed]
+                        .map(value => ({ dataType: opcua.DataType.UInt32, value }))
+                };
+            } catch (error) {
+                console.error("❌ Ошибка перезагрузки конфигурации:", error.message);
+                return TAG_STATUS.CONFIG_ERROR;
+            }
+        }
+    });
+
+    addBridgeMethod(namespace, folder, {
+        browseName: 'AddDevice',
+        nodeId: 's=ModbusDevices/AddDevice',
+        role: 'engineer',
+        inputArguments: [
+            { name: 'DeviceJson', description: { text: 'Конфигурация устройства в JSON, как в POST /api/devices' }, dataType: opcua.DataType.String }
+        ],
+        outputArguments: [
+            { name: 'DeviceId', description: { text: 'id добавленного устройства' }, dataType: opcua.DataType.String }
+        ],
+        handler: ([json]) => {
+            let newDevice;
+            try {
+                newDevice = JSON.parse(json.value);
+            } catch (error) {
+                console.error("❌ AddDevice: неверный JSON:", error.message);
+                return 'BadInvalidArgument';
+            }
+            const validationError = newDevice && typeof newDevice === 'object' ?
+                addDevice(newDevice) :
+                "Неверные данные устройства";
+            if (validationError) {
+                console.error("❌ AddDevice:", validationError);
+                return 'BadInvalidArgument';
+            }
+            console.log(`✅ Устройство ${newDevice.name} добавлено через OPC UA`);
+            return {
+                status: TAG_STATUS.GOOD,
+                outputArguments: [{ dataType: opcua.DataType.String, value: newDevice.id }]
+            };
+        }
+    });
+}
+
+// Метод OPC UA с проверкой прав пользователя сессии: role - минимальная роль,
+// для методов устройства с ролью operator учитывается список устройств пользователя.
+// handler(inputArguments, actor) возвращает имя кода opcua.StatusCodes или { status, outputArguments }
+function addBridgeMethod(namespace, parent, options) {
+    const method = namespace.addMethod(parent, {
+        browseName: options.browseName,
+        nodeId: options.nodeId,
+        inputArguments: options.inputArguments || [],
+        outputArguments: options.outputArguments || []
+    });
+
+    method.bindMethod(async (inputArguments, context) => {
+        const user = opcuaSecurity.getSessionUser(securityConfig, userStore, context);
+        const allowed = !user || (options.role === 'operator' && options.device ?
+            auth.canWriteDevice(user, options.device) :
+            auth.hasRole(user, options.role));
+        if (!allowed) {
+            console.log(`🔐 Вызов ${options.browseName} запрещен пользователю ${user.username} (${user.role})`);
+            return { statusCode: opcua.StatusCodes.BadUserAccessDenied };
+        }
+
+        const actor = user ?
+            { user: user.username, role: user.role, source: 'opcua' } :
+            { user: 'system', source: 'opcua' };
+        try {
+            const result = await options.handler(inputArguments, actor);
+            const { status, outputArguments = [] } = typeof result === 'string' ? { status: result } : result;
+            return { statusCode: opcua.StatusCodes[status], outputArguments };
+        } catch (error) {
+            console.error(`❌ Ошибка метода ${options.browseName}:`, error.message);
+            return { statusCode: opcua.StatusCodes.BadInternalError };
+        }
+    });
+}
+
+function updateOPCUAVariable(device, tag) {
+    const variable = opcuaVariables.get(device.id)?.get(tag.name);
+    if (variable) {
+        const dataValue = createTagDataValue(tag);
+        variable.setValueFromSource(dataValue.value, dataValue.statusCode, dataValue.sourceTimestamp);
+    }
+    recordTagHistory(device, tag);
+    tagAlarms.get(device.id)?.get(tag.name)?.state.update(tag.currentValue, tag.status === TAG_STATUS.GOOD);
+    mqttPublisher?.publishTag(device, tag);
+    publishTagEvent(device, tag);
+}
+
+// В поток событий уходят только изменения значения или качества, а не каждый цикл опроса
+function publishTagEvent(device, tag) {
+    const value = tag.currentValue ?? null;
+    const key = JSON.stringify([value, tag.status]);
+    if (streamedTagValues.get(tag) === key) return;
+    streamedTagValues.set(tag, key);
+    eventStream.publish('tag', {
+        deviceId: device.id,
+        tag: tag.name,
+        value,
+        status: tag.status,
+        timestamp: tag.timestamp
+    });
+}
+
+function recordTagHistory(device, tag) {
+    if (!tag.historize || !tag.timestamp) return;
+    historian.record(device.id, tag.name, {
+        t: new Date(tag.timestamp).getTime(),
+        v: tag.currentValue ?? null,
+        s: tag.status
+    }, {
+        mode: tag.historyMode,
+        deadband: tag.historyDeadband,
+        interval: tag.historyInterval
+    });
+}
+
+// Авария тега: ExclusiveLimitAlarm для пределов, OffNormalAlarm для дискретных тегов.
+// Состояние считает lib/alarms (с зоной возврата и задержкой), поэтому inputNode передается
+// как NodeId: так node-opcua не подписывается на значение и не проверяет пределы сам.
+function addTagAlarm(device, tag, namespace, variable) {
+    const kind = getAlarmKind(tag);
+    const conditionOptions = {
+        browseName: `${tag.name}Alarm`,
+        nodeId: `s=${device.id}_${tag.name}/Alarm`,
+        componentOf: variable,
+        conditionSource: deviceObjects.get(device.id),
+        inputNode: variable.nodeId,
+        optionals: ['ConfirmedState', 'Confirm']
+    };
+
+    let node;
+    if (kind === 'discrete') {
+        const normalState = namespace.addVariable({
+            propertyOf: variable,
+            browseName: 'NormalState',
+            nodeId: `s=${device.id}_${tag.name}/NormalState`,
+            dataType: 'Boolean',
+            value: { dataType: opcua.DataType.Boolean, value: tag.alarmNormalState }
+        });
+        node = namespace.instantiateOffNormalAlarm({ ...conditionOptions, normalState });
+    } else {
+        const limits = {};
+        [['highHighLimit', 'alarmHiHi'], ['highLimit', 'alarmHi'], ['lowLimit', 'alarmLo'], ['lowLowLimit', 'alarmLoLo']]
+            .forEach(([option, field]) => {
+                if (tag[field] !== undefined) limits[option] = tag[field];
+            });
+        node = namespace.instantiateExclusiveLimitAlarm('ExclusiveLimitAlarmType', { ...conditionOptions, ...limits });
+    }
+
+    const state = createTagAlarm({
+        tag,
+        onChange: (snapshot, previous) => {
+            node.calculateConditionInfo = () => new opcua.ConditionInfo({
+                message: snapshot.message,
+                severity: snapshot.severity,
+                quality: opcua.StatusCodes.Good,
+                retain: snapshot.retained
+            });
+            if (kind === 'discrete') {
+                node.updateAlarmState(snapshot.active, snapshot.message);
+            } else {
+                node._signalNewCondition(snapshot.level, snapshot.active, String(snapshot.value));
+            }
+            console.log(`${snapshot.active ? '🚨' : '✅'} ${device.name}: ${snapshot.message}`);
+            alarmLog.record({
+                deviceId: device.id,
+                device: device.name,
+                tag: tag.name,
+                event: snapshot.active ? 'active' : 'inactive',
+                level: snapshot.level || previous,
+                value: snapshot.value,
+                severity: snapshot.severity,
+                message: snapshot.message
+            });
+            eventStream.publish('alarm', { deviceId: device.id, tag: tag.name, ...snapshot });
+        }
+    });
+
+    // Квитирование и подтверждение клиентом OPC UA через методы условия
+    node.on('acknowledged', (eventId, comment) => {
+        if (state.acknowledge()) {
+            recordAlarmAction(device, tag, 'acknowledged', { user: 'opcua', source: 'opcua' }, comment.text);
+        }
+    });
+    node.on('confirmed', (eventId, comment) => {
+        if (state.confirm()) {
+            recordAlarmAction(device, tag, 'confirmed', { user: 'opcua', source: 'opcua' }, comment.text);
+        }
+    });
+
+    if (!tagAlarms.has(device.id)) {
+        tagAlarms.set(device.id, new Map());
+    }
+    tagAlarms.get(device.id).set(tag.name, { state, node });
+}
+
+function recordAlarmAction(device, tag, event, actor, comment) {
+    console.log(`🔔 ${device.name}.${tag.name}: ${event === 'acknowledged' ? 'квитирована' : 'подтверждена'} (${actor.user})`);
+    alarmLog.record({
+        deviceId: device.id,
+        device: device.name,
+        tag: tag.name,
+        event,
+        user: actor.user,
+        role: actor.role,
+        source: actor.source,
+        comment: comment || undefined
+    });
+    const alarm = tagAlarms.get(device.id)?.get(tag.name);
+    if (alarm) {
+        eventStream.publish('alarm', { deviceId: device.id, tag: tag.name, ...alarm.state.snapshot() });
+    }
+}
+
+// Ветви условия OPC UA, которые ждут квитирования (acknowledge) или подтверждения (confirm)
+function getPendingBranches(node, action) {
+    return [node.currentBranch(), ...node.getBranches()].filter(branch => action === 'acknowledge' ?
+        !branch.getAckedState() :
+        branch.getAckedState() && node.confirmedState && !branch.getConfirmedState());
+}
+
+// Квитирование или подтверждение аварии из веб-интерфейса. Возвращает false, если действие не требуется
+function handleAlarmAction(device, tag, action, actor, comment) {
+    const alarm = tagAlarms.get(device.id)?.get(tag.name);
+    const done = action === 'acknowledge' ? alarm.state.acknowledge() : alarm.state.confirm();
+    if (!done) return false;
+
+    const text = opcua.LocalizedText.coerce(comment || '');
+    getPendingBranches(alarm.node, action).forEach(branch => {
+        if (action === 'acknowledge') {
+            alarm.node._acknowledge_branch(branch.getEventId(), text, branch, 'Server/Acknowledge');
+        } else {
+            alarm.node._confirm_branch(branch.getEventId(), text, branch, 'Server/Confirm');
+        }
+    });
+    recordAlarmAction(device, tag, action === 'acknowledge' ? 'acknowledged' : 'confirmed', actor, comment);
+    return true;
+}
+
+// Историк переменной OPC UA поверх архива. Значения в архив пишет recordTagHistory
+// (с учетом режима записи тега), поэтому push от node-opcua игнорируется.
+function createTagHistorian(device, tag) {
+    const toTime = (date) => date && !opcua.isMinDate(date) ? date.getTime() : null;
+    return {
+        push: async () => {},
+        extractDataValues(details, maxNumberToExtract, isReversed, reverseDataValue, callback) {
+            let dataValues;
+            try {
+                dataValues = historian
+                    .query(device.id, tag.name, toTime(details.startTime), toTime(details.endTime), maxNumberToExtract, isReversed)
+                    .map(sample => new opcua.DataValue({
+                        value: createTagVariant(tag, sample.v ?? getDefaultTagValue(tag)),
+                        statusCode: opcua.StatusCodes[sample.s] || opcua.StatusCodes.Bad,
+                        sourceTimestamp: new Date(sample.t),
+                        serverTimestamp: new Date(sample.t)
+                    }));
+            } catch (error) {
+                return callback(error);
+            }
+            // Как в VariableHistorian: в обратном запросе новые значения идут первыми
+            if (isReversed || reverseDataValue) {
+                dataValues.reverse();
+            }
+            callback(null, dataValues);
+        }
+    };
+}
+
+// Значение тега вместе с качеством и временем получения от устройства
+function createTagDataValue(tag) {
+    return new opcua.DataValue({
+        value: createTagVariant(tag, tag.currentValue ?? getDefaultTagValue(tag)),
+        statusCode: opcua.StatusCodes[tag.status || TAG_STATUS.WAITING],
+        sourceTimestamp: tag.timestamp ? new Date(tag.timestamp) : null,
+        serverTimestamp: new Date()
+    });
+}
+
+function setTagStatus(tag, status) {
+    tag.status = status;
+    tag.timestamp = new Date().toISOString();
+}
+
+// Сбрасываем качество, оставшееся в конфигурации от прошлого запуска
+function resetTagStatus(device) {
+    device.tags.forEach(tag => {
+        tag.status = device.enabled === false ? TAG_STATUS.OUT_OF_SERVICE : TAG_STATUS.WAITING;
+        tag.timestamp = null;
+    });
+}
+
+// Ошибка чтения: после первого таймаута последнее значение еще считается
+// пригодным (Uncertain), повторные ошибки и отказы связи дают Bad
+function markTagsFailed(device, tags, error) {
+    const isTimeout = error && error.errno === 'ETIMEDOUT';
+    tags.forEach(tag => {
+        const status = isTimeout && tag.status === TAG_STATUS.GOOD ?
+            TAG_STATUS.LAST_USABLE : TAG_STATUS.COMM_ERROR;
+        if (tag.status !== status) {
+            setTagStatus(tag, status);
+            updateOPCUAVariable(device, tag);
+        }
+    });
+}
+
+// Вычисляемые теги: значение - выражение над другими тегами (lib/expression),
+// пересчитывается после каждого обновления входных тегов
+function isVirtualTag(tag) {
+    return tag.registerType === 'virtual';
+}
+
+// Теги, которые читаются из устройства по Modbus
+function getModbusTags(device) {
+    return device.tags.filter(tag => !isVirtualTag(tag));
+}
+
+// Скомпилированное выражение и состояние rate/integral. Тег с новой конфигурацией - новый объект,
+// поэтому после изменения выражения состояние начинается заново.
+function getVirtualTagProgram(tag) {
+    if (!virtualTagPrograms.has(tag)) {
+        try {
+            virtualTagPrograms.set(tag, { expression: compileExpression(tag.expression), state: new Map() });
+        } catch (error) {
+            virtualTagPrograms.set(tag, { error });
+        }
+    }
+    return virtualTagPrograms.get(tag);
+}
+
+function getVirtualTagReferences(tag) {
+    return getVirtualTagProgram(tag).expression?.references || [];
+}
+
+// Ссылка без устройства - на тег того же устройства, иначе устройство ищется по id или имени
+function isReferenceTo(device, reference, source) {
+    return reference.device === null ?
+        device === source :
+        reference.device === source.id || reference.device === source.name;
+}
+
+function findReferencedTag(device, reference) {
+    const source = reference.device === null ?
+        device :
+        devices.find(d => isReferenceTo(device, reference, d));
+    return source ? source.tags.find(tag => tag.name === reference.tag) : undefined;
+}
+
+// Качество результата - худшее из качеств входных тегов
+function getInputsStatus(inputs) {
+    const statuses = inputs.map(input => input.status || TAG_STATUS.WAITING);
+    return statuses.find(status => status.startsWith('Bad')) ||
+        statuses.find(status => status.startsWith('Uncertain')) ||
+        TAG_STATUS.GOOD;
+}
+
+// Результат выражения в тип значения тега
+function toVirtualTagValue(tag, result) {
+    if (tag.dataType === 'boolean') {
+        return Boolean(result);
+    }
+    const value = Number(result);
+    if (!Number.isFinite(value)) {
+        throw new Error(`результат ${result} не является числом`);
+    }
+    if (tag.dataType === 'float' || tag.dataType === 'double') {
+        return value;
+    }
+    const [min, max] = RAW_RANGES[tag.dataType];
+    const rounded = Math.round(value);
+    if (rounded < min || rounded > max) {
+        throw new Error(`результат ${rounded} вне диапазона ${tag.dataType}`);
+    }
+    return rounded;
+}
+
+function evaluateVirtualTag(device, tag) {
+    const program = getVirtualTagProgram(tag);
+    let value = tag.currentValue;
+    let status;
+    let error = null;
+
+    if (program.error) {
+        status = TAG_STATUS.CONFIG_ERROR;
+        error = program.error;
+    } else {
+        const references = program.expression.references;
+        const inputs = references.map(reference => findReferencedTag(device, reference));
+        const missing = references.find((reference, i) => !inputs[i]);
+
+        if (missing) {
+            status = TAG_STATUS.CONFIG_ERROR;
+            error = new Error(`не найден тег ${missing.device === null ? '' : `${missing.device}.`}${missing.tag}`);
+        } else {
+            status = getInputsStatus(inputs);
+            // С плохими входами не считаем: rate и integral не должны накапливать старые значения
+            if (!status.startsWith('Bad')) {
+                try {
+                    value = toVirtualTagValue(tag, program.expression.evaluate(
+                        index => inputs[index].currentValue, program.state, Date.now()));
+                } catch (evaluationError) {
+                    status = TAG_STATUS.OUT_OF_RANGE;
+                    error = evaluationError;
+                }
+            }
+        }
+    }
+
+    if (error && tag.status !== status) {
+        console.error(`❌ Вычисляемый тег ${device.name}.${tag.name}: ${error.message}`);
+        getDeviceConnection(device).recordError(error);
+    }
+    // Плохое качество публикуем при смене, хорошее значение - при каждом пересчете, как после опроса
+    if (status.startsWith('Bad') && tag.status === status) return;
+
+    tag.currentValue = value;
+    setTagStatus(tag, status);
+    updateOPCUAVariable(device, tag);
+}
+
+// Пересчет виртуального устройства для него - успешный цикл опроса
+function markVirtualDeviceUpdated(device) {
+    if (device.type === 'virtual') {
+        device.connected = true;
+        getDeviceConnection(device).pollSucceeded();
+    }
+}
+
+// Пересчет вычисляемых тегов, которые ссылаются на теги устройства source. Если они сами
+// входят в выражения других устройств, пересчитываются и те (каждое устройство один раз за вызов).
+function updateVirtualTags(source, visited = new Set()) {
+    visited.add(source.id);
+    devices.forEach(device => {
+        if (device.enabled === false) return;
+        const dependent = device.tags.filter(tag => isVirtualTag(tag) &&
+            getVirtualTagReferences(tag).some(reference => isReferenceTo(device, reference, source)));
+        if (dependent.length === 0) return;
+
+        dependent.forEach(tag => evaluateVirtualTag(device, tag));
+        markVirtualDeviceUpdated(device);
+        if (!visited.has(device.id)) {
+            updateVirtualTags(device, visited);
+        }
+    });
+}
+
+// Все вычисляемые теги устройства: при запуске, добавлении и изменении устройства
+function evaluateVirtualTags(device) {
+    const virtualTags = device.tags.filter(isVirtualTag);
+    if (device.enabled !== false && virtualTags.length > 0) {
+        virtualTags.forEach(tag => evaluateVirtualTag(device, tag));
+        markVirtualDeviceUpdated(device);
+    }
+    updateVirtualTags(device);
+}
+
+function createTagVariant(tag, value) {
+    const valueType = getTagValueType(tag);
+    const dataType = getOPCUADataTypeCode(valueType);
+    const toVariantScalar = (item) => {
+        // Int64/UInt64 в node-opcua передаются парой [high, low]
+        if (valueType === 'int64') return opcua.coerceInt64(BigInt(Math.round(item || 0)).toString());
+        if (valueType === 'uint64') return opcua.coerceUInt64(BigInt(Math.round(item || 0)).toString());
+        return item;
+    };
+
+    return new opcua.Variant({
+        dataType,
+        arrayType: isArrayTag(tag) ? opcua.VariantArrayType.Array : opcua.VariantArrayType.Scalar,
+        value: isArrayTag(tag) ? Array.from(value || []).map(toVariantScalar) : toVariantScalar(value)
+    });
+}
+
+// Значение из OPC UA Variant в представление тега
+function fromVariantValue(tag, value) {
+    const valueType = getTagValueType(tag);
+    const toTagScalar = (item) => {
+        if (valueType === 'int64') return Number(opcua.Int64ToBigInt(item));
+        if (valueType === 'uint64') return Number(opcua.UInt64ToBigInt(item));
+        return item;
+    };
+    return isArrayTag(tag) ? Array.from(value).map(toTagScalar) : toTagScalar(value);
+}
+
+function initializeModbusClient(device) {
+    // Виртуальное устройство не подключается: все его теги вычисляются
+    if (device.type === 'virtual') return;
+
+    if (device.type === 'tcp-modem') {
+        // Для модемов в режиме master опрашиваем счетчики через сокет модема
+        if (isModemMaster(device)) {
+            modbusClients.set(device.id, createModemClient(device));
+        }
+        return;
+    }
+
+    // Ведомые на одном последовательном порту опрашиваются через общую шину
+    if (isSerialDevice(device)) {
+        modbusClients.set(device.id, createBusClient(device));
+        return;
+    }
+    
+    const client = new ModbusRTU();
+    
+    client.on("error", (error) => {
+        console.error(`Modbus ошибка устройства ${device.name}:`, error.message);
+        device.connected = false;
+    });
+
+    client.on("close", () => {
+        console.log(`Modbus соединение устройства ${device.name} закрыто`);
+        device.connected = false;
+    });
+
+    modbusClients.set(device.id, createNetworkClient(device, client));
+}
+
+function isSerialDevice(device) {
+    return SERIAL_DEVICE_TYPES.includes(device.type);
+}
+
+// Клиент сетевого устройства (TCP, RTU поверх TCP, UDP): запросы идут через очередь соединения
+function createNetworkClient(device, client) {
+    const queue = createTransactionQueue();
+    return {
+        ...createSharedClient((method, args) => queue.run(() => client[method](...args), getTransactionPriority(method))),
+        open: async () => {
+            const timeout = device.timeout || DEVICE_RESPONSE_TIMEOUT;
+            await client[NETWORK_DEVICE_TYPES[device.type]](device.address, { port: device.port || 502, timeout });
+            client.setID(device.deviceId || 1);
+            client.setTimeout(timeout);
+        },
+        close: () => client.close(),
+        queueStats: () => queue.stats()
+    };
+}
+
+function isModemMaster(device) {
+    return device.type === 'tcp-modem' && device.modemMode === 'master';
+}
+
+// Сессия Modbus master поверх входящего сокета модема: сокет привязан к устройству регистрацией
+// или это последнее подключение на порту устройства. Все устройства за одним модемом
+// делят сокет, поэтому запросы идут строго по очереди.
+function getModemSession(device) {
+    const port = device.port;
+    const socket = modemConnections.findSocket(device);
+    if (!socket) {
+        return null;
+    }
+    if (modemSessions.has(socket)) {
+        return modemSessions.get(socket);
+    }
+
+    const protocol = device.modemProtocol || 'rtu';
+    // Прозрачный модем (rtu): RTU кадры с CRC прямо в сокет, tcp: кадры с MBAP заголовком
+    const modemPort = createModemPort(socket, protocol);
+    const client = new ModbusRTU(modemPort);
+
+    client.on("error", (error) => {
+        console.error(`Modbus ошибка модема на порту ${port}:`, error.message);
+    });
+
+    const session = { port, modemPort, socket, client, protocol, queue: createTransactionQueue() };
+    const linked = new Promise((resolve, reject) => {
+        client.open(error => error ? reject(error) : resolve());
+    });
+    session.linked = linked.catch(error => {
+        console.error(`Не удалось открыть сессию модема на порту ${port}:`, error.message);
+    });
+    modemSessions.set(socket, session);
+
+    socket.once('close', () => {
+        modemSessions.delete(socket);
+        devices.forEach(d => {
+            if (isModemMaster(d) && !modemConnections.findSocket(d)) {
+                d.connected = false;
+            }
+        });
+    });
+
+    console.log(`✅ Modbus master (${protocol}) через модем на порту ${port}`);
+    return session;
+}
+
+async function runModemTransaction(device, method, args) {
+    const session = getModemSession(device);
+    if (!session) {
+        throw new Error(device.modemRegistration ?
+            `Модем ${device.modemRegistration} не зарегистрирован` :
+            `Модем на порту ${device.port} не подключен`);
+    }
+
+    return session.queue.run(async () => {
+        await session.linked;
+        session.client.setID(device.deviceId || 1);
+        session.client.setTimeout(device.timeout || MODEM_RESPONSE_TIMEOUT);
+        return session.client[method](...args);
+    }, getTransactionPriority(method));
+}
+
+// Клиент с интерфейсом ModbusRTU поверх канала, общего для нескольких устройств
+// (сокет модема или шина RS-485). runTransaction(method, args) ставит запрос в очередь канала.
+function createSharedClient(runTransaction) {
+    const run = (method) => (...args) => runTransaction(method, args);
+    return {
+        readHoldingRegisters: run('readHoldingRegisters'),
+        readInputRegisters: run('readInputRegisters'),
+        readCoils: run('readCoils'),
+        readDiscreteInputs: run('readDiscreteInputs'),
+        writeRegister: run('writeRegister'),
+        writeRegisters: run('writeRegisters'),
+        writeCoil: run('writeCoil'),
+        writeCoils: run('writeCoils'),
+        // Каналом пользуются и другие устройства, закрывать его из-за ошибки одного счетчика нельзя
+        close: async () => {}
+    };
+}
+
+// Клиент, который ходит через сокет модема
+function createModemClient(device) {
+    return {
+        ...createSharedClient((method, args) => runModemTransaction(device, method, args)),
+        queueStats: () => modemSessions.get(modemConnections.findSocket(device))?.queue.stats() || null
+    };
+}
+
+// Шина на порту устройства. Устройство с другими настройками порта переоткрывает ее со своими:
+// при изменении настроек через API они переносятся на все устройства шины (applySerialBusSettings)
+function getSerialBus(device) {
+    const path = device.address;
+    const settings = getSerialSettings(device);
+    let bus = serialBuses.get(path);
+
+    if (!bus) {
+        bus = createSerialBus({
+            path,
+            protocol: device.type,
+            settings,
+            createClient: () => {
+                const client = new ModbusRTU();
+                client.on("error", (error) => {
+                    console.error(`Modbus ошибка шины ${path}:`, error.message);
+                });
+                client.on("close", () => {
+                    console.log(`Порт ${path} закрыт`);
+                    devices.forEach(d => {
+                        if (isSerialDevice(d) && d.address === path) {
+                            d.connected = false;
+                        }
+                    });
+                });
+                return client;
+            }
+        });
+        serialBuses.set(path, bus);
+    } else if (!isSameSerialSettings(bus.settings, settings)) {
+        console.log(`⚠️ Шина ${path}: новые настройки порта ${formatSerialSettings(settings)}`);
+        bus.reconfigure(settings).catch(error => {
+            console.error(`Ошибка закрытия порта ${path}:`, error.message);
+        });
+    }
+
+    bus.attach(device.id);
+    return bus;
+}
+
+// Клиент ведомого на шине RS-485: адрес и таймаут задаются в каждом запросе
+function createBusClient(device) {
+    const bus = getSerialBus(device);
+    return {
+        ...createSharedClient((method, args) =>
+            bus.run(device.deviceId || 1, device.timeout || DEVICE_RESPONSE_TIMEOUT, method, args)),
+        open: () => bus.open(),
+        queueStats: () => bus.queueStats()
+    };
+}
+
+// Другие устройства на том же порту, у которых настройки порта отличаются от config.
+// others - с какими устройствами сравнивать (по умолчанию - с работающими)
+function getSerialBusConflicts(config, deviceId, others = devices) {
+    if (!isSerialDevice(config)) return [];
+    const settings = getSerialSettings(config);
+    return others.filter(d => d.id !== deviceId && d.type === config.type && d.address === config.address &&
+        !isSameSerialSettings(getSerialSettings(d), settings));
+}
+
+// RTU и ASCII на одной шине работать не могут. Возвращает текст ошибки или null
+function checkSerialBusProtocol(config, deviceId, others = devices) {
+    if (!isSerialDevice(config)) return null;
+    const other = others.find(d => d.id !== deviceId && isSerialDevice(d) &&
+        d.address === config.address && d.type !== config.type);
+    return other ?
+        `На порту ${config.address} уже есть устройство Modbus ${other.type.toUpperCase()} ${other.name}` :
+        null;
+}
+
+// Новое устройство должно подходить шине: тот же протокол и те же настройки порта.
+// Возвращает текст ошибки или null
+function checkSerialBus(config, deviceId, others = devices) {
+    const protocolError = checkSerialBusProtocol(config, deviceId, others);
+    if (protocolError) {
+        return protocolError;
+    }
+    const busConflict = getSerialBusConflicts(config, deviceId, others)[0];
+    return busConflict ?
+        `Настройки порта ${config.address} отличаются от настроек устройства ${busConflict.name} на этой шине (${formatSerialSettings(getSerialSettings(busConflict))})` :
+        null;
+}
+
+// Настройки порта одни на всю шину: после изменения у одного устройства переносим их на остальные
+function applySerialBusSettings(device) {
+    const settings = getSerialSettings(device);
+    getSerialBusConflicts(device, device.id).forEach(other => {
+        updateDevice(other, { ...getDeviceConfig(other), ...settings });
+    });
+}
+
+function getDeviceConnection(device) {
+    if (!deviceConnections.has(device.id)) {
+        const connection = createDeviceConnection({
+            reconnectDelay: device.reconnectDelay,
+            reconnectMaxDelay: device.reconnectMaxDelay,
+            onStateChange: (state) => {
+                if (state === CONNECTION_STATES.BACKOFF || state === CONNECTION_STATES.DISABLED) {
+                    mqttPublisher?.deviceOffline(device);
+                }
+                eventStream.publish('connection', {
+                    deviceId: device.id,
+                    state,
+                    connected: state === CONNECTION_STATES.ONLINE
+                });
+                if (state === CONNECTION_STATES.BACKOFF) {
+                    console.log(`🔌 Нет связи с устройством ${device.name}, повтор через ${Math.round(connection.retryDelay / 1000)} с`);
+                } else if (state === CONNECTION_STATES.ONLINE) {
+                    console.log(`🔌 Связь с устройством ${device.name} установлена`);
+                }
+            }
+        });
+        if (device.enabled === false) {
+            connection.disable();
+        }
+        deviceConnections.set(device.id, connection);
+    }
+    return deviceConnections.get(device.id);
+}
+
+async function connectToDevice(device) {
+    const connection = getDeviceConnection(device);
+
+    if (isModemMaster(device)) {
+        device.connected = Boolean(getModemSession(device));
+        if (!device.connected) {
+            connection.failed(new Error(`Модем на порту ${device.port} не подключен`));
+        }
+        return device.connected;
+    }
+
+    if (device.type === 'tcp-modem') {
+        // Для модемов соединение уже установлено через TCP
+        device.connected = true;
+        return true;
+    }
+    
+    const client = modbusClients.get(device.id);
+    if (!client) return false;
+
+    if (device.connected) return true;
+
+    connection.connecting();
+    try {
+        // TCP - свое соединение, RTU - порт, который открывается один раз на всю шину
+        await client.open();
+        device.connected = true;
+        connection.connected();
+        console.log(`Подключено к устройству ${device.name}`);
+        return true;
+    } catch (error) {
+        console.error(`Ошибка подключения к устройству ${device.name}:`, error.message);
+        device.connected = false;
+        connection.failed(error);
+        return false;
+    }
+}
+
+async function readDeviceData(device) {
+    if (device.type === 'tcp-modem' && !isModemMaster(device)) {
+        // Для модемов данные приходят асинхронно через TCP
+        return;
+    }
+    
     const client = modbusClients.get(device.id);
     if (!client) return;
 
+    // Отключенное устройство и устройство в паузе после ошибки не опрашиваем
+    const connection = getDeviceConnection(device);
+    if (!connection.canConnect()) return;
+
     if (!device.connected) {
         const connected = await connectToDevice(device);
-        if (!connected) return;
+        if (!connected) {
+            markTagsFailed(device, getModbusTags(device), null);
+            return;
+        }
+    }
+
+    const blocks = planReadBlocks(getModbusTags(device), registerType => getReadBlockLimits(device, registerType));
+    for (let i = 0; i < blocks.length; i++) {
+        const error = await readBlock(device, client, blocks[i]);
+        if (error) {
+            // Связь потеряна: оставшиеся блоки в этом цикле не читались
+            blocks.slice(i + 1).forEach(block => markTagsFailed(device, block.tags, error));
+            connection.failed(error);
+            return;
+        }
+    }
+    connection.pollSucceeded();
+}
+
+// Ограничения на размер блока чтения с учетом настроек устройства
+function getReadBlockLimits(device, registerType) {
+    const isBits = registerType === 'coil' || registerType === 'discrete';
+    const protocolMax = isBits ? MODBUS_MAX_READ_BITS : MODBUS_MAX_READ_REGISTERS;
+    const configuredMax = isBits ? device.maxReadBits : device.maxReadRegisters;
+    return {
+        maxCount: Math.min(configuredMax || protocolMax, protocolMax),
+        maxGap: device.maxReadGap ?? DEFAULT_MAX_READ_GAP
+    };
+}
+
+function getReadBlockKey(block) {
+    return `${block.registerType}:${block.address}:${block.count}`;
+}
+
+async function readRegisterRange(client, registerType, address, count) {
+    if (registerType === 'holding') {
+        return client.readHoldingRegisters(address, count);
+    } else if (registerType === 'input') {
+        return client.readInputRegisters(address, count);
+    } else if (registerType === 'coil') {
+        return client.readCoils(address, count);
+    } else if (registerType === 'discrete') {
+        return client.readDiscreteInputs(address, count);
+    }
+    return null;
+}
+
+// Чтение при опросе с замером времени ответа для объекта Diagnostics.
+// Исключение Modbus - тоже ответ устройства, таймаут и обрыв связи - нет
+async function readDeviceRegisters(device, client, registerType, address, count) {
+    const started = Date.now();
+    try {
+        const data = await readRegisterRange(client, registerType, address, count);
+        getDeviceConnection(device).responseReceived(Date.now() - started);
+        return data;
+    } catch (error) {
+        if (error.modbusCode !== undefined) {
+            getDeviceConnection(device).responseReceived(Date.now() - started);
+        }
+        throw error;
+    }
+}
+
+// Значение тега из прочитанных регистров. Регистры, которые не декодируются в тип тега
+// (неверный BCD, 64-битное значение вне точного диапазона), портят только этот тег:
+// связь с устройством в порядке, остальные теги блока применяются как обычно
+function applyTagData(device, tag, values) {
+    let value;
+    try {
+        value = decodeTagValue(tag, values);
+    } catch (error) {
+        console.error(`❌ Не удалось декодировать тег ${tag.name} устройства ${device.name}:`, error.message);
+        getDeviceConnection(device).recordError(error);
+        if (tag.status !== TAG_STATUS.ENCODING_ERROR) {
+            setTagStatus(tag, TAG_STATUS.ENCODING_ERROR);
+            updateOPCUAVariable(device, tag);
+        }
+        return;
+    }
+    tag.currentValue = value;
+    setTagStatus(tag, TAG_STATUS.GOOD);
+
+    // Обновляем OPC UA переменную
+    updateOPCUAVariable(device, tag);
+
+    console.log(`Устройство ${device.name}, тег ${tag.name}: ${value}`);
+}
+
+// Ошибка связи: закрываем соединение, остальные блоки в этом цикле не читаем
+async function dropConnection(device, client) {
+    device.connected = false;
+    try {
+        await client.close();
+    } catch (closeError) {}
+}
+
+// Читает блок одним запросом. Если устройство ответило исключением
+// (например, в блок попал несуществующий адрес), блок запоминается
+// и дальше его теги читаются по одному. Возвращает ошибку при потере связи.
+async function readBlock(device, client, block) {
+    const splitBlocks = failedReadBlocks.get(device.id);
+    const blockKey = getReadBlockKey(block);
+
+    if (block.tags.length > 1 && !(splitBlocks && splitBlocks.has(blockKey))) {
+        try {
+            const data = await readDeviceRegisters(device, client, block.registerType, block.address, block.count);
+            if (data && data.data) {
+                for (const tag of block.tags) {
+                    const start = tag.address - block.address;
+                    applyTagData(device, tag, data.data.slice(start, start + getTagRegisterCount(tag)));
+                }
+            }
+            return null;
+        } catch (error) {
+            if (error.modbusCode === undefined) {
+                console.error(`Ошибка чтения блока ${block.registerType} ${block.address}-${block.address + block.count - 1} устройства ${device.name}:`, error.message);
+                markTagsFailed(device, block.tags, error);
+                await dropConnection(device, client);
+                return error;
+            }
+            console.log(`⚠️ Блок ${block.registerType} ${block.address}-${block.address + block.count - 1} устройства ${device.name} ответил исключением ${error.modbusCode}, читаем теги по одному`);
+            if (!failedReadBlocks.has(device.id)) {
+                failedReadBlocks.set(device.id, new Set());
+            }
+            failedReadBlocks.get(device.id).add(blockKey);
+        }
+    }
+
+    for (let i = 0; i < block.tags.length; i++) {
+        const tag = block.tags[i];
+        try {
+            const data = await readDeviceRegisters(device, client, tag.registerType, tag.address, getTagRegisterCount(tag));
+            if (data && data.data) {
+                applyTagData(device, tag, data.data);
+            }
+        } catch (error) {
+            console.error(`Ошибка чтения тега ${tag.name} устройства ${device.name}:`, error.message);
+            if (error.modbusCode === undefined) {
+                markTagsFailed(device, block.tags.slice(i), error);
+                await dropConnection(device, client);
+                return error;
+            }
+            markTagsFailed(device, [tag], error);
+            getDeviceConnection(device).recordError(error);
+        }
+    }
+    return null;
+}
+
+// Запись значения тега в устройство с отметкой в журнале аудита.
+// actor - кто пишет: { user, role, source: 'web' | 'opcua' | 'mqtt' | 'modbus' }.
+// Возвращает { status, error, rejected }: status - имя кода opcua.StatusCodes (Good при успехе),
+// rejected - запись отклонена ограничениями тега и до устройства не дошла
+async function writeTagValue(device, tag, value, actor = { user: 'system', source: 'internal' }) {
+    const rejection = checkWritePolicy(tag, value);
+    if (rejection) {
+        console.log(`⚠️ Запись ${device.name}.${tag.name} = ${JSON.stringify(value)} отклонена: ${rejection.error}`);
+        recordWriteAudit(device, tag, value, actor, 'rejected', tag.currentValue, rejection.error);
+        return { ...rejection, rejected: true };
+    }
+    lastTagWrites.set(tag, Date.now());
+
+    const oldValue = tag.currentValue;
+    try {
+        const result = await writeTagValueToDevice(device, tag, value);
+        const success = result.status === TAG_STATUS.GOOD;
+        recordWriteAudit(device, tag, value, actor, success ? 'ok' : 'error', oldValue, result.error);
+        return result;
+    } catch (error) {
+        recordWriteAudit(device, tag, value, actor, 'error', oldValue, error.message);
+        throw error;
+    }
+}
+
+// Ограничения записи тега: пределы, допустимые значения, представимость в регистрах
+// и минимальный интервал между записями. Возвращает { status, error } отказа или null
+function checkWritePolicy(tag, value) {
+    const items = Array.isArray(value) ? value : [value];
+    if (tag.writeMin !== undefined && items.some(item => item < tag.writeMin)) {
+        return { status: TAG_STATUS.OUT_OF_RANGE, error: `Значение меньше минимума для записи ${tag.writeMin}` };
+    }
+    if (tag.writeMax !== undefined && items.some(item => item > tag.writeMax)) {
+        return { status: TAG_STATUS.OUT_OF_RANGE, error: `Значение больше максимума для записи ${tag.writeMax}` };
+    }
+    if (tag.writeAllowedValues && items.some(item => !tag.writeAllowedValues.includes(item))) {
+        return {
+            status: TAG_STATUS.OUT_OF_RANGE,
+            error: `Значение не входит в допустимые: ${tag.writeAllowedValues.join(', ')}`
+        };
+    }
+    if (tag.registerType === 'holding') {
+        try {
+            encodeTagRegisters(tag, value);
+        } catch (error) {
+            // Ошибка кодирования говорит о сыром значении, для масштабированного тега добавляем инженерное
+            return {
+                status: TAG_STATUS.OUT_OF_RANGE,
+                error: isScaledTag(tag) ? `${error.message}, инженерное значение ${JSON.stringify(value)}` : error.message
+            };
+        }
+    }
+
+    const lastWrite = lastTagWrites.get(tag);
+    if (tag.writeMinInterval && lastWrite !== undefined && Date.now() - lastWrite < tag.writeMinInterval) {
+        return {
+            status: 'BadTooManyOperations',
+            error: `Запись в тег не чаще одного раза в ${tag.writeMinInterval} мс`
+        };
+    }
+    return null;
+}
+
+// Запись из командного топика MQTT: те же проверки, что и у /api/write
+async function writeTagFromMqtt(device, tag, value) {
+    const actor = { user: 'mqtt', source: 'mqtt' };
+    if (device.enabled === false || !isTagWritable(tag.registerType)) {
+        recordWriteAudit(device, tag, value, actor, 'denied');
+        return false;
     }
 
-    for (const tag of device.tags) {
-        try {
-            let data;
-            if (tag.registerType === 'holding') {
-                data = await client.readHoldingRegisters(tag.address, getRegisterCount(tag.dataType));
-            } else if (tag.registerType === 'input') {
-                data = await client.readInputRegisters(tag.address, getRegisterCount(tag.dataType));
-            } else if (tag.registerType === 'coil') {
-                data = await client.readCoils(tag.address, 1);
-            } else if (tag.registerType === 'discrete') {
-                data = await client.readDiscreteInputs(tag.address, 1);
-            }
+    const tagValue = parseTagValue(tag, value);
+    console.log(`📨 MQTT запись: ${device.name}.${tag.name} = ${JSON.stringify(tagValue)}`);
+    const result = await writeTagValue(device, tag, tagValue, actor);
+    return result.status === TAG_STATUS.GOOD;
+}
 
-            if (data && data.data) {
-                const value = convertModbusData(data.data, tag.dataType);
-                tag.currentValue = value;
-                
-                // Обновляем OPC UA переменную
-                const variable = opcuaVariables.get(device.id)?.get(tag.name);
-                if (variable) {
-                    variable.setValueFromSource(new opcua.Variant({
-                        dataType: getOPCUADataTypeCode(tag.dataType),
-                        value: value
-                    }));
-                }
+function recordWriteAudit(device, tag, newValue, actor, result, oldValue = tag.currentValue, error) {
+    auditLog.record({
+        user: actor.user,
+        role: actor.role,
+        source: actor.source,
+        deviceId: device.id,
+        device: device.name,
+        tag: tag.name,
+        oldValue: oldValue ?? null,
+        newValue,
+        result,
+        ...(error ? { error } : {})
+    });
+}
 
-                console.log(`Устройство ${device.name}, тег ${tag.name}: ${value}`);
-            }
-        } catch (error) {
-            console.error(`Ошибка чтения тега ${tag.name} устройства ${device.name}:`, error.message);
-            device.connected = false;
-            try {
-                await client.close();
-            } catch (closeError) {}
-        }
-    }
+// Регистры (holding) или биты (coil), которыми значение тега пишется в устройство.
+// Значение уже проверено checkWritePolicy, кодирование не бросает ошибку
+function encodeTagWrite(tag, value) {
+    return tag.registerType === 'holding' ? encodeTagRegisters(tag, value) : [].concat(value).map(Boolean);
 }
 
-async function writeTagValue(device, tag, value) {
-    if (device.type === 'tcp-modem') {
+// Запись тега в устройство. Возвращает { status, error }: status - имя кода opcua.StatusCodes,
+// error - причина отказа. Исключение Modbus приходит клиенту OPC UA своим кодом, а не Good.
+async function writeTagValueToDevice(device, tag, value) {
+    const [result] = await writeBlocksToDevice(device, planWriteBlocks([{ tag, value, values: encodeTagWrite(tag, value) }]));
+    return result;
+}
+
+// Запись блоков planWriteBlocks по очереди, каждый блок - одним запросом.
+// Возвращает { status, error } каждого блока; после первой ошибки
+// оставшиеся блоки не пишутся (BadOperationAbandoned)
+async function writeBlocksToDevice(device, blocks) {
+    const rejectAll = (result) => blocks.map(() => result);
+    if (device.type === 'tcp-modem' && !isModemMaster(device)) {
         // Для модемов запись не поддерживается в этой версии
         console.log(`Запись для модемов не поддерживается: ${device.name}`);
-        return false;
+        return rejectAll({ status: 'BadNotSupported', error: "Запись для модемов не поддерживается" });
+    }
+    if (device.enabled === false) {
+        console.log(`Устройство ${device.name} отключено, запись невозможна`);
+        return rejectAll({ status: TAG_STATUS.OUT_OF_SERVICE, error: "Устройство отключено" });
     }
     
     const client = modbusClients.get(device.id);
-    if (!client) return false;
+    if (!client || (!device.connected && !await connectToDevice(device))) {
+        return rejectAll({ status: 'BadNotConnected', error: "Нет связи с устройством" });
+    }
 
-    if (!device.connected) {
-        const connected = await connectToDevice(device);
-        if (!connected) return false;
+    const results = [];
+    let failed = false;
+    for (const block of blocks) {
+        if (failed) {
+            results.push({ status: 'BadOperationAbandoned', error: "Не записано: предыдущая запись не удалась" });
+            continue;
+        }
+        const result = await writeBlock(device, client, block);
+        failed = result.status !== TAG_STATUS.GOOD;
+        results.push(result);
     }
+    return results;
+}
 
+// Один блок - один запрос: устройство принимает его целиком или отклоняет целиком
+async function writeBlock(device, client, block) {
+    const isBits = block.registerType === 'coil';
+    const names = block.writes.map(write => write.tag.name).join(', ');
     try {
-        // Конвертируем значение в формат Modbus
-        const modbusValue = convertToModbusFormat(value, tag.dataType);
-        
-        if (tag.registerType === 'holding') {
-            if (tag.dataType === 'float' || tag.dataType === 'int32' || tag.dataType === 'uint32') {
-                // Для 32-битных значений пишем 2 регистра
-                const buffer = Buffer.alloc(4);
-                if (tag.dataType === 'float') {
-                    buffer.writeFloatBE(value, 0);
-                } else {
-                    buffer.writeUInt32BE(value, 0);
-                }
-                await client.writeRegisters(tag.address, [
-                    buffer.readUInt16BE(0),
-                    buffer.readUInt16BE(2)
-                ]);
+        if (isBits) {
+            if (block.values.length > 1) {
+                await client.writeCoils(block.address, block.values);
             } else {
-                // Для 16-битных значений пишем один регистр
-                await client.writeRegister(tag.address, modbusValue);
+                await client.writeCoil(block.address, block.values[0]);
+            }
+        } else if (block.values.length > 1) {
+            // Для многорегистровых значений и соседних тегов пишем несколько регистров
+            await client.writeRegisters(block.address, block.values);
+        } else {
+            // Для 16-битных значений пишем один регистр
+            await client.writeRegister(block.address, block.values[0]);
+        }
+
+        // Проверка записи: читаем блок обратно и сравниваем с записанным
+        if (block.writes.some(write => write.tag.writeVerify)) {
+            const data = await readRegisterRange(client, block.registerType, block.address, block.values.length);
+            const readBack = Array.from(data.data).slice(0, block.values.length).map(item => isBits ? Boolean(item) : item);
+            const offset = (tag) => tag.address - block.address;
+            const mismatch = block.writes.find(({ tag, values }) => tag.writeVerify &&
+                values.some((value, i) => readBack[offset(tag) + i] !== block.values[offset(tag) + i]));
+            if (mismatch) {
+                block.writes.forEach(({ tag, values }) => {
+                    applyTagData(device, tag, data.data.slice(offset(tag), offset(tag) + values.length));
+                });
+                const tag = mismatch.tag;
+                const actual = JSON.stringify(tag.status === TAG_STATUS.GOOD ? tag.currentValue :
+                    readBack.slice(offset(tag), offset(tag) + mismatch.values.length));
+                console.log(`⚠️ Проверка записи ${device.name}.${tag.name} не пройдена: прочитано ${actual}`);
+                return {
+                    status: 'BadDeviceFailure',
+                    error: `Проверка записи не пройдена: устройство вернуло ${actual}`
+                };
             }
-        } else if (tag.registerType === 'coil') {
-            await client.writeCoil(tag.address, Boolean(value));
         }
 
-        // Обновляем текущее значение
-        tag.currentValue = value;
-        console.log(`Записано значение: ${tag.name} = ${value}`);
+        // Обновляем текущие значения
+        block.writes.forEach(({ tag, value }) => {
+            tag.currentValue = value;
+            setTagStatus(tag, TAG_STATUS.GOOD);
+            updateOPCUAVariable(device, tag);
+            console.log(`Записано значение: ${tag.name} = ${value}`);
+        });
         
-        return true;
+        return { status: TAG_STATUS.GOOD };
     } catch (error) {
-        console.error(`Ошибка записи тега ${tag.name}:`, error.message);
-        device.connected = false;
-        try {
-            await client.close();
-        } catch (closeError) {}
-        return false;
+        console.error(`Ошибка записи тега ${names}:`, error.message);
+        if (error.modbusCode !== undefined) {
+            // Устройство отклонило запись, связь при этом в порядке
+            getDeviceConnection(device).recordError(error);
+            return {
+                status: WRITE_EXCEPTION_STATUS[error.modbusCode] || 'BadDeviceFailure',
+                error: error.message
+            };
+        }
+        getDeviceConnection(device).failed(error);
+        await dropConnection(device, client);
+        return {
+            status: error.errno === 'ETIMEDOUT' ? 'BadTimeout' : TAG_STATUS.COMM_ERROR,
+            error: error.message
+        };
     }
 }
 
-function convertToModbusFormat(value, dataType) {
-    switch (dataType) {
-        case 'float':
-        case 'int32':
-        case 'uint32':
-            return value; // Обрабатывается отдельно
-        case 'int16':
-            return value < 0 ? value + 65536 : value;
-        case 'uint16':
-            return value;
-        case 'boolean':
-            return Boolean(value) ? 1 : 0;
-        default:
-            return value;
+function isTagWritable(registerType) {
+    return registerType === 'holding' || registerType === 'coil';
+}
+
+// Проверка устройства из запроса API. Возвращает текст ошибки или null
+function validateDeviceRequest(device) {
+    if (!device.name || !device.type || !device.tags || !Array.isArray(device.tags)) {
+        return "Неверные данные устройства";
+    }
+    if (!DEVICE_TYPES.includes(device.type)) {
+        return `Неизвестный тип устройства ${device.type}`;
+    }
+    if (device.type === 'virtual' && device.tags.some(tag => !isVirtualTag(tag))) {
+        return "У виртуального устройства могут быть только вычисляемые теги";
+    }
+
+    const deviceError = validateDeviceConfig(device);
+    if (deviceError) {
+        return deviceError;
+    }
+
+    for (const tag of device.tags) {
+        const tagError = validateTagConfig(tag);
+        if (tagError) {
+            return `Тег ${tag.name}: ${tagError}`;
+        }
     }
+    return null;
 }
 
-function isTagWritable(registerType) {
-    return registerType === 'holding' || registerType === 'coil';
+// Проверка настроек устройства. Возвращает текст ошибки или null
+function validateDeviceConfig(device) {
+    const limits = {
+        maxReadRegisters: [1, MODBUS_MAX_READ_REGISTERS],
+        maxReadBits: [1, MODBUS_MAX_READ_BITS],
+        maxReadGap: [0, MODBUS_MAX_READ_BITS],
+        timeout: [100, 600000],
+        reconnectDelay: [100, 3600000],
+        reconnectMaxDelay: [100, 3600000]
+    };
+    if (device.enabled !== undefined && typeof device.enabled !== 'boolean') {
+        return "enabled должен быть true или false";
+    }
+    for (const [field, [min, max]] of Object.entries(limits)) {
+        const value = device[field];
+        if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+            return `${field} должен быть целым числом от ${min} до ${max}`;
+        }
+    }
+    if (isSerialDevice(device)) {
+        return validateSerialSettings(device);
+    }
+    if (device.type === 'tcp-modem') {
+        if (!isModemPort(settings, device.port)) {
+            return `Порт модема должен быть целым числом от ${settings.modemPortsStart} до ${settings.modemPortsEnd}`;
+        }
+        return validateModemSettings(device);
+    }
+    return null;
 }
 
-function getRegisterCount(dataType) {
-    switch (dataType) {
-        case 'float': return 2;
-        case 'int32': return 2;
-        case 'uint32': return 2;
-        default: return 1;
+function validateTagConfig(tag) {
+    if (isVirtualTag(tag)) {
+        const virtualError = validateVirtualTag(tag);
+        if (virtualError) {
+            return virtualError;
+        }
+    }
+    if (tag.byteOrder && !BYTE_ORDERS.includes(tag.byteOrder)) {
+        return `неверный порядок байт ${tag.byteOrder}`;
+    }
+    if (tag.dataType === 'string') {
+        if (!Number.isInteger(tag.stringLength) || tag.stringLength < 1 || tag.stringLength > 125) {
+            return "длина строки должна быть от 1 до 125 регистров";
+        }
+        if (isArrayTag(tag)) {
+            return "массивы строк не поддерживаются";
+        }
+        if (tag.registerType === 'coil' || tag.registerType === 'discrete') {
+            return "строка может храниться только в регистрах";
+        }
+    }
+    for (const field of ['scale', 'offset', 'rawMin', 'rawMax', 'euMin', 'euMax']) {
+        if (tag[field] !== undefined && !Number.isFinite(tag[field])) {
+            return `поле ${field} должно быть числом`;
+        }
+    }
+    if (tag.scale === 0) {
+        return "масштаб не может быть равен нулю";
+    }
+    if ((isScaledTag(tag) || hasTagLimits(tag)) && !isNumericTag(tag)) {
+        return "масштабирование доступно только для числовых регистров";
+    }
+    if (tag.rawMin > tag.rawMax || tag.euMin > tag.euMax) {
+        return "минимум больше максимума";
+    }
+    if (tag.historize !== undefined && typeof tag.historize !== 'boolean') {
+        return "поле historize должно быть true или false";
+    }
+    if (tag.historyMode !== undefined && !HISTORY_MODES.includes(tag.historyMode)) {
+        return `неизвестный режим архивирования ${tag.historyMode}`;
+    }
+    if (tag.historyDeadband !== undefined && !(Number.isFinite(tag.historyDeadband) && tag.historyDeadband >= 0)) {
+        return "зона нечувствительности должна быть неотрицательным числом";
+    }
+    for (const field of ['historyInterval', 'historyRetentionDays']) {
+        if (tag[field] !== undefined && !(Number.isInteger(tag[field]) && tag[field] > 0)) {
+            return `поле ${field} должно быть положительным целым числом`;
+        }
+    }
+    const writePolicyError = validateWritePolicy(tag);
+    if (writePolicyError) {
+        return writePolicyError;
+    }
+    const alarmError = validateAlarmConfig(tag, isNumericTag(tag));
+    if (alarmError) {
+        return alarmError;
+    }
+    if (getAlarmKind(tag) === 'limit' && ['Int64', 'UInt64'].includes(getOPCUADataType(getTagValueType(tag)))) {
+        return "предельная авария недоступна для 64-битных целых тегов";
+    }
+    if (tag.arrayLength !== undefined && tag.arrayLength !== null && tag.arrayLength !== 0) {
+        if (!Number.isInteger(tag.arrayLength) || tag.arrayLength < 1) {
+            return "размер массива должен быть положительным целым числом";
+        }
+        if (getTagRegisterCount(tag) > 2000 ||
+            (tag.registerType !== 'coil' && tag.registerType !== 'discrete' && getTagRegisterCount(tag) > 125)) {
+            return "массив не помещается в один Modbus запрос";
+        }
+    }
+    return null;
+}
+
+// Проверка ограничений записи тега. Возвращает текст ошибки или null
+function validateWritePolicy(tag) {
+    if (!WRITE_POLICY_FIELDS.some(field => tag[field] !== undefined)) {
+        return null;
+    }
+    if (!isTagWritable(tag.registerType)) {
+        return "ограничения записи задаются только для записываемых тегов";
+    }
+    for (const field of ['writeMin', 'writeMax']) {
+        if (tag[field] !== undefined && !(isNumericTag(tag) && Number.isFinite(tag[field]))) {
+            return `поле ${field} должно быть числом и задается только для числовых тегов`;
+        }
+    }
+    if (tag.writeMin > tag.writeMax) {
+        return "минимум для записи больше максимума";
+    }
+    if (tag.writeAllowedValues !== undefined) {
+        // Тип как у значения из parseTagValue
+        const valueType = ['string', 'boolean'].includes(tag.dataType) ? tag.dataType : 'number';
+        if (!Array.isArray(tag.writeAllowedValues) || tag.writeAllowedValues.length === 0 ||
+            tag.writeAllowedValues.some(value => typeof value !== valueType)) {
+            return `допустимые значения записи должны быть непустым списком значений типа ${valueType}`;
+        }
+    }
+    if (tag.writeVerify !== undefined && typeof tag.writeVerify !== 'boolean') {
+        return "поле writeVerify должно быть true или false";
     }
+    if (tag.writeMinInterval !== undefined && !(Number.isInteger(tag.writeMinInterval) && tag.writeMinInterval > 0)) {
+        return "поле writeMinInterval должно быть положительным целым числом";
+    }
+    return null;
+}
+
+// Проверка вычисляемого тега. Возвращает текст ошибки или null
+function validateVirtualTag(tag) {
+    if (!VIRTUAL_DATA_TYPES.includes(tag.dataType)) {
+        return `тип вычисляемого тега должен быть одним из: ${VIRTUAL_DATA_TYPES.join(', ')}`;
+    }
+    if (isArrayTag(tag)) {
+        return "вычисляемый тег не может быть массивом";
+    }
+    if (isScaledTag(tag) || tag.rawMin !== undefined || tag.rawMax !== undefined) {
+        return "масштабирование к вычисляемым тегам не применяется";
+    }
+    let expression;
+    try {
+        expression = compileExpression(tag.expression);
+    } catch (error) {
+        return `выражение: ${error.message}`;
+    }
+    if (expression.references.some(reference => reference.device === null && reference.tag === tag.name)) {
+        return "выражение ссылается на сам тег";
+    }
+    return null;
+}
+
+// Тип значения тега после масштабирования: дробный результат публикуем как Double
+function getTagValueType(tag) {
+    return isScaledTag(tag) ? 'double' : tag.dataType;
+}
+
+// EURange: явный диапазон в инженерных единицах либо пересчитанный диапазон регистра
+function getTagEURange(tag) {
+    const [typeMin, typeMax] = RAW_RANGES[tag.dataType] || RAW_RANGES.uint16;
+    const toEngineering = (raw) => isScaledTag(tag) ? raw * (tag.scale ?? 1) + (tag.offset ?? 0) : raw;
+    const scaledMin = toEngineering(tag.rawMin ?? typeMin);
+    const scaledMax = toEngineering(tag.rawMax ?? typeMax);
+
+    return {
+        low: tag.euMin ?? Math.min(scaledMin, scaledMax),
+        high: tag.euMax ?? Math.max(scaledMin, scaledMax)
+    };
 }
 
-function convertModbusData(data, dataType) {
-    switch (dataType) {
-        case 'float':
-            const buffer = Buffer.alloc(4);
-            buffer.writeUInt16BE(data[0], 0);
-            buffer.writeUInt16BE(data[1], 2);
-            return buffer.readFloatBE(0);
-        case 'int32':
-            return (data[0] << 16) + data[1];
-        case 'uint32':
-            return (data[0] << 16) + data[1];
-        case 'int16':
-            return data[0] > 32767 ? data[0] - 65536 : data[0];
-        case 'uint16':
-            return data[0];
-        case 'boolean':
-            return Boolean(data[0]);
-        default:
-            return data[0];
+// Единицы, которых нет в opcua.standardUnits: UNECE код, обозначение, название
+const EXTRA_UNITS = [
+    ['WHR', 'Wh', 'watt hour'],
+    ['KWH', 'kWh', 'kilowatt hour'],
+    ['MWH', 'MWh', 'megawatt hour'],
+    ['KVR', 'kvar', 'kilovar'],
+    ['KVA', 'kVA', 'kilovolt - ampere'],
+    ['LTR', 'l', 'litre'],
+    ['L2', 'l/min', 'litre per minute'],
+    ['HUR', 'h', 'hour']
+];
+
+function getEngineeringUnits(unit) {
+    if (!unit) return null;
+
+    const standard = Object.values(opcua.standardUnits)
+        .find(info => info.displayName.text === unit);
+    if (standard) return standard;
+
+    const extra = EXTRA_UNITS.find(([, symbol]) => symbol === unit);
+    if (extra) return opcua.makeEUInformation(...extra);
+
+    // Неизвестная единица: unitId -1 по спецификации
+    return { unitId: -1, displayName: { text: unit }, description: { text: unit } };
+}
+
+// Значение из REST/веб-интерфейса (строка или JSON) в представление тега
+function parseTagValue(tag, raw) {
+    const parseScalar = (item) => {
+        if (tag.dataType === 'string') {
+            return String(item);
+        }
+        if (tag.dataType === 'boolean') {
+            if (typeof item === 'boolean') return item;
+            const text = String(item).trim().toLowerCase();
+            if (['true', '1', 'on'].includes(text)) return true;
+            if (['false', '0', 'off'].includes(text)) return false;
+            throw new Error(`Неверное логическое значение: ${item}`);
+        }
+        const number = typeof item === 'number' ? item : parseFloat(item);
+        if (!Number.isFinite(number)) {
+            throw new Error(`Неверное числовое значение: ${item}`);
+        }
+        return number;
+    };
+
+    let value;
+    if (isArrayTag(tag)) {
+        const items = Array.isArray(raw) ? raw : String(raw).split(',');
+        if (items.length !== tag.arrayLength) {
+            throw new Error(`Ожидается массив из ${tag.arrayLength} элементов`);
+        }
+        value = items.map(parseScalar);
+    } else {
+        value = parseScalar(raw);
     }
+    return value;
 }
 
 function getOPCUADataType(dataType) {
     const map = {
         'float': 'Float',
+        'double': 'Double',
+        'int64': 'Int64',
+        'uint64': 'UInt64',
+        'string': 'String',
+        'bcd16': 'UInt16',
+        'bcd32': 'UInt32',
         'int32': 'Int32',
         'uint32': 'UInt32',
         'int16': 'Int16',
@@ -798,6 +2569,12 @@ function getOPCUADataType(dataType) {
 function getOPCUADataTypeCode(dataType) {
     const map = {
         'float': opcua.DataType.Float,
+        'double': opcua.DataType.Double,
+        'int64': opcua.DataType.Int64,
+        'uint64': opcua.DataType.UInt64,
+        'string': opcua.DataType.String,
+        'bcd16': opcua.DataType.UInt16,
+        'bcd32': opcua.DataType.UInt32,
         'int32': opcua.DataType.Int32,
         'uint32': opcua.DataType.UInt32,
         'int16': opcua.DataType.Int16,
@@ -814,25 +2591,384 @@ function startAllDevicesPolling() {
 }
 
 function startDevicePolling(device) {
-    if (device.type === 'tcp-modem') {
+    if (device.type === 'tcp-modem' && !isModemMaster(device)) {
         // Для модемов опрос не нужен, данные приходят асинхронно
         return;
     }
+    if (device.type === 'virtual') {
+        // Виртуальное устройство пересчитывается вместе со своими входами
+        return;
+    }
+    if (device.enabled === false || pollingTimers.has(device.id)) {
+        return;
+    }
     
-    setInterval(() => {
-        readDeviceData(device);
-    }, device.pollInterval || 2000);
+    pollingTimers.set(device.id, setInterval(() => {
+        pollDevice(device);
+    }, device.pollInterval || 2000));
+}
+
+// Цикл опроса; если предыдущий цикл еще идет (устройство отвечает медленнее интервала), пропускаем
+async function pollDevice(device) {
+    if (activePolls.has(device.id)) {
+        getDeviceConnection(device).pollSkipped();
+        return;
+    }
+    activePolls.add(device.id);
+    try {
+        await readDeviceData(device);
+        updateVirtualTags(device);
+    } finally {
+        activePolls.delete(device.id);
+    }
+}
+
+// Очередь транзакций соединения устройства: глубина, задержка, счетчики
+function getDeviceQueueStats(device) {
+    const client = modbusClients.get(device.id);
+    return client && client.queueStats ? client.queueStats() : null;
+}
+
+function stopDevicePolling(deviceId) {
+    const timer = pollingTimers.get(deviceId);
+    if (timer) {
+        clearInterval(timer);
+        pollingTimers.delete(deviceId);
+    }
+}
+
+function closeDeviceClient(deviceId) {
+    const client = modbusClients.get(deviceId);
+    if (client) {
+        client.close().catch(() => {});
+        modbusClients.delete(deviceId);
+    }
+
+    // Порт закрываем, когда на шине не осталось устройств
+    serialBuses.forEach((bus, path) => {
+        if (bus.detach(deviceId) === 0) {
+            serialBuses.delete(path);
+            bus.close().catch(error => {
+                console.error(`Ошибка закрытия порта ${path}:`, error.message);
+            });
+        }
+    });
 }
 
-function removeDeviceVariables(deviceId) {
+// Удаляем объект устройства вместе с переменными тегов и объектом Status
+function removeDeviceNodes(deviceId) {
+    const deviceObject = deviceObjects.get(deviceId);
+    if (deviceObject) {
+        deviceObject.addressSpace.deleteNode(deviceObject);
+        deviceObjects.delete(deviceId);
+    }
+    opcuaVariables.delete(deviceId);
+    tagAlarms.delete(deviceId);
+}
+
+function removeTagVariable(deviceId, tagName) {
     const variables = opcuaVariables.get(deviceId);
-    if (variables) {
-        variables.forEach(variable => {
-            // Удаляем переменную из адресного пространства
-            variable.dispose();
+    const variable = variables && variables.get(tagName);
+    if (variable) {
+        variable.addressSpace.deleteNode(variable);
+        variables.delete(tagName);
+    }
+    tagAlarms.get(deviceId)?.delete(tagName);
+}
+
+// Поля, изменение которых требует нового Modbus клиента
+const CONNECTION_FIELDS = [
+    'type', 'address', 'port', 'deviceId', 'timeout',
+    'modemMode', 'modemProtocol', 'reconnectDelay', 'reconnectMaxDelay', ...SERIAL_FIELDS
+];
+
+// Значения, которые мост вычисляет сам и которые не входят в конфигурацию
+const TAG_RUNTIME_FIELDS = ['currentValue', 'status', 'timestamp'];
+
+function getTagConfig(tag) {
+    const config = {};
+    Object.keys(tag).sort().forEach(key => {
+        if (!TAG_RUNTIME_FIELDS.includes(key)) {
+            config[key] = tag[key];
+        }
+    });
+    return config;
+}
+
+function getDeviceConfig(device) {
+    const { connected, ...config } = device;
+    return { ...config, tags: device.tags.map(getTagConfig) };
+}
+
+function isSameTagConfig(a, b) {
+    return JSON.stringify(getTagConfig(a)) === JSON.stringify(getTagConfig(b));
+}
+
+// Применяет новую конфигурацию к работающему устройству. Объект устройства
+// и неизмененные теги сохраняются: на них ссылаются обработчики OPC UA.
+function updateDevice(device, config) {
+    const namespace = server.engine.addressSpace.getOwnNamespace();
+    const connectionChanged = CONNECTION_FIELDS.some(field => device[field] !== config[field]);
+    const nameChanged = device.name !== config.name;
+
+    const oldTags = new Map(device.tags.map(tag => [tag.name, tag]));
+    const keptTags = new Set();
+    const tags = config.tags.map(tagConfig => {
+        const oldTag = oldTags.get(tagConfig.name);
+        if (oldTag && isSameTagConfig(oldTag, tagConfig)) {
+            keptTags.add(oldTag);
+            return oldTag;
+        }
+        return { ...getTagConfig(tagConfig), status: TAG_STATUS.WAITING, timestamp: null };
+    });
+
+    stopDevicePolling(device.id);
+    failedReadBlocks.delete(device.id);
+    // Состав метрик или имя устройства могли измениться: Sparkplug требует нового DBIRTH
+    mqttPublisher?.deviceOffline(device);
+
+    if (connectionChanged) {
+        closeDeviceClient(device.id);
+        deviceConnections.delete(device.id);
+        device.connected = false;
+    }
+
+    // Обновляем объект устройства на месте
+    Object.keys(device).forEach(key => {
+        if (key !== 'id' && key !== 'connected' && !(key in config)) {
+            delete device[key];
+        }
+    });
+    Object.assign(device, config, { tags });
+
+    if (nameChanged) {
+        // Имя устройства - это browseName объекта, объект создается заново
+        removeDeviceNodes(device.id);
+        initializeOPCUADevice(device, namespace, devicesFolder);
+    } else {
+        oldTags.forEach(tag => {
+            if (!keptTags.has(tag)) {
+                removeTagVariable(device.id, tag.name);
+            }
+        });
+        tags.forEach(tag => {
+            if (!keptTags.has(tag)) {
+                addTagVariable(device, tag, namespace, deviceObjects.get(device.id));
+            }
+        });
+    }
+
+    if (connectionChanged) {
+        initializeModbusClient(device);
+    }
+
+    applyDeviceEnabled(device);
+    console.log(`Устройство ${device.name} обновлено`);
+}
+
+// Отключенное устройство сохраняет конфигурацию и узлы OPC UA, но не опрашивается
+function applyDeviceEnabled(device) {
+    const connection = getDeviceConnection(device);
+
+    if (device.enabled === false) {
+        stopDevicePolling(device.id);
+        connection.disable();
+        if (device.connected) {
+            modbusClients.get(device.id)?.close().catch(() => {});
+        }
+        device.connected = false;
+        device.tags.forEach(tag => {
+            setTagStatus(tag, TAG_STATUS.OUT_OF_SERVICE);
+            updateOPCUAVariable(device, tag);
+        });
+        updateVirtualTags(device);
+        return;
+    }
+
+    if (connection.state === CONNECTION_STATES.DISABLED) {
+        connection.enable();
+        device.tags.forEach(tag => {
+            setTagStatus(tag, TAG_STATUS.WAITING);
+            updateOPCUAVariable(device, tag);
         });
-        opcuaVariables.delete(deviceId);
     }
+    evaluateVirtualTags(device);
+    startDevicePolling(device);
+}
+
+// Принудительное переподключение (метод Reconnect): соединение закрывается, пауза после ошибок
+// сбрасывается и устройство сразу опрашивается. Модем подключается к мосту сам,
+// поэтому у него закрывается сокет. Возвращает имя кода opcua.StatusCodes
+async function reconnectDevice(device) {
+    if (device.enabled === false) {
+        return TAG_STATUS.OUT_OF_SERVICE;
+    }
+    if (device.type === 'virtual') {
+        return 'BadNotSupported';
+    }
+    if (device.type === 'tcp-modem') {
+        const closed = modemConnections.disconnect(device, 'переподключение по команде OPC UA');
+        return closed ? TAG_STATUS.GOOD : 'BadNotConnected';
+    }
+    if (activePolls.has(device.id)) {
+        return 'BadTooManyOperations';
+    }
+
+    console.log(`🔌 Переподключение к устройству ${device.name}`);
+    const client = modbusClients.get(device.id);
+    if (client) {
+        await dropConnection(device, client);
+    }
+    getDeviceConnection(device).connecting();
+    return readDeviceNow(device);
+}
+
+// Внеочередной цикл опроса (метод ReadNow). Возвращает имя кода opcua.StatusCodes
+async function readDeviceNow(device) {
+    if (device.enabled === false) {
+        return TAG_STATUS.OUT_OF_SERVICE;
+    }
+    if (device.type === 'virtual') {
+        evaluateVirtualTags(device);
+        return TAG_STATUS.GOOD;
+    }
+    if (device.type === 'tcp-modem' && !isModemMaster(device)) {
+        // В режиме slave модем сам присылает данные
+        return 'BadNotSupported';
+    }
+    if (activePolls.has(device.id)) {
+        return 'BadTooManyOperations';
+    }
+
+    await pollDevice(device);
+    return getDeviceConnection(device).state === CONNECTION_STATES.ONLINE ? TAG_STATUS.GOOD : TAG_STATUS.COMM_ERROR;
+}
+
+// Включение и отключение устройства (методы Enable и Disable), состояние сохраняется в конфигурации
+function setDeviceEnabled(device, enabled) {
+    if ((device.enabled !== false) !== enabled) {
+        device.enabled = enabled;
+        applyDeviceEnabled(device);
+        saveDevicesConfig();
+        console.log(`Устройство ${device.name} ${enabled ? 'включено' : 'отключено'}`);
+    }
+    return TAG_STATUS.GOOD;
+}
+
+// Запись нескольких тегов (метод WriteMultiple). Сначала все значения проверяются
+// ограничениями тегов (один раз на вызов), и при любом отказе не записывается ни один тег.
+// Затем теги с соседними адресами пишутся одним запросом FC16/FC15 - такой блок устройство
+// принимает или отклоняет целиком. Несмежные блоки пишутся по очереди, после ошибки устройства
+// оставшиеся не пишутся, поэтому результат возвращается для каждого тега.
+// Возвращает { status, results }: status - Good или первая ошибка, results - по тегам
+async function writeTagValues(device, tagNames, values, actor) {
+    if (tagNames.length !== values.length || tagNames.length === 0) {
+        return { status: 'BadInvalidArgument', results: tagNames.map(() => 'BadInvalidArgument') };
+    }
+    if (device.enabled === false) {
+        return { status: TAG_STATUS.OUT_OF_SERVICE, results: tagNames.map(() => TAG_STATUS.OUT_OF_SERVICE) };
+    }
+
+    const writes = tagNames.map((name, i) => {
+        const tag = device.tags.find(t => t.name === name);
+        if (!tag) {
+            return { status: 'BadNodeIdUnknown' };
+        }
+        if (!isTagWritable(tag.registerType)) {
+            return { tag, status: 'BadNotWritable' };
+        }
+        let value;
+        try {
+            value = fromVariantValue(tag, values[i].value);
+        } catch (error) {
+            return { tag, status: 'BadTypeMismatch' };
+        }
+        const rejection = checkWritePolicy(tag, value);
+        if (rejection) {
+            recordWriteAudit(device, tag, value, actor, 'rejected', tag.currentValue, rejection.error);
+            return { tag, value, status: rejection.status };
+        }
+        return { tag, value, status: TAG_STATUS.GOOD };
+    });
+
+    const invalid = writes.find(write => write.status !== TAG_STATUS.GOOD);
+    if (invalid) {
+        console.log(`⚠️ Групповая запись в ${device.name} отклонена: ${invalid.tag ? invalid.tag.name : 'неизвестный тег'} - ${invalid.status}`);
+        return {
+            status: invalid.status,
+            results: writes.map(write => write.status === TAG_STATUS.GOOD ? 'BadOperationAbandoned' : write.status)
+        };
+    }
+
+    const now = Date.now();
+    writes.forEach(write => {
+        console.log(`OPC UA запись: ${write.tag.name} = ${JSON.stringify(write.value)}`);
+        lastTagWrites.set(write.tag, now);
+        write.oldValue = write.tag.currentValue;
+        write.values = encodeTagWrite(write.tag, write.value);
+    });
+
+    const blocks = planWriteBlocks(writes);
+    const blockResults = await writeBlocksToDevice(device, blocks);
+    const writeResults = new Map();
+    blocks.forEach((block, i) => block.writes.forEach(write => writeResults.set(write, blockResults[i])));
+
+    const results = writes.map(write => {
+        const result = writeResults.get(write);
+        const success = result.status === TAG_STATUS.GOOD;
+        recordWriteAudit(device, write.tag, write.value, actor, success ? 'ok' : 'error', write.oldValue, result.error);
+        return result.status;
+    });
+    const failure = blockResults.find(result => result.status !== TAG_STATUS.GOOD);
+    return { status: failure ? failure.status : TAG_STATUS.GOOD, results };
+}
+
+// Перечитывает файл конфигурации устройств (метод ReloadConfig): новые устройства добавляются,
+// измененные обновляются на месте, отсутствующие в файле удаляются. Файл проверяется целиком,
+// включая протокол и настройки общих последовательных портов, при ошибке ничего не меняется.
+// Возвращает { added, updated, removed }
+function reloadDevicesConfig() {
+    const configs = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    if (!Array.isArray(configs)) {
+        throw new Error(`${CONFIG_FILE} должен содержать список устройств`);
+    }
+    const ids = new Set();
+    for (const config of configs) {
+        const configError = validateDeviceRequest(config) ||
+            (!config.id ? "не задан id" : null) ||
+            (ids.has(config.id) ? `id ${config.id} повторяется` : null) ||
+            checkSerialBus(config, config.id, configs);
+        if (configError) {
+            throw new Error(`устройство ${config.name || config.id}: ${configError}`);
+        }
+        ids.add(config.id);
+    }
+
+    const result = { added: 0, updated: 0, removed: 0 };
+    devices.filter(device => !ids.has(device.id)).forEach(device => {
+        removeDevice(device);
+        result.removed++;
+    });
+    configs.forEach(config => {
+        const device = devices.find(d => d.id === config.id);
+        if (!device) {
+            devices.push(config);
+            initializeDevice(config);
+            result.added++;
+            return;
+        }
+        if (JSON.stringify(getDeviceConfig(device)) !== JSON.stringify(getDeviceConfig(config))) {
+            const { id, ...deviceConfig } = getDeviceConfig(config);
+            updateDevice(device, deviceConfig);
+            applySerialBusSettings(device);
+            result.updated++;
+        }
+    });
+    syncModemListeners();
+    eventStream.publish('devices', { count: devices.length });
+
+    console.log(`Конфигурация перечитана из ${CONFIG_FILE}: добавлено ${result.added}, изменено ${result.updated}, удалено ${result.removed}`);
+    return result;
 }
 
 // Обработка завершения
@@ -849,12 +2985,28 @@ process.on("SIGINT", async () => {
         }
     }
     
-    // Закрываем все TCP соединения
-    tcpConnections.forEach((socket, key) => {
-        socket.destroy();
-        console.log(`TCP соединение ${key} закрыто`);
-    });
+    // Закрываем последовательные порты
+    for (const bus of serialBuses.values()) {
+        try {
+            await bus.close();
+        } catch (error) {
+            console.error(`Ошибка при закрытии порта ${bus.path}:`, error.message);
+        }
+    }
+
+    // Закрываем TCP серверы и соединения модемов
+    modemListeners.forEach(tcpServer => tcpServer.close());
+    modemConnections.closeAll('остановка сервера');
     
+    // Отправляем свидетельство о смерти узла MQTT и отключаемся от брокера
+    if (mqttPublisher) {
+        try {
+            await mqttPublisher.stop();
+        } catch (error) {
+            console.error("Ошибка при отключении от MQTT брокера:", error.message);
+        }
+    }
+
     // Останавливаем OPC UA сервер
     await server.shutdown();
     console.log("Сервер остановлен");
@@ -0,0 +1,102 @@
+// Симулятор Modbus устройств из конфигурации моста (npm run test-server).
+// Запуск: node test-modbus-server.js [devices.json] [--bridge адрес моста] [--quiet]
+// Для автоматических тестов используйте createModbusSimulator из lib/modbus-simulator.
+
+const fs = require('fs');
+const readline = require('readline');
+const { FAULT_TYPES, createModbusSimulator } = require('./lib/modbus-simulator');
+
+const DEFAULT_CONFIG_FILE = 'devices.json';
+
+const HELP = `Команды:
+  status                                         - устройства, запросы и неисправности
+  get <устройство> <тег>                         - текущее значение
+  set <устройство> <тег> <значение>              - задать значение вместо генератора (JSON или строка)
+  fault <устройство> ${FAULT_TYPES.join('|')} [код] [вероятность]
+  clear <устройство>                             - снять неисправность
+  quit`;
+
+function parseArgs(argv) {
+    const args = { file: DEFAULT_CONFIG_FILE, bridgeHost: '127.0.0.1', quiet: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--bridge') {
+            args.bridgeHost = argv[++i];
+        } else if (argv[i] === '--quiet') {
+            args.quiet = true;
+        } else {
+            args.file = argv[i];
+        }
+    }
+    return args;
+}
+
+function parseValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const devices = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+
+    const simulator = createModbusSimulator({
+        devices,
+        bridgeHost: args.bridgeHost,
+        log: args.quiet ? () => {} : console.log
+    });
+    await simulator.start();
+    console.log(`✅ Симулятор запущен (${args.file}), help - список команд`);
+
+    // Устройство можно указать по id или по имени
+    const findDeviceId = (name) => {
+        const device = devices.find(d => d.id === name || d.name === name);
+        return device ? device.id : name;
+    };
+
+    const commands = {
+        help: () => console.log(HELP),
+        status: () => console.table(simulator.status().map(item => ({
+            ...item,
+            fault: item.fault ? item.fault.type : ''
+        }))),
+        get: (device, tag) => console.log(simulator.getValue(findDeviceId(device), tag)),
+        set: (device, tag, ...value) => simulator.setValue(findDeviceId(device), tag, parseValue(value.join(' '))),
+        fault: (device, type, code, probability) => simulator.setFault(findDeviceId(device), {
+            type,
+            ...(code !== undefined && type === 'exception' ? { code: Number(code) } : {}),
+            ...(probability !== undefined ? { probability: Number(probability) } : {})
+        }),
+        clear: (device) => simulator.setFault(findDeviceId(device), null),
+        quit: () => shutdown()
+    };
+
+    const shutdown = async () => {
+        await simulator.stop();
+        process.exit(0);
+    };
+
+    const input = readline.createInterface({ input: process.stdin });
+    input.on('line', (line) => {
+        const [command, ...params] = line.trim().split(/\s+/);
+        if (!command) return;
+        if (!commands[command]) {
+            console.log(`Неизвестная команда ${command}, help - список команд`);
+            return;
+        }
+        try {
+            commands[command](...params);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+        }
+    });
+
+    process.on('SIGINT', shutdown);
+}
+
+main().catch(error => {
+    console.error('❌ Не удалось запустить симулятор:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,111 @@
+// Аварии тегов: уровни пределов, зона возврата, задержка срабатывания,
+// квитирование перед подтверждением, дискретные аварии и проверка настроек
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAlarmConfig, createTagAlarm } = require('../lib/alarms');
+
+const LEVEL_TAG = { name: 'level', alarmLoLo: 5, alarmLo: 10, alarmHi: 90, alarmHiHi: 95 };
+
+function createAlarm(tag) {
+    const changes = [];
+    const alarm = createTagAlarm({ tag, onChange: (snapshot, previous) => changes.push([previous, snapshot.level]) });
+    return { alarm, changes };
+}
+
+test('уровни предельной аварии', () => {
+    const { alarm, changes } = createAlarm(LEVEL_TAG);
+    for (const value of [50, 91, 96, 92, 50, 8, 3, 50]) {
+        alarm.update(value, true);
+    }
+    assert.deepEqual(changes, [
+        [null, 'High'],
+        ['High', 'HighHigh'],
+        ['HighHigh', 'High'],
+        ['High', null],
+        [null, 'Low'],
+        ['Low', 'LowLow'],
+        ['LowLow', null]
+    ]);
+    assert.equal(alarm.snapshot().severity, 0);
+});
+
+test('зона возврата: авария держится, пока значение не отойдет от предела', () => {
+    const { alarm } = createAlarm({ ...LEVEL_TAG, alarmDeadband: 2 });
+    alarm.update(91, true);
+    alarm.update(89, true);
+    assert.equal(alarm.level, 'High');
+    alarm.update(87.5, true);
+    assert.equal(alarm.level, null);
+
+    alarm.update(9, true);
+    alarm.update(11.5, true);
+    assert.equal(alarm.level, 'Low');
+    alarm.update(12, true);
+    assert.equal(alarm.level, null);
+});
+
+test('задержка: короткий выброс не вызывает аварию', () => {
+    const { alarm, changes } = createAlarm({ ...LEVEL_TAG, alarmDelay: 1000 });
+    alarm.update(91, true, 0);
+    alarm.update(50, true, 500);
+    alarm.update(91, true, 600);
+    alarm.update(91, true, 1500);
+    assert.equal(alarm.level, null);
+    alarm.update(92, true, 1600);
+    assert.equal(alarm.level, 'High');
+    assert.equal(alarm.snapshot().activeSince, new Date(1600).toISOString());
+    // Возврат в норму - без задержки
+    alarm.update(50, true, 1700);
+    assert.deepEqual(changes, [[null, 'High'], ['High', null]]);
+});
+
+test('плохое качество не меняет состояние аварии', () => {
+    const { alarm } = createAlarm(LEVEL_TAG);
+    alarm.update(91, true);
+    alarm.update(50, false);
+    alarm.update(null, true);
+    assert.equal(alarm.level, 'High');
+    assert.equal(alarm.snapshot().value, 91);
+});
+
+test('подтверждение только после квитирования, новый уровень квитируется заново', () => {
+    const { alarm } = createAlarm(LEVEL_TAG);
+    alarm.update(91, true);
+    assert.equal(alarm.confirm(), false);
+    assert.equal(alarm.acknowledge(), true);
+    assert.equal(alarm.acknowledge(), false);
+
+    alarm.update(50, true);
+    // Авария ушла, но не подтверждена: остается в списке
+    const { active, acknowledged, confirmed, retained } = alarm.snapshot();
+    assert.deepEqual({ active, acknowledged, confirmed, retained },
+        { active: false, acknowledged: true, confirmed: false, retained: true });
+    assert.equal(alarm.confirm(), true);
+    assert.equal(alarm.snapshot().retained, false);
+
+    alarm.update(96, true);
+    assert.equal(alarm.snapshot().acknowledged, false);
+    assert.equal(alarm.snapshot().severity, 800);
+});
+
+test('дискретная авария', () => {
+    const { alarm } = createAlarm({ name: 'door', registerType: 'coil', alarmNormalState: false });
+    assert.equal(alarm.kind, 'discrete');
+    alarm.update(true, true);
+    assert.equal(alarm.level, 'Active');
+    assert.equal(alarm.snapshot().message, 'door: Отклонение от нормального состояния (true)');
+    alarm.update(false, true);
+    assert.equal(alarm.level, null);
+});
+
+test('проверка настроек аварии', () => {
+    assert.equal(validateAlarmConfig(LEVEL_TAG, true), null);
+    assert.match(validateAlarmConfig({ alarmLo: 50, alarmHi: 10 }, true), /по возрастанию/);
+    assert.match(validateAlarmConfig({ alarmHi: 10, alarmDeadband: -1 }, true), /не может быть отрицательной/);
+    assert.match(validateAlarmConfig({ alarmHi: 10, alarmDelay: 1.5 }, true), /задержка аварии/);
+    assert.match(validateAlarmConfig({ alarmHi: 10 }, false), /только для числовых тегов/);
+    assert.match(validateAlarmConfig({ registerType: 'holding', dataType: 'uint16', alarmNormalState: true }, true),
+        /только для битовых тегов/);
+    assert.match(validateAlarmConfig({ registerType: 'coil', alarmNormalState: true, alarmHi: 1 }, false),
+        /одновременно дискретной и предельной/);
+});
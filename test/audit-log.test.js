@@ -0,0 +1,30 @@
+// Журнал записей: поиск по фильтрам, новые записи первыми, недописанная строка пропускается
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog } = require('../lib/audit-log');
+
+test('поиск записей по фильтрам', (t) => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-audit-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    const file = path.join(folder, 'audit.log');
+    const auditLog = createAuditLog({ file });
+
+    auditLog.record({ user: 'op', source: 'web', deviceId: 'tank', tag: 'level', oldValue: 1, newValue: 2, result: 'ok' });
+    auditLog.record({ user: 'op', source: 'opcua', deviceId: 'pump', tag: 'speed', oldValue: 0, newValue: 50, result: 'denied' });
+    auditLog.record({ user: 'eng', source: 'web', deviceId: 'tank', tag: 'level', oldValue: 2, newValue: 3, result: 'ok' });
+    // Строка, оборванная аварийной остановкой
+    fs.appendFileSync(file, '{"user":"op","dev');
+
+    assert.deepEqual(auditLog.query().map(entry => entry.newValue), [3, 50, 2]);
+    assert.deepEqual(auditLog.query({ user: 'op' }).map(entry => entry.newValue), [50, 2]);
+    assert.deepEqual(auditLog.query({ deviceId: 'tank', tag: 'level', result: 'ok' }).map(entry => entry.user), ['eng', 'op']);
+    assert.deepEqual(auditLog.query({ source: 'opcua' }).map(entry => entry.result), ['denied']);
+    assert.deepEqual(auditLog.query({ limit: '1' }).map(entry => entry.newValue), [3]);
+
+    const [latest] = auditLog.query();
+    assert.ok(!Number.isNaN(Date.parse(latest.time)));
+    assert.deepEqual(auditLog.query({ from: new Date(Date.parse(latest.time) + 1000).toISOString() }), []);
+});
@@ -0,0 +1,67 @@
+// Пароли, сессии и cookie веб-интерфейса
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auth = require('../lib/auth');
+
+test('пароль созданного admin пишется в файл 0600, а не в лог', (t) => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-auth-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    const logged = [];
+    t.mock.method(console, 'log', (...args) => logged.push(args.join(' ')));
+
+    const store = auth.createUserStore(path.join(folder, 'users.json'));
+    const passwordFile = path.join(folder, 'admin-password.txt');
+    const password = fs.readFileSync(passwordFile, 'utf8').trim();
+
+    assert.equal(fs.statSync(passwordFile).mode & 0o777, 0o600);
+    assert.ok(store.authenticate('admin', password));
+    assert.ok(logged.every(line => !line.includes(password)));
+});
+
+test('неверно закодированный cookie пропускается', () => {
+    assert.deepEqual(auth.parseCookies('bad=%E0%A4%A; bridge_session=abc%20d'), { bridge_session: 'abc d' });
+});
+
+test('истекшие сессии удаляются', () => {
+    const sessions = auth.createSessionStore(1000);
+    const token = sessions.create({ username: 'op' });
+    sessions.create({ username: 'view' });
+    assert.equal(sessions.touch(token), 'op');
+
+    sessions.sweep(Date.now() + 2000);
+    assert.equal(sessions.count, 0);
+    assert.equal(sessions.touch(token), null);
+});
+
+test('права на запись по роли и списку устройств', () => {
+    const tank = { id: 'tank-1', name: 'tank' };
+    assert.ok(auth.canWriteDevice({ role: 'engineer', devices: [] }, tank));
+    assert.ok(auth.canWriteDevice({ role: 'operator' }, tank));
+    assert.ok(auth.canWriteDevice({ role: 'operator', devices: ['*'] }, tank));
+    assert.ok(auth.canWriteDevice({ role: 'operator', devices: ['tank'] }, tank));
+    assert.ok(!auth.canWriteDevice({ role: 'operator', devices: ['pump'] }, tank));
+    assert.ok(!auth.canWriteDevice({ role: 'viewer' }, tank));
+    assert.ok(!auth.canWriteDevice(null, tank));
+    assert.ok(auth.hasRole({ role: 'engineer' }, 'operator'));
+    assert.ok(!auth.hasRole({ role: 'operator' }, 'engineer'));
+});
+
+test('файл пользователей: хеши паролей и проверка ролей', (t) => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-auth-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    const file = path.join(folder, 'users.json');
+
+    fs.writeFileSync(file, JSON.stringify([{ username: 'op', passwordHash: auth.hashPassword('secret'), role: 'operator' }]));
+    const store = auth.createUserStore(file);
+    assert.equal(store.authenticate('op', 'secret').role, 'operator');
+    assert.equal(store.authenticate('op', 'Secret'), null);
+    assert.equal(store.authenticate('nobody', 'secret'), null);
+    assert.ok(!fs.existsSync(path.join(folder, 'admin-password.txt')));
+
+    fs.writeFileSync(file, JSON.stringify([{ username: 'op', passwordHash: auth.hashPassword('secret'), role: 'admin' }]));
+    assert.throws(() => auth.createUserStore(file), /неизвестная роль admin/);
+});
@@ -0,0 +1,85 @@
+// Состояние связи с устройством: пауза перед повтором растет вдвое до предела,
+// успешный опрос сбрасывает ее, отключенное устройство не подключается
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATES, createDeviceConnection } = require('../lib/device-connection');
+
+const retryAt = (connection) => Date.parse(connection.snapshot().nextRetryAt);
+
+test('пауза удваивается после каждой ошибки и не превышает предел', () => {
+    const connection = createDeviceConnection({ reconnectDelay: 1000, reconnectMaxDelay: 5000 });
+    const delays = [];
+    for (let i = 0; i < 5; i++) {
+        connection.connecting();
+        connection.failed(new Error('Port Not Open'));
+        delays.push(connection.retryDelay);
+    }
+    assert.deepEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+    assert.equal(connection.state, STATES.BACKOFF);
+    assert.equal(connection.consecutiveErrors, 5);
+    // Первое подключение - не повтор
+    assert.equal(connection.reconnectCount, 4);
+    assert.equal(connection.lastError, 'Port Not Open');
+});
+
+test('до конца паузы подключаться нельзя', () => {
+    const connection = createDeviceConnection({ reconnectDelay: 1000 });
+    assert.ok(connection.canConnect());
+    connection.failed(new Error('ECONNREFUSED'));
+
+    const nextRetryAt = retryAt(connection);
+    assert.ok(!connection.canConnect(nextRetryAt - 1));
+    assert.ok(connection.canConnect(nextRetryAt));
+});
+
+test('успешный опрос сбрасывает паузу', () => {
+    const changes = [];
+    const connection = createDeviceConnection({
+        reconnectDelay: 1000,
+        onStateChange: (state, previous) => changes.push([previous, state])
+    });
+    connection.failed(new Error('Timed out'));
+    connection.failed(new Error('Timed out'));
+    connection.connecting();
+    connection.pollSucceeded();
+
+    assert.equal(connection.state, STATES.ONLINE);
+    assert.equal(connection.retryDelay, 1000);
+    assert.equal(connection.snapshot().nextRetryAt, null);
+    assert.equal(connection.errorCount, 2);
+    assert.deepEqual(changes, [
+        [STATES.CONNECTING, STATES.BACKOFF],
+        [STATES.BACKOFF, STATES.CONNECTING],
+        [STATES.CONNECTING, STATES.ONLINE]
+    ]);
+});
+
+test('отключенное устройство остается отключенным до включения', () => {
+    const connection = createDeviceConnection();
+    connection.disable();
+    connection.connecting();
+    connection.failed(new Error('Timed out'));
+    connection.pollSucceeded();
+
+    assert.equal(connection.state, STATES.DISABLED);
+    assert.ok(!connection.canConnect());
+    assert.equal(connection.errorCount, 1);
+
+    connection.enable();
+    assert.equal(connection.state, STATES.CONNECTING);
+    assert.ok(connection.canConnect());
+});
+
+test('ошибка без потери связи не запускает паузу', () => {
+    const connection = createDeviceConnection();
+    connection.pollSucceeded();
+    connection.responseReceived(20);
+    connection.responseReceived(40);
+    connection.recordError(Object.assign(new Error('Illegal data address'), { modbusCode: 2 }));
+
+    const snapshot = connection.snapshot();
+    assert.equal(snapshot.state, STATES.ONLINE);
+    assert.equal(snapshot.lastExceptionCode, 2);
+    assert.equal(snapshot.averageResponseTime, 30);
+    assert.equal(snapshot.maxResponseTime, 40);
+});
@@ -0,0 +1,64 @@
+// Изменение устройств без перезапуска: PUT и PATCH перестраивают только узлы OPC UA
+// устройства и перезапускают опрос, отключенное устройство сохраняет настройки, DELETE убирает узлы
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startDevice, startBridge, waitForValue } = require('./helpers/bridge');
+
+const level = { name: 'level', registerType: 'holding', address: 0, dataType: 'uint16' };
+const flow = { name: 'flow', registerType: 'holding', address: 1, dataType: 'uint16' };
+
+const isGood = (dataValue) => dataValue.statusCode.name === 'Good';
+
+test('изменение, отключение и удаление устройства', { timeout: 120000 }, async (t) => {
+    const device = await startDevice(t, [level, flow], { level: 5, flow: 9 });
+    const tank = {
+        name: 'tank', type: 'tcp', address: '127.0.0.1', port: device.port, deviceId: 1, pollInterval: 500, tags: [level]
+    };
+    const { session, api, devicesFile } = await startBridge(t, [{ id: 'tank', ...tank }]);
+    const readStatus = async (nodeId) => (await session.read({ nodeId })).statusCode.name;
+    const savedTank = () => JSON.parse(fs.readFileSync(devicesFile, 'utf8')).find(d => d.id === 'tank');
+
+    await waitForValue(session, 'ns=1;s=tank_level', isGood);
+    assert.equal(await readStatus('ns=1;s=tank_flow'), 'BadNodeIdUnknown');
+
+    await t.test('новый тег появляется, удаленный пропадает', async () => {
+        let response = await api('PUT', '/api/devices/tank', { ...tank, tags: [level, flow] });
+        assert.equal(response.status, 200);
+        assert.equal((await waitForValue(session, 'ns=1;s=tank_flow', isGood)).value.value, 9);
+
+        response = await api('PUT', '/api/devices/tank', { ...tank, tags: [flow] });
+        assert.equal(response.status, 200);
+        assert.equal(await readStatus('ns=1;s=tank_level'), 'BadNodeIdUnknown');
+        assert.equal((await waitForValue(session, 'ns=1;s=tank_flow', isGood)).value.value, 9);
+        assert.deepEqual(savedTank().tags.map(tag => tag.name), ['flow']);
+    });
+
+    await t.test('неверная конфигурация не меняет устройство', async () => {
+        const response = await api('PUT', '/api/devices/tank', { ...tank, tags: [level, { ...flow, scale: 0 }] });
+        assert.equal(response.status, 400);
+        assert.deepEqual(savedTank().tags.map(tag => tag.name), ['flow']);
+        assert.equal(await readStatus('ns=1;s=tank_level'), 'BadNodeIdUnknown');
+    });
+
+    await t.test('отключение сохраняет настройки и останавливает опрос', async () => {
+        let response = await api('PATCH', '/api/devices/tank', { enabled: false });
+        assert.equal(response.status, 200);
+        await waitForValue(session, 'ns=1;s=tank_flow', dataValue => dataValue.statusCode.name === 'BadOutOfService');
+        assert.equal(savedTank().enabled, false);
+        assert.deepEqual(savedTank().tags.map(tag => tag.name), ['flow']);
+
+        device.values.set('flow', 11);
+        response = await api('PATCH', '/api/devices/tank', { enabled: true });
+        assert.equal(response.status, 200);
+        assert.equal((await waitForValue(session, 'ns=1;s=tank_flow', isGood)).value.value, 11);
+    });
+
+    await t.test('удаление убирает узлы устройства', async () => {
+        assert.equal((await api('DELETE', '/api/devices/tank')).status, 200);
+        assert.equal(await readStatus('ns=1;s=tank'), 'BadNodeIdUnknown');
+        assert.equal(await readStatus('ns=1;s=tank_flow'), 'BadNodeIdUnknown');
+        assert.equal(savedTank(), undefined);
+        assert.equal((await api('PUT', '/api/devices/tank', { ...tank })).status, 404);
+    });
+});
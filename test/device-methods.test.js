@@ -0,0 +1,98 @@
+// Методы OPC UA запущенного моста: WriteMultiple пишет соседние теги одним запросом
+// и проверяет все значения до записи, ReloadConfig перечитывает файл устройств целиком
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const opcua = require('node-opcua');
+const { startDevice, startBridge } = require('./helpers/bridge');
+
+function writeMultiple(session, deviceId, items) {
+    return session.call({
+        objectId: `ns=1;s=${deviceId}`,
+        methodId: `ns=1;s=${deviceId}/WriteMultiple`,
+        inputArguments: [
+            { dataType: opcua.DataType.String, arrayType: opcua.VariantArrayType.Array, value: items.map(([name]) => name) },
+            {
+                dataType: opcua.DataType.Variant,
+                arrayType: opcua.VariantArrayType.Array,
+                value: items.map(([, value]) => new opcua.Variant({ dataType: opcua.DataType.UInt16, value }))
+            }
+        ]
+    });
+}
+
+const statusNames = (result) => result.outputArguments[0].value.map(status => status.name);
+
+test('WriteMultiple и ReloadConfig', { timeout: 120000 }, async (t) => {
+    const tags = [
+        { name: 'setpoint', registerType: 'holding', address: 0, dataType: 'uint16', writeMax: 300, writeMinInterval: 60000 },
+        { name: 'mode', registerType: 'holding', address: 1, dataType: 'uint16' },
+        { name: 'limit', registerType: 'holding', address: 10, dataType: 'uint16' }
+    ];
+    const device = await startDevice(t, tags);
+    const meter = {
+        id: 'meter', name: 'meter', type: 'tcp', address: '127.0.0.1', port: device.port,
+        deviceId: 1, pollInterval: 60000, tags
+    };
+    const { devicesFile, session } = await startBridge(t, [meter]);
+
+    await t.test('одно недопустимое значение отклоняет всю запись', async () => {
+        const result = await writeMultiple(session, 'meter', [['mode', 2], ['setpoint', 500]]);
+        assert.equal(result.statusCode.name, 'BadOutOfRange');
+        assert.deepEqual(statusNames(result), ['BadOperationAbandoned', 'BadOutOfRange']);
+        assert.deepEqual(device.writes, []);
+    });
+
+    await t.test('соседние теги - одним запросом FC16, повтор тега - последнее значение', async () => {
+        const result = await writeMultiple(session, 'meter', [['setpoint', 100], ['limit', 7], ['mode', 2], ['setpoint', 120]]);
+        assert.equal(result.statusCode.name, 'Good');
+        assert.deepEqual(statusNames(result), ['Good', 'Good', 'Good', 'Good']);
+        assert.deepEqual(device.writes, [[0x10, 0, 2], [0x06, 10, 7]]);
+        assert.deepEqual([device.values.get('setpoint'), device.values.get('mode')], [120, 2]);
+
+        // Ограничение частоты записи считается от этого вызова, а не от повтора тега в нем
+        const again = await writeMultiple(session, 'meter', [['setpoint', 130]]);
+        assert.equal(again.statusCode.name, 'BadTooManyOperations');
+    });
+
+    const reloadConfig = () => session.call({
+        objectId: 'ns=1;s=ModbusDevices',
+        methodId: 'ns=1;s=ModbusDevices/ReloadConfig',
+        inputArguments: []
+    });
+
+    await t.test('ReloadConfig добавляет, изменяет и удаляет устройства', async () => {
+        const virtual = {
+            id: 'calc', name: 'calc', type: 'virtual',
+            tags: [{ name: 'double', registerType: 'virtual', dataType: 'double', expression: 'meter.mode * 2' }]
+        };
+        fs.writeFileSync(devicesFile, JSON.stringify([{ ...meter, pollInterval: 30000 }, virtual]));
+        let result = await reloadConfig();
+        assert.equal(result.statusCode.name, 'Good');
+        assert.deepEqual(result.outputArguments.map(argument => argument.value), [1, 1, 0]);
+
+        fs.writeFileSync(devicesFile, JSON.stringify([{ ...meter, pollInterval: 30000 }]));
+        result = await reloadConfig();
+        assert.deepEqual(result.outputArguments.map(argument => argument.value), [0, 0, 1]);
+    });
+
+    await t.test('ReloadConfig отклоняет файл с конфликтом на общем последовательном порту', async () => {
+        const serial = (id, type, baudRate) => ({
+            id, name: id, type, address: '/dev/ttyBRIDGETEST', deviceId: 1, baudRate,
+            tags: [{ name: 'v', registerType: 'holding', address: 0, dataType: 'uint16' }]
+        });
+        for (const devices of [
+            [meter, serial('rtu1', 'rtu', 9600), serial('ascii1', 'ascii', 9600)],
+            [meter, serial('rtu1', 'rtu', 9600), serial('rtu2', 'rtu', 19200)]
+        ]) {
+            fs.writeFileSync(devicesFile, JSON.stringify(devices));
+            const result = await reloadConfig();
+            assert.equal(result.statusCode.name, 'BadConfigurationError');
+        }
+
+        // Файл с ошибкой ничего не меняет: при следующей перезагрузке meter снова изменен
+        fs.writeFileSync(devicesFile, JSON.stringify([meter]));
+        const result = await reloadConfig();
+        assert.deepEqual(result.outputArguments.map(argument => argument.value), [0, 1, 0]);
+    });
+});
@@ -0,0 +1,69 @@
+// Поток событий: фильтр подписки по устройствам и видам событий, пинг и отписка при закрытии
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createEventStream } = require('../lib/event-stream');
+
+// Запрос и ответ Express для подписки: события ответа разбираются в [event, data]
+function subscribe(stream, query = {}) {
+    const req = Object.assign(new EventEmitter(), { query });
+    const chunks = [];
+    const res = {
+        headers: null,
+        writeHead(status, headers) {
+            res.headers = headers;
+        },
+        write(chunk) {
+            chunks.push(chunk);
+        }
+    };
+    stream.subscribe(req, res);
+    const events = () => chunks
+        .filter(chunk => chunk.startsWith('id: '))
+        .map(chunk => {
+            const [, event, data] = chunk.match(/event: (.+)\ndata: (.+)\n/);
+            return [event, JSON.parse(data)];
+        });
+    return { req, res, chunks, events };
+}
+
+test('подписчик получает только события своего фильтра', () => {
+    const stream = createEventStream();
+    const all = subscribe(stream);
+    const tank = subscribe(stream, { devices: 'tank', events: 'tag,modem' });
+
+    stream.publish('tag', { deviceId: 'tank', tag: 'level', value: 1 });
+    stream.publish('tag', { deviceId: 'pump', tag: 'speed', value: 2 });
+    stream.publish('connection', { deviceId: 'tank', state: 'online' });
+    stream.publish('modem', { id: '10.0.0.5:40000:8001', event: 'connect' });
+
+    assert.equal(all.res.headers['Content-Type'], 'text/event-stream');
+    assert.deepEqual(all.events().map(([event]) => event), ['tag', 'tag', 'connection', 'modem']);
+    // События без устройства фильтр по устройствам не ограничивает
+    assert.deepEqual(tank.events(), [
+        ['tag', { deviceId: 'tank', tag: 'level', value: 1 }],
+        ['modem', { id: '10.0.0.5:40000:8001', event: 'connect' }]
+    ]);
+    assert.deepEqual(all.chunks.filter(chunk => chunk.startsWith('id: ')).map(chunk => chunk.split('\n')[0]),
+        ['id: 1', 'id: 2', 'id: 3', 'id: 4']);
+});
+
+test('закрытый клиент отписывается, пинг идет только при подписчиках', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const stream = createEventStream({ heartbeatInterval: 1000 });
+    const first = subscribe(stream);
+    const second = subscribe(stream);
+
+    t.mock.timers.tick(1000);
+    assert.ok(first.chunks.includes(': ping\n\n'));
+
+    first.req.emit('close');
+    stream.publish('devices', { count: 1 });
+    assert.equal(first.events().length, 0);
+    assert.equal(second.events().length, 1);
+
+    second.req.emit('close');
+    const pings = second.chunks.length;
+    t.mock.timers.tick(5000);
+    assert.equal(second.chunks.length, pings);
+});
@@ -0,0 +1,75 @@
+// Выражения вычисляемых тегов: разбор, приоритеты операторов, ссылки на теги и функции
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileExpression } = require('../lib/expression');
+
+// Вычисляет выражение над значениями тегов из values: { P: 1, 'meter.Q': 2 }
+function evaluate(text, values = {}, state = new Map(), now = 0) {
+    const expression = compileExpression(text);
+    const getValue = (index) => {
+        const { device, tag } = expression.references[index];
+        return values[device ? `${device}.${tag}` : tag];
+    };
+    return expression.evaluate(getValue, state, now);
+}
+
+test('приоритет и ассоциативность операторов', () => {
+    assert.equal(evaluate('1 + 2 * 3'), 7);
+    assert.equal(evaluate('(1 + 2) * 3'), 9);
+    assert.equal(evaluate('2 ** 3 ** 2'), 512);
+    assert.equal(evaluate('-2 ** 2'), -4);
+    assert.equal(evaluate('10 - 4 - 3'), 3);
+    assert.equal(evaluate('0x0F & 6 | 1 << 4'), 22);
+    assert.equal(evaluate('1 < 2 && 3 >= 3 ? 10 : 20'), 10);
+});
+
+test('ссылки на теги своего и другого устройства', () => {
+    const expression = compileExpression('P * 2 + meter.Q + "Насос 1"."Давление" + P');
+    assert.deepEqual(expression.references, [
+        { device: null, tag: 'P' },
+        { device: 'meter', tag: 'Q' },
+        { device: 'Насос 1', tag: 'Давление' }
+    ]);
+    assert.equal(evaluate('P * 2 + meter.Q', { P: 5, 'meter.Q': 1 }), 11);
+    assert.equal(evaluate('Run ? 1 : 0', { Run: true }), 1);
+    assert.equal(evaluate('Run + 1', { Run: true }), 2);
+});
+
+test('функции', () => {
+    assert.equal(evaluate('max(1, 7, 3)'), 7);
+    assert.equal(evaluate('round(3.14159, 2)'), 3.14);
+    assert.equal(evaluate('clamp(150, 0, 100)'), 100);
+    assert.equal(evaluate('bit(5, 2)'), true);
+    assert.equal(evaluate('bit(5, 1)'), false);
+});
+
+test('rate и integral хранят состояние между вычислениями', () => {
+    const state = new Map();
+    const text = 'rate(Counter) + integral(Power) * 0';
+    assert.equal(evaluate(text, { Counter: 100, Power: 10 }, state, 0), 0);
+    assert.equal(evaluate(text, { Counter: 110, Power: 10 }, state, 2000), 5);
+
+    const energy = new Map();
+    evaluate('integral(Power)', { Power: 10 }, energy, 0);
+    assert.equal(evaluate('integral(Power)', { Power: 30 }, energy, 1000), 20);
+});
+
+test('ошибки разбора с позицией', () => {
+    assert.throws(() => compileExpression(''), /выражение не задано/);
+    assert.throws(() => compileExpression('1 +'), /выражение оборвано в позиции 4/);
+    assert.throws(() => compileExpression('(1 + 2'), /ожидается "\)"/);
+    assert.throws(() => compileExpression('1 $ 2'), /неожиданный символ "\$" в позиции 3/);
+    assert.throws(() => compileExpression('eval(1)'), /неизвестная функция eval/);
+    assert.throws(() => compileExpression('pow(2)'), /неверное число аргументов функции pow/);
+    assert.throws(() => compileExpression('"P'), /незакрытая кавычка/);
+});
+
+test('код JavaScript не исполняется', () => {
+    assert.throws(() => compileExpression('process.exit(1)'), /неожиданное "\("/);
+    assert.throws(() => compileExpression('constructor.constructor("return 1")()'), /неожиданное/);
+});
+
+test('нечисловое значение тега - ошибка вычисления', () => {
+    assert.throws(() => evaluate('Name + 1', { Name: 'abc' }), /значение тега не является числом/);
+    assert.throws(() => evaluate('Values + 1', { Values: [1, 2] }), /значение тега не является числом/);
+});
@@ -0,0 +1,194 @@
+// Мост в отдельном процессе для интеграционных тестов: своя папка для файлов конфигурации,
+// архива и PKI, свободные порты, сессия OPC UA и запросы к веб API от имени инженера
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { once } = require('events');
+const { spawn } = require('child_process');
+const opcua = require('node-opcua');
+const { hashPassword } = require('../../lib/auth');
+const { buildMbapFrame, createFrameParser } = require('../../lib/modbus-frame');
+const { processSlavePdu, createTagMemory } = require('../../lib/modbus-slave');
+
+const USERNAME = 'admin';
+const PASSWORD = 'test-password';
+const START_TIMEOUT = 60000;
+const WRITE_FUNCTIONS = [0x05, 0x06, 0x0F, 0x10];
+
+async function getFreePort() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const port = server.address().port;
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+async function waitFor(check, timeout, describe) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) {
+            throw new Error(describe());
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+/**
+ * Устройство Modbus TCP на тегах: values - значения тегов по имени,
+ * writes - запросы записи [функция, адрес, количество] в порядке прихода,
+ * close() - обрывает подключения и перестает принимать новые.
+ */
+async function startDevice(t, tags, initialValues = {}) {
+    const values = new Map(Object.entries(initialValues));
+    const writes = [];
+    const memory = createTagMemory({
+        getTags: () => tags,
+        getValue: (tag) => values.get(tag.name),
+        onWrite: (tag, value) => values.set(tag.name, value)
+    });
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        const parser = createFrameParser({ protocol: 'tcp' });
+        socket.on('data', data => parser.push(data).forEach(frame => {
+            if (WRITE_FUNCTIONS.includes(frame.pdu[0])) {
+                writes.push([frame.pdu[0], frame.pdu.readUInt16BE(1), frame.pdu.readUInt16BE(3)]);
+            }
+            socket.write(buildMbapFrame(frame.transactionId, frame.unitId, processSlavePdu(memory, frame.pdu)));
+        }));
+    }).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const close = () => {
+        sockets.forEach(socket => socket.destroy());
+        if (server.listening) {
+            server.close();
+        }
+    };
+    t.after(close);
+    return { port: server.address().port, values, writes, close };
+}
+
+/**
+ * Запускает server.js с устройствами devices и пользователем-инженером.
+ *
+ * options.args  - дополнительные ключи командной строки моста
+ * options.users - еще пользователи: [{ username, password, role, devices }]
+ * options.files - файлы конфигурации в папке моста: { имя: объект JSON }
+ *
+ * Возвращает { folder, devicesFile, webPort, session, connect, api, login, waitForOutput }.
+ * session - сессия инженера, connect(identity, clientOptions) открывает еще одну сессию
+ * (identity - { userName, password } или null для анонимной), api(method, url, body)
+ * возвращает { status, body } ответа веб API инженеру, login(username, password) - такой же
+ * api для другого пользователя.
+ */
+async function startBridge(t, devices, options = {}) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-test-'));
+    const devicesFile = path.join(folder, 'devices.json');
+    fs.writeFileSync(devicesFile, JSON.stringify(devices));
+    const users = [{ username: USERNAME, password: PASSWORD, role: 'engineer' }, ...(options.users || [])];
+    fs.writeFileSync(path.join(folder, 'users.json'), JSON.stringify(users.map(({ password, ...user }) => ({
+        ...user,
+        passwordHash: hashPassword(password)
+    }))));
+    Object.entries(options.files || {}).forEach(([name, content]) => {
+        fs.writeFileSync(path.join(folder, name), JSON.stringify(content));
+    });
+
+    const opcuaPort = await getFreePort();
+    const webPort = await getFreePort();
+    const bridge = spawn(process.execPath, [
+        path.join(__dirname, '..', '..', 'server.js'),
+        '--opcua-port', String(opcuaPort), '--web-port', String(webPort), ...(options.args || [])
+    ], { cwd: folder, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    bridge.stdout.on('data', data => output += data);
+    bridge.stderr.on('data', data => output += data);
+    t.after(async () => {
+        if (bridge.exitCode === null) {
+            bridge.kill();
+            await once(bridge, 'exit');
+        }
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    async function waitForOutput(text, timeout = START_TIMEOUT) {
+        await waitFor(() => output.includes(text) || bridge.exitCode !== null, timeout,
+            () => `Мост не вывел "${text}":\n${output}`);
+        if (!output.includes(text)) {
+            throw new Error(`Мост завершился:\n${output}`);
+        }
+    }
+    await waitForOutput(`OPC UA сервер запущен на порту ${opcuaPort}`);
+
+    async function connect(identity, clientOptions = {}) {
+        const client = opcua.OPCUAClient.create({
+            endpointMustExist: false,
+            connectionStrategy: { maxRetry: 0 },
+            ...clientOptions
+        });
+        let session;
+        try {
+            await client.connect(`opc.tcp://127.0.0.1:${opcuaPort}/UA/MyServer`);
+            session = await client.createSession(identity ?
+                { type: opcua.UserTokenType.UserName, ...identity } :
+                { type: opcua.UserTokenType.Anonymous });
+        } catch (error) {
+            await client.disconnect();
+            throw error;
+        }
+        t.after(async () => {
+            await session.close();
+            await client.disconnect();
+        });
+        return session;
+    }
+    const session = await connect({ userName: USERNAME, password: PASSWORD });
+
+    // Запросы к веб API от имени пользователя: вход при первом запросе
+    function login(username, password) {
+        let token = null;
+        return async function api(method, url, body) {
+            if (!token) {
+                const response = await fetch(`http://127.0.0.1:${webPort}/api/login`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ username, password })
+                });
+                token = (await response.json()).token;
+            }
+            const response = await fetch(`http://127.0.0.1:${webPort}${url}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        };
+    }
+    const api = login(USERNAME, PASSWORD);
+
+    return { folder, devicesFile, webPort, session, connect, api, login, waitForOutput, getOutput: () => output };
+}
+
+// Ждет, пока значение узла OPC UA не станет удовлетворять check. Возвращает DataValue
+async function waitForValue(session, nodeId, check, timeout = 20000) {
+    const started = Date.now();
+    for (;;) {
+        const dataValue = await session.read({ nodeId });
+        if (check(dataValue)) {
+            return dataValue;
+        }
+        if (Date.now() - started > timeout) {
+            throw new Error(`${nodeId}: ${dataValue.statusCode.name} ${JSON.stringify(dataValue.value.value)}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+}
+
+module.exports = {
+    getFreePort,
+    startDevice,
+    startBridge,
+    waitForValue
+};
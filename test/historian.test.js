@@ -0,0 +1,82 @@
+// Архив тегов: фильтр записи, выборка за период, агрегация по интервалам
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistorian, validateAggregateInterval } = require('../lib/historian');
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1, 23, 59, 0);
+
+function createTestHistorian(t) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-history-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    return { folder, historian: createHistorian({ folder }) };
+}
+
+test('запись по изменению с зоной нечувствительности', (t) => {
+    const { historian } = createTestHistorian(t);
+    const settings = { mode: 'change', deadband: 0.5 };
+
+    assert.ok(historian.record('meter', 'P', { t: T0, v: 10, s: 'Good' }, settings));
+    assert.ok(!historian.record('meter', 'P', { t: T0 + 1000, v: 10.4, s: 'Good' }, settings));
+    assert.ok(historian.record('meter', 'P', { t: T0 + 2000, v: 11, s: 'Good' }, settings));
+    assert.ok(historian.record('meter', 'P', { t: T0 + 3000, v: 11, s: 'BadCommunicationError' }, settings));
+    // Время не идет назад
+    assert.ok(!historian.record('meter', 'P', { t: T0 + 2500, v: 20, s: 'Good' }, settings));
+
+    assert.deepEqual(historian.query('meter', 'P').map(sample => sample.v), [10, 11, 11]);
+});
+
+test('запись по интервалу', (t) => {
+    const { historian } = createTestHistorian(t);
+    const settings = { mode: 'interval', interval: 5000 };
+    for (let i = 0; i < 10; i++) {
+        historian.record('meter', 'P', { t: T0 + i * 1000, v: i, s: 'Good' }, settings);
+    }
+    assert.deepEqual(historian.query('meter', 'P').map(sample => sample.v), [0, 5]);
+});
+
+test('выборка за период через границу суток, ограничение и обратный порядок', (t) => {
+    const { folder, historian } = createTestHistorian(t);
+    for (let i = 0; i < 5; i++) {
+        historian.record('meter', 'P', { t: T0 + i * 30000, v: i, s: 'Good' });
+    }
+    // Значения первых двух минут - в файле 1 января, остальные - 2 января
+    assert.deepEqual(fs.readdirSync(path.join(folder, 'meter', 'P')).sort(), ['2026-01-01.jsonl', '2026-01-02.jsonl']);
+
+    assert.deepEqual(historian.query('meter', 'P', T0 + 30000, T0 + 90000).map(sample => sample.v), [1, 2, 3]);
+    assert.deepEqual(historian.query('meter', 'P', null, null, 2).map(sample => sample.v), [0, 1]);
+    assert.deepEqual(historian.query('meter', 'P', null, null, 2, true).map(sample => sample.v), [3, 4]);
+    assert.deepEqual(historian.query('meter', 'Q'), []);
+});
+
+test('агрегация по интервалам без ограничения числа значений', (t) => {
+    const { historian } = createTestHistorian(t);
+    const count = 12000;
+    for (let i = 0; i < count; i++) {
+        historian.record('meter', 'P', { t: T0 + i * 10, v: i % 2 ? 4 : 2, s: 'Good' });
+    }
+    historian.record('meter', 'P', { t: T0 + count * 10, v: 1000, s: 'BadCommunicationError' });
+
+    const to = T0 + 3 * count * 10 / 2;
+    const interval = count * 10 / 2;
+    assert.deepEqual(historian.aggregate('meter', 'P', T0, to, interval, 'avg'), [
+        { t: T0, v: 3, s: 'Good' },
+        { t: T0 + interval, v: 3, s: 'Good' },
+        { t: T0 + 2 * interval, v: null, s: 'BadNoData' }
+    ]);
+    assert.deepEqual(historian.aggregate('meter', 'P', T0, to, interval, 'min').map(bucket => bucket.v), [2, 2, null]);
+    assert.deepEqual(historian.aggregate('meter', 'P', T0, to, interval, 'max').map(bucket => bucket.v), [4, 4, null]);
+});
+
+test('проверка интервала агрегации', (t) => {
+    const { historian } = createTestHistorian(t);
+    assert.equal(validateAggregateInterval(0, DAY, 60000), null);
+    for (const interval of [-1000, 0, 1.5, NaN, Infinity]) {
+        assert.match(validateAggregateInterval(0, DAY, interval), /положительным целым числом/);
+        assert.throws(() => historian.aggregate('meter', 'P', 0, DAY, interval, 'avg'), /интервал агрегации должен быть/);
+    }
+    assert.match(validateAggregateInterval(0, DAY, 1000), /слишком мал/);
+});
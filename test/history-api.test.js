@@ -0,0 +1,42 @@
+// API архива: интервал агрегации - положительное целое число мс и не дробит период
+// больше чем на MAX_AGGREGATE_BUCKETS интервалов, выборка без агрегации сообщает об обрезке
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startDevice, startBridge, waitForValue } = require('./helpers/bridge');
+
+const TAGS = [{ name: 'level', registerType: 'holding', address: 0, dataType: 'uint16', historize: true }];
+
+test('выборка и агрегация архива через API', { timeout: 120000 }, async (t) => {
+    const device = await startDevice(t, TAGS, { level: 4 });
+    const { session, api } = await startBridge(t, [{
+        id: 'tank', name: 'tank', type: 'tcp', address: '127.0.0.1', port: device.port,
+        deviceId: 1, pollInterval: 300, tags: TAGS
+    }]);
+    await waitForValue(session, 'ns=1;s=tank_level', dataValue => dataValue.statusCode.name === 'Good');
+    device.values.set('level', 6);
+    await waitForValue(session, 'ns=1;s=tank_level', dataValue => dataValue.value.value === 6);
+
+    const to = new Date(Date.now() + 1000);
+    const from = new Date(to - 10 * 60000);
+    const history = (query) => api('GET', `/api/history?device=tank&tag=level&from=${from.toISOString()}&to=${to.toISOString()}${query}`);
+
+    const raw = await history('');
+    assert.equal(raw.status, 200);
+    assert.deepEqual(raw.body.values.map(sample => sample.value), [4, 6]);
+    assert.equal(raw.body.truncated, false);
+    assert.equal(raw.body.next, null);
+
+    const averages = await history('&aggregate=avg&interval=60000');
+    assert.equal(averages.status, 200);
+    assert.equal(averages.body.values.length, 10);
+    assert.equal(averages.body.values.at(-1).status, 'Good');
+
+    for (const interval of ['-60000', '0', '1.5', 'abc']) {
+        const response = await history(`&aggregate=avg&interval=${interval}`);
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /положительным целым числом/);
+    }
+    const tooSmall = await history('&aggregate=avg&interval=1');
+    assert.equal(tooSmall.status, 400);
+    assert.match(tooSmall.body.error, /слишком мал/);
+});
@@ -0,0 +1,70 @@
+// Кадры Modbus: CRC, сборка MBAP и RTU кадров из потока, ресинхронизация после мусора
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crc16, buildMbapFrame, buildRtuFrame, splitFrame, createFrameParser } = require('../lib/modbus-frame');
+
+test('CRC-16/MODBUS', () => {
+    // Пример из спецификации Modbus over Serial Line: 01 03 00 00 00 0A -> CRC C5CD (младший байт первый)
+    assert.equal(crc16(Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x0A])), 0xCDC5);
+    assert.deepEqual([...buildRtuFrame(1, Buffer.from([0x03, 0x00, 0x00, 0x00, 0x0A]))],
+        [0x01, 0x03, 0x00, 0x00, 0x00, 0x0A, 0xC5, 0xCD]);
+});
+
+test('заголовок MBAP', () => {
+    const frame = buildMbapFrame(0x1234, 7, Buffer.from([0x03, 0x00, 0x10, 0x00, 0x02]));
+    assert.deepEqual([...frame.subarray(0, 7)], [0x12, 0x34, 0x00, 0x00, 0x00, 0x06, 0x07]);
+});
+
+test('RTU кадры, разрезанные и склеенные в потоке', () => {
+    const parser = createFrameParser({ protocol: 'rtu' });
+    const read = buildRtuFrame(1, Buffer.from([0x03, 0x00, 0x00, 0x00, 0x02]));
+    const write = buildRtuFrame(2, Buffer.from([0x10, 0x00, 0x00, 0x00, 0x02, 0x04, 0x00, 0x01, 0x00, 0x02]));
+    const stream = Buffer.concat([read, write]);
+
+    assert.deepEqual(parser.push(stream.subarray(0, 5)), []);
+    const frames = parser.push(stream.subarray(5));
+    assert.deepEqual(frames.map(f => [f.unitId, f.pdu[0]]), [[1, 0x03], [2, 0x10]]);
+    assert.deepEqual(frames[1].raw, write);
+});
+
+test('MBAP кадры и автоопределение формата', () => {
+    const parser = createFrameParser();
+    const first = buildMbapFrame(1, 5, Buffer.from([0x04, 0x00, 0x00, 0x00, 0x01]));
+    const second = buildMbapFrame(2, 5, Buffer.from([0x06, 0x00, 0x01, 0x00, 0x2A]));
+
+    const frames = parser.push(Buffer.concat([first, second]));
+    assert.equal(parser.protocol, 'tcp');
+    assert.deepEqual(frames.map(f => f.transactionId), [1, 2]);
+    assert.equal(frames[0].unitId, 5);
+});
+
+test('обрывок кадра перед кадрами отбрасывается', () => {
+    const discarded = [];
+    const parser = createFrameParser({ protocol: 'rtu', onDiscard: (bytes) => discarded.push(bytes) });
+    const frame = buildRtuFrame(1, Buffer.from([0x06, 0x00, 0x01, 0x00, 0x2A]));
+
+    // Пока не пришел следующий кадр, обрывок может оказаться началом длинного кадра
+    const frames = [
+        ...parser.push(Buffer.concat([Buffer.from([0x01, 0x03, 0x02]), frame])),
+        ...parser.push(frame)
+    ];
+    assert.deepEqual(frames.map(f => f.raw), [frame, frame]);
+    assert.deepEqual(Buffer.concat(discarded), Buffer.from([0x01, 0x03, 0x02]));
+});
+
+test('splitFrame: ответы на чтение и запись, исключения', () => {
+    const readResponse = buildRtuFrame(1, Buffer.from([0x03, 0x04, 0x00, 0x01, 0x00, 0x02]));
+    const writeResponse = buildRtuFrame(1, Buffer.from([0x10, 0x00, 0x00, 0x00, 0x02]));
+    const exception = buildRtuFrame(1, Buffer.from([0x83, 0x02]));
+
+    for (const frame of [readResponse, writeResponse, exception]) {
+        assert.deepEqual(splitFrame(Buffer.concat([frame, Buffer.from('PING')])), { frame, protocol: 'rtu' });
+        assert.deepEqual(splitFrame(frame.subarray(0, frame.length - 1)), { incomplete: true });
+    }
+});
+
+test('splitFrame: нестандартная функция в режиме standardOnly - мусор', () => {
+    const custom = buildRtuFrame(1, Buffer.from([0x41, 0x01]));
+    assert.deepEqual(splitFrame(custom, { protocol: 'rtu' }), { frame: custom, protocol: 'rtu' });
+    assert.deepEqual(splitFrame(Buffer.from('RING\r\n'), { protocol: 'rtu', standardOnly: true }), { invalid: true });
+});
@@ -0,0 +1,58 @@
+// Симулятор по Modbus TCP: запись значения, которое тег не принимает, отклоняется исключением
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const { buildMbapFrame, createFrameParser } = require('../lib/modbus-frame');
+const { createModbusSimulator } = require('../lib/modbus-simulator');
+
+async function getFreePort() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const port = server.address().port;
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+// Отправляет один запрос и возвращает PDU ответа
+function request(socket, parser, transactionId, pdu) {
+    return new Promise((resolve) => {
+        socket.on('data', function onData(data) {
+            const frame = parser.push(data).find(f => f.transactionId === transactionId);
+            if (frame) {
+                socket.removeListener('data', onData);
+                resolve(frame.pdu);
+            }
+        });
+        socket.write(buildMbapFrame(transactionId, 1, pdu));
+    });
+}
+
+test('запись неверного BCD - исключение ILLEGAL_DATA_VALUE, значение не меняется', async (t) => {
+    const port = await getFreePort();
+    const simulator = createModbusSimulator({
+        listenHost: '127.0.0.1',
+        log: () => {},
+        devices: [{
+            id: 'meter', name: 'meter', type: 'tcp', port, deviceId: 1,
+            tags: [{ name: 'counter', registerType: 'holding', address: 0, dataType: 'bcd16' }]
+        }]
+    });
+    await simulator.start();
+    t.after(() => simulator.stop());
+    simulator.setValue('meter', 'counter', 1234);
+
+    const socket = net.connect(port, '127.0.0.1');
+    await once(socket, 'connect');
+    t.after(() => socket.destroy());
+    const parser = createFrameParser({ protocol: 'tcp' });
+
+    // 0x00FA: полубайт A не является десятичной цифрой
+    const rejected = await request(socket, parser, 1, Buffer.from([0x06, 0x00, 0x00, 0x00, 0xFA]));
+    assert.deepEqual([...rejected], [0x86, 0x03]);
+    assert.equal(simulator.getValue('meter', 'counter'), 1234);
+
+    const accepted = await request(socket, parser, 2, Buffer.from([0x06, 0x00, 0x00, 0x42, 0x17]));
+    assert.deepEqual([...accepted], [0x06, 0x00, 0x00, 0x42, 0x17]);
+    assert.equal(simulator.getValue('meter', 'counter'), 4217);
+});
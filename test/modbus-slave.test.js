@@ -0,0 +1,79 @@
+// Ведомый Modbus на тегах: чтение, запись удаленного мастера, исключения и проверка записи
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MODBUS_EXCEPTION, processSlavePdu, createTagMemory } = require('../lib/modbus-slave');
+
+const TAGS = [
+    { name: 'setpoint', registerType: 'holding', address: 0, dataType: 'uint16' },
+    { name: 'energy', registerType: 'holding', address: 1, dataType: 'uint32' },
+    { name: 'level', registerType: 'input', address: 0, dataType: 'int16' },
+    { name: 'run', registerType: 'coil', address: 0, dataType: 'boolean' }
+];
+
+function createMemory(options = {}) {
+    const values = new Map([['setpoint', 10], ['energy', 0x10002], ['level', -5], ['run', false]]);
+    const writes = [];
+    const memory = createTagMemory({
+        getTags: () => TAGS,
+        getValue: (tag) => values.get(tag.name),
+        onWrite: (tag, value) => {
+            values.set(tag.name, value);
+            writes.push([tag.name, value]);
+        },
+        ...options
+    });
+    return { memory, values, writes };
+}
+
+const pdu = (...bytes) => Buffer.from(bytes);
+
+test('чтение регистров и битов по тегам', () => {
+    const { memory } = createMemory();
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x03, 0x00, 0x00, 0x00, 0x03))],
+        [0x03, 0x06, 0x00, 0x0A, 0x00, 0x01, 0x00, 0x02]);
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x04, 0x00, 0x00, 0x00, 0x01))], [0x04, 0x02, 0xFF, 0xFB]);
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x01, 0x00, 0x00, 0x00, 0x01))], [0x01, 0x01, 0x00]);
+});
+
+test('исключения: функция, адрес, количество', () => {
+    const { memory } = createMemory();
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x2B, 0x0E, 0x01, 0x00, 0x00))], [0xAB, MODBUS_EXCEPTION.ILLEGAL_FUNCTION]);
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x03, 0x00, 0x02, 0x00, 0x02))], [0x83, MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS]);
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x03, 0x00, 0x00, 0x00, 0x00))], [0x83, MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE]);
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x06, 0x00, 0x05, 0x00, 0x01))], [0x86, MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS]);
+});
+
+test('запись части многорегистрового тега сохраняет остальные регистры', () => {
+    const { memory, values, writes } = createMemory();
+    const request = pdu(0x10, 0x00, 0x00, 0x00, 0x02, 0x04, 0x00, 0x14, 0x00, 0x03);
+    assert.deepEqual([...processSlavePdu(memory, request)], [0x10, 0x00, 0x00, 0x00, 0x02]);
+    assert.deepEqual(writes, [['setpoint', 20], ['energy', 0x30002]]);
+    assert.equal(values.get('energy'), 0x30002);
+
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x05, 0x00, 0x00, 0xFF, 0x00))], [0x05, 0x00, 0x00, 0xFF, 0x00]);
+    assert.equal(values.get('run'), true);
+});
+
+test('отказ проверки записи по одному тегу отклоняет весь запрос', () => {
+    const checked = [];
+    const { memory, writes } = createMemory({
+        checkWrite: (tag, value) => {
+            checked.push(tag.name);
+            return tag.name === 'energy' && value > 0x10002 ? 'Значение больше максимума для записи' : null;
+        }
+    });
+
+    const request = pdu(0x10, 0x00, 0x00, 0x00, 0x03, 0x06, 0x00, 0x14, 0x00, 0x01, 0x00, 0x03);
+    assert.deepEqual([...processSlavePdu(memory, request)], [0x90, MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE]);
+    assert.deepEqual(checked, ['setpoint', 'energy']);
+    assert.deepEqual(writes, []);
+
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x06, 0x00, 0x00, 0x00, 0x14))], [0x06, 0x00, 0x00, 0x00, 0x14]);
+    assert.deepEqual(writes, [['setpoint', 20]]);
+});
+
+test('отказ проверки записи катушки', () => {
+    const { memory, writes } = createMemory({ checkWrite: () => 'Запись в тег не чаще одного раза в 1000 мс' });
+    assert.deepEqual([...processSlavePdu(memory, pdu(0x05, 0x00, 0x00, 0xFF, 0x00))], [0x85, MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE]);
+    assert.deepEqual(writes, []);
+});
@@ -0,0 +1,192 @@
+// Поток модема: пакеты регистрации и heartbeat вырезаются на границах кадров Modbus,
+// в том числе после кадра в той же порции данных и разрезанные между порциями
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const ModbusRTU = require('modbus-serial');
+const { buildRtuFrame, buildMbapFrame, parseFrame } = require('../lib/modbus-frame');
+const { createModemConnections } = require('../lib/modem-connections');
+const { createModemPort } = require('../lib/modem-port');
+
+function createFakeSocket() {
+    const socket = new EventEmitter();
+    Object.assign(socket, {
+        remoteAddress: '10.0.0.5',
+        remotePort: 40000,
+        localPort: 8001,
+        destroyed: false,
+        written: [],
+        setKeepAlive() {},
+        write(data) {
+            socket.written.push(Buffer.from(data));
+            return true;
+        },
+        destroy() {
+            if (socket.destroyed) return;
+            socket.destroyed = true;
+            socket.emit('close');
+        }
+    });
+    return socket;
+}
+
+const METER = {
+    id: 'meter', name: 'meter', type: 'tcp-modem', port: 8001, deviceId: 1,
+    modemRegistration: 'ID42', modemHeartbeat: 'PING'
+};
+
+// Подключение модема: возвращает сокет, байты принятых кадров и отброшенные байты
+function connect(t, devices = [METER]) {
+    const discarded = [];
+    t.mock.method(console, 'log', (...args) => {
+        if (String(args[0]).startsWith('⚠️ Отброшено')) discarded.push(args[0]);
+    });
+    const connections = createModemConnections({ getDevices: () => devices });
+    const socket = createFakeSocket();
+    const frames = [];
+    connections.accept(socket, 8001, frame => frames.push(frame.raw));
+    t.after(() => connections.closeAll('конец теста'));
+    return { connections, socket, frames, discarded };
+}
+
+const readRequest = buildRtuFrame(1, Buffer.from([0x03, 0x00, 0x00, 0x00, 0x02]));
+const readResponse = buildRtuFrame(1, Buffer.from([0x03, 0x04, 0x00, 0x2A, 0x00, 0x07]));
+
+test('регистрация и heartbeat в одной порции с кадрами', (t) => {
+    const { connections, socket, frames, discarded } = connect(t);
+
+    socket.emit('data', Buffer.concat([Buffer.from('ID42\r\n'), readRequest, Buffer.from('PING'), readResponse]));
+
+    assert.deepEqual(frames, [readRequest, readResponse]);
+    assert.deepEqual(discarded, []);
+    const [connection] = connections.list();
+    assert.equal(connection.registration, 'ID42');
+    assert.ok(connection.lastHeartbeatAt);
+});
+
+test('heartbeat, разрезанный между порциями, не портит кадр', (t) => {
+    const { connections, socket, frames, discarded } = connect(t);
+
+    socket.emit('data', Buffer.concat([readResponse.subarray(0, 3)]));
+    socket.emit('data', Buffer.concat([readResponse.subarray(3), Buffer.from('PI')]));
+    assert.deepEqual(frames, [readResponse]);
+
+    socket.emit('data', Buffer.concat([Buffer.from('NG\r'), Buffer.from('\n'), readRequest]));
+    assert.deepEqual(frames, [readResponse, readRequest]);
+    assert.deepEqual(discarded, []);
+    assert.ok(connections.list()[0].lastHeartbeatAt);
+});
+
+test('байты пакета внутри кадра - данные счетчика', (t) => {
+    const { socket, frames } = connect(t);
+    const write = buildRtuFrame(1, Buffer.concat([Buffer.from([0x10, 0x00, 0x00, 0x00, 0x02, 0x04]), Buffer.from('PING')]));
+
+    socket.emit('data', write);
+    assert.deepEqual(frames, [write]);
+});
+
+test('hex пакеты и кадры MBAP', (t) => {
+    const device = { ...METER, modemPatternFormat: 'hex', modemRegistration: 'FE 01 A2', modemHeartbeat: 'FE 00' };
+    const { connections, socket, frames, discarded } = connect(t, [device]);
+    const request = buildMbapFrame(7, 1, Buffer.from([0x03, 0x00, 0x00, 0x00, 0x01]));
+
+    socket.emit('data', Buffer.from([0xFE, 0x01]));
+    socket.emit('data', Buffer.concat([Buffer.from([0xA2]), request, Buffer.from([0xFE])]));
+    socket.emit('data', Buffer.concat([Buffer.from([0x00]), request]));
+
+    assert.deepEqual(frames, [request, request]);
+    assert.deepEqual(discarded, []);
+    assert.equal(connections.list()[0].registration, 'fe01a2');
+});
+
+test('мусор между кадрами отбрасывается', (t) => {
+    const { socket, frames, discarded } = connect(t);
+
+    socket.emit('data', Buffer.concat([readRequest, Buffer.from([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]), readRequest]));
+    assert.deepEqual(frames, [readRequest, readRequest]);
+    assert.equal(discarded.length, 1);
+});
+
+// Счетчик за модемом: отвечает на каждый запрос чтения значением 42
+function answerReads(socket, port, protocol) {
+    socket.write = (data) => {
+        const pdu = Buffer.from([0x03, 0x02, 0x00, 0x2A]);
+        setImmediate(() => port.receive(protocol === 'tcp' ?
+            parseFrame(buildMbapFrame(data.readUInt16BE(0), data[6], pdu), 'tcp') :
+            parseFrame(buildRtuFrame(data[0], pdu), 'rtu')));
+        return true;
+    };
+}
+
+for (const protocol of ['rtu', 'tcp']) {
+    test(`клиент Modbus через порт модема (${protocol})`, async () => {
+        const socket = createFakeSocket();
+        const port = createModemPort(socket, protocol);
+        answerReads(socket, port, protocol);
+        const client = new ModbusRTU(port);
+        await new Promise((resolve, reject) => client.open(error => error ? reject(error) : resolve()));
+        client.setID(1);
+        client.setTimeout(500);
+
+        assert.deepEqual((await client.readHoldingRegisters(0, 1)).data, [42]);
+        assert.deepEqual((await client.readHoldingRegisters(0, 1)).data, [42]);
+        socket.destroy();
+    });
+}
+
+test('опоздавший ответ на другой запрос отбрасывается (rtu)', async () => {
+    const socket = createFakeSocket();
+    const port = createModemPort(socket, 'rtu');
+    socket.write = () => {
+        setImmediate(() => {
+            port.receive(parseFrame(buildRtuFrame(1, Buffer.from([0x01, 0x01, 0x01])), 'rtu'));
+            port.receive(parseFrame(buildRtuFrame(1, Buffer.from([0x03, 0x02, 0x00, 0x05])), 'rtu'));
+        });
+        return true;
+    };
+    const client = new ModbusRTU(port);
+    await new Promise((resolve, reject) => client.open(error => error ? reject(error) : resolve()));
+    client.setTimeout(500);
+
+    assert.deepEqual((await client.readHoldingRegisters(0, 1)).data, [5]);
+});
+
+test('опоздавший ответ с другим номером транзакции отбрасывается (tcp)', async () => {
+    const socket = createFakeSocket();
+    const port = createModemPort(socket, 'tcp');
+    const requests = [];
+    socket.write = (data) => {
+        const transactionId = data.readUInt16BE(0);
+        requests.push(transactionId);
+        setImmediate(() => {
+            // Ответ на предыдущий запрос, пришедший после его таймаута, и ответ на текущий
+            port.receive(parseFrame(buildMbapFrame(transactionId - 1, 1, Buffer.from([0x03, 0x02, 0x00, 0x01])), 'tcp'));
+            port.receive(parseFrame(buildMbapFrame(transactionId, 1, Buffer.from([0x03, 0x02, 0x00, transactionId])), 'tcp'));
+        });
+        return true;
+    };
+    const client = new ModbusRTU(port);
+    await new Promise((resolve, reject) => client.open(error => error ? reject(error) : resolve()));
+    client.setID(1);
+    client.setTimeout(500);
+
+    assert.deepEqual((await client.readHoldingRegisters(0, 1)).data, [1]);
+    assert.deepEqual((await client.readHoldingRegisters(0, 1)).data, [2]);
+    assert.deepEqual(requests, [1, 2]);
+});
+
+test('кадры разбираются в формате сокета', (t) => {
+    const request = buildMbapFrame(7, 1, Buffer.from([0x03, 0x00, 0x00, 0x00, 0x01]));
+    const parsed = [];
+    t.mock.method(console, 'log', () => {});
+    const connections = createModemConnections({ getDevices: () => [METER], getProtocol: () => 'tcp' });
+    const socket = createFakeSocket();
+    connections.accept(socket, 8001, frame => parsed.push(frame));
+    t.after(() => connections.closeAll('конец теста'));
+
+    socket.emit('data', Buffer.concat([Buffer.from('ID42'), request]));
+    assert.equal(parsed.length, 1);
+    assert.deepEqual({ ...parsed[0], pdu: [...parsed[0].pdu] }, {
+        protocol: 'tcp', transactionId: 7, protocolId: 0, unitId: 1, pdu: [0x03, 0x00, 0x00, 0x00, 0x01], raw: request
+    });
+});
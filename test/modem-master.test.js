@@ -0,0 +1,71 @@
+// Опрос tcp-modem в режиме master: мост шлет запросы RTU в сокет модема, который сам
+// к нему подключился и зарегистрировался, обновляет теги и пишет через тот же сокет
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const opcua = require('node-opcua');
+const { buildRtuFrame, createFrameParser } = require('../lib/modbus-frame');
+const { processSlavePdu, createTagMemory } = require('../lib/modbus-slave');
+const { getFreePort, startBridge, waitForValue } = require('./helpers/bridge');
+
+const TAGS = [
+    { name: 'energy', registerType: 'holding', address: 0, dataType: 'uint32' },
+    { name: 'setpoint', registerType: 'holding', address: 2, dataType: 'uint16' }
+];
+
+// Прозрачный модем со счетчиком RTU: звонит на порт моста и отвечает на его запросы
+async function dialModem(t, port, registration, unitId, values) {
+    const requests = [];
+    const memory = createTagMemory({
+        getTags: () => TAGS,
+        getValue: (tag) => values.get(tag.name),
+        onWrite: (tag, value) => values.set(tag.name, value)
+    });
+    const socket = net.connect(port, '127.0.0.1');
+    await once(socket, 'connect');
+    t.after(() => socket.destroy());
+
+    const parser = createFrameParser({ protocol: 'rtu' });
+    socket.on('data', data => parser.push(data).forEach(frame => {
+        requests.push(frame.pdu[0]);
+        if (frame.unitId === unitId) {
+            socket.write(buildRtuFrame(unitId, processSlavePdu(memory, frame.pdu)));
+        }
+    }));
+    socket.write(`${registration}\r\n`);
+    return requests;
+}
+
+test('опрос и запись через входящее подключение модема', { timeout: 120000 }, async (t) => {
+    const modemPort = await getFreePort();
+    const meter = {
+        id: 'meter', name: 'meter', type: 'tcp-modem', modemMode: 'master', modemProtocol: 'rtu',
+        port: modemPort, deviceId: 3, pollInterval: 500, modemRegistration: 'ID7', tags: TAGS
+    };
+    const { session, waitForOutput } = await startBridge(t, [meter], {
+        args: ['--modem-ports-start', String(modemPort), '--modem-ports-end', String(modemPort)]
+    });
+    await waitForOutput(`TCP сервер запущен на порту ${modemPort}`);
+
+    // До звонка модема связи нет
+    const waiting = await session.read({ nodeId: 'ns=1;s=meter_energy' });
+    assert.notEqual(waiting.statusCode.name, 'Good');
+
+    const values = new Map([['energy', 123456], ['setpoint', 10]]);
+    const requests = await dialModem(t, modemPort, 'ID7', 3, values);
+
+    const energy = await waitForValue(session, 'ns=1;s=meter_energy', dataValue => dataValue.statusCode.name === 'Good');
+    assert.equal(energy.value.value, 123456);
+    assert.ok(requests.includes(0x03));
+
+    const setpoint = await session.read({ nodeId: 'ns=1;s=meter_setpoint' });
+    const status = await session.write({
+        nodeId: 'ns=1;s=meter_setpoint',
+        attributeId: opcua.AttributeIds.Value,
+        value: { value: { dataType: setpoint.value.dataType, value: 42 } }
+    });
+    assert.equal(status.name, 'Good');
+    assert.equal(values.get('setpoint'), 42);
+    assert.ok(requests.includes(0x06));
+});
@@ -0,0 +1,121 @@
+// Публикация и запись через локальный брокер Aedes: значение уходит в топик тега,
+// команда из топика set или DCMD доходит до устройства, новое значение публикуется снова
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const mqtt = require('mqtt');
+const sparkplug = require('sparkplug-payload').get('spBv1.0');
+const { createMqttPublisher } = require('../lib/mqtt-publisher');
+
+async function startBroker(t) {
+    const { Aedes } = await import('aedes');
+    const broker = await Aedes.createBroker();
+    const server = net.createServer(broker.handle);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(async () => {
+        await new Promise(resolve => broker.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+    });
+    return `mqtt://127.0.0.1:${server.address().port}`;
+}
+
+// Устройство с одним регистром хранения: onCommand записывает в него значение и публикует тег
+function createBridge(t, config) {
+    const tag = { name: 'setpoint', registerType: 'holding', dataType: 'uint16' };
+    const device = { id: 'dev1', name: 'boiler', enabled: true, tags: [tag] };
+    const registers = new Map([[tag, 10]]);
+    const writes = [];
+
+    const publisher = createMqttPublisher({
+        config: {
+            enabled: true, clientId: null, username: null, password: null, topicPrefix: 'plant',
+            retain: false, qos: 1, groupId: 'G', edgeNodeId: 'bridge', commands: true, reconnectPeriod: 0,
+            ...config
+        },
+        getDevices: () => [device],
+        getTagValue: (tag) => ({ value: registers.get(tag), status: 'Good', timestamp: new Date(), unit: '', dataType: 'UInt16' }),
+        onCommand: async (device, tag, value) => {
+            writes.push(value);
+            registers.set(tag, value);
+            publisher.publishTag(device, tag);
+            return true;
+        }
+    });
+    t.mock.method(console, 'log', () => {});
+    t.after(() => publisher.stop());
+    return { publisher, device, tag, writes };
+}
+
+async function connectClient(t, url, topic) {
+    const client = await mqtt.connectAsync(url, { reconnectPeriod: 0 });
+    t.after(() => client.endAsync());
+    const messages = [];
+    const waiters = [];
+    client.on('message', (topic, payload) => {
+        messages.push({ topic, payload });
+        waiters.splice(0).forEach(check => check());
+    });
+    await client.subscribeAsync(topic, { qos: 1 });
+
+    // Ждет сообщение, для которого match возвращает true
+    client.waitFor = (match) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('сообщение не получено')), 3000);
+        const check = () => {
+            const index = messages.findIndex(match);
+            if (index === -1) {
+                waiters.push(check);
+                return;
+            }
+            clearTimeout(timer);
+            resolve(messages.splice(index, 1)[0]);
+        };
+        check();
+    });
+    return client;
+}
+
+async function waitConnected(publisher) {
+    for (let i = 0; i < 100 && !publisher.connected; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(publisher.connected, 'мост не подключился к брокеру');
+}
+
+test('JSON: публикация тега и запись через топик set', async (t) => {
+    const url = await startBroker(t);
+    const client = await connectClient(t, url, 'plant/#');
+    const { publisher, writes } = createBridge(t, { url, format: 'json' });
+
+    publisher.start();
+    await waitConnected(publisher);
+    const initial = await client.waitFor(m => m.topic === 'plant/boiler/setpoint');
+    assert.equal(JSON.parse(initial.payload).value, 10);
+
+    await client.publishAsync('plant/boiler/setpoint/set', JSON.stringify({ value: 42 }), { qos: 1 });
+    const updated = await client.waitFor(m => m.topic === 'plant/boiler/setpoint');
+    assert.deepEqual(writes, [42]);
+    assert.equal(JSON.parse(updated.payload).value, 42);
+});
+
+test('Sparkplug B: DBIRTH и запись через DCMD', async (t) => {
+    const url = await startBroker(t);
+    const client = await connectClient(t, url, 'spBv1.0/G/#');
+    const { publisher, writes } = createBridge(t, { url, format: 'sparkplug' });
+
+    publisher.start();
+    await waitConnected(publisher);
+    const birth = await client.waitFor(m => m.topic === 'spBv1.0/G/DBIRTH/bridge/boiler');
+    const birthMetric = sparkplug.decodePayload(birth.payload).metrics.find(m => m.name === 'setpoint');
+    assert.equal(birthMetric.value, 10);
+
+    const command = sparkplug.encodePayload({
+        timestamp: Date.now(),
+        metrics: [{ name: 'setpoint', type: 'UInt16', value: 7 }]
+    });
+    await client.publishAsync('spBv1.0/G/DCMD/bridge/boiler', command, { qos: 1 });
+    const data = await client.waitFor(m => m.topic === 'spBv1.0/G/DDATA/bridge/boiler');
+    assert.deepEqual(writes, [7]);
+    assert.equal(sparkplug.decodePayload(data.payload).metrics[0].value, 7);
+});
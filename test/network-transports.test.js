@@ -0,0 +1,109 @@
+// Сетевые транспорты кроме Modbus TCP: RTU кадры с CRC поверх TCP (преобразователь интерфейсов)
+// и Modbus UDP; RTU и ASCII устройства не могут делить один последовательный порт
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const dgram = require('dgram');
+const { once } = require('events');
+const opcua = require('node-opcua');
+const { buildMbapFrame, buildRtuFrame, createFrameParser, parseFrame } = require('../lib/modbus-frame');
+const { processSlavePdu, createTagMemory } = require('../lib/modbus-slave');
+const { startBridge, waitForValue } = require('./helpers/bridge');
+
+const TAGS = [
+    { name: 'flow', registerType: 'holding', address: 0, dataType: 'uint32' },
+    { name: 'setpoint', registerType: 'holding', address: 2, dataType: 'uint16' }
+];
+
+function createMemory(values) {
+    return createTagMemory({
+        getTags: () => TAGS,
+        getValue: (tag) => values.get(tag.name),
+        onWrite: (tag, value) => values.set(tag.name, value)
+    });
+}
+
+// Преобразователь RS-485 в TCP: принимает и отдает кадры RTU с CRC, без заголовка MBAP
+async function startRtuGateway(t, unitId, values) {
+    const memory = createMemory(values);
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        const parser = createFrameParser({ protocol: 'rtu' });
+        socket.on('data', data => parser.push(data).forEach(frame => {
+            if (frame.unitId === unitId) {
+                socket.write(buildRtuFrame(unitId, processSlavePdu(memory, frame.pdu)));
+            }
+        }));
+    }).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => {
+        sockets.forEach(socket => socket.destroy());
+        server.close();
+    });
+    return server.address().port;
+}
+
+// Устройство Modbus UDP: одна датаграмма - один кадр MBAP, ответ на адрес отправителя
+async function startUdpDevice(t, values) {
+    const memory = createMemory(values);
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (message, remote) => {
+        const frame = parseFrame(message, 'tcp');
+        socket.send(buildMbapFrame(frame.transactionId, frame.unitId, processSlavePdu(memory, frame.pdu)), remote.port, remote.address);
+    });
+    socket.bind(0, '127.0.0.1');
+    await once(socket, 'listening');
+    t.after(() => socket.close());
+    return socket.address().port;
+}
+
+async function writeSetpoint(session, nodeId, value) {
+    const current = await session.read({ nodeId });
+    return session.write({
+        nodeId,
+        attributeId: opcua.AttributeIds.Value,
+        value: { value: { dataType: current.value.dataType, value } }
+    });
+}
+
+test('опрос и запись через RTU поверх TCP и Modbus UDP', { timeout: 120000 }, async (t) => {
+    const gatewayValues = new Map([['flow', 70000], ['setpoint', 1]]);
+    const udpValues = new Map([['flow', 123], ['setpoint', 1]]);
+    const gatewayPort = await startRtuGateway(t, 4, gatewayValues);
+    const udpPort = await startUdpDevice(t, udpValues);
+    const device = (id, type, port, deviceId) => ({
+        id, name: id, type, address: '127.0.0.1', port, deviceId, pollInterval: 300, tags: TAGS
+    });
+    const { session, api } = await startBridge(t, [
+        device('gateway', 'rtu-tcp', gatewayPort, 4),
+        device('remote', 'udp', udpPort, 1),
+        { id: 'meter', name: 'meter', type: 'rtu', address: '/dev/ttyTEST0', deviceId: 1, pollInterval: 1000, tags: TAGS }
+    ]);
+
+    await t.test('RTU поверх TCP', async () => {
+        const flow = await waitForValue(session, 'ns=1;s=gateway_flow', dataValue => dataValue.statusCode.name === 'Good');
+        assert.equal(flow.value.value, 70000);
+        assert.equal((await writeSetpoint(session, 'ns=1;s=gateway_setpoint', 42)).name, 'Good');
+        assert.equal(gatewayValues.get('setpoint'), 42);
+    });
+
+    await t.test('Modbus UDP', async () => {
+        const flow = await waitForValue(session, 'ns=1;s=remote_flow', dataValue => dataValue.statusCode.name === 'Good');
+        assert.equal(flow.value.value, 123);
+        assert.equal((await writeSetpoint(session, 'ns=1;s=remote_setpoint', 7)).name, 'Good');
+        assert.equal(udpValues.get('setpoint'), 7);
+    });
+
+    await t.test('ASCII на порту RTU устройства и неизвестный тип отклоняются', async () => {
+        const ascii = await api('POST', '/api/devices', {
+            name: 'scale', type: 'ascii', address: '/dev/ttyTEST0', deviceId: 2, tags: TAGS
+        });
+        assert.equal(ascii.status, 400);
+        assert.match(ascii.body.error, /уже есть устройство Modbus RTU meter/);
+
+        const unknown = await api('POST', '/api/devices', { name: 'x', type: 'rtu-udp', address: '127.0.0.1', tags: TAGS });
+        assert.equal(unknown.status, 400);
+        assert.match(unknown.body.error, /Неизвестный тип устройства rtu-udp/);
+    });
+});
@@ -0,0 +1,86 @@
+// Безопасность OPC UA: права на запись по роли и устройствам пользователя, анонимный доступ,
+// шифрованный канал только с доверенным сертификатом клиента
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const opcua = require('node-opcua');
+const { loadSecurityConfig } = require('../lib/opcua-security');
+const { startDevice, startBridge, waitForValue } = require('./helpers/bridge');
+
+const TAGS = [{ name: 'setpoint', registerType: 'holding', address: 0, dataType: 'uint16' }];
+
+const writeSetpoint = (session, deviceId, value) => session.write({
+    nodeId: `ns=1;s=${deviceId}_setpoint`,
+    attributeId: opcua.AttributeIds.Value,
+    value: { value: { dataType: opcua.DataType.UInt16, value } }
+});
+
+test('неверная конфигурация безопасности не загружается', (t) => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-security-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    const file = path.join(folder, 'opcua-security.json');
+    t.mock.method(console, 'log', () => {});
+
+    fs.writeFileSync(file, JSON.stringify({ securityModes: ['None', 'Encrypt'] }));
+    assert.throws(() => loadSecurityConfig(file), /неизвестный режим безопасности Encrypt/);
+    fs.writeFileSync(file, JSON.stringify({ anonymousRole: 'admin' }));
+    assert.throws(() => loadSecurityConfig(file), /неизвестная роль анонимного пользователя admin/);
+    fs.writeFileSync(file, JSON.stringify({ allowAnonymous: false }));
+    assert.equal(loadSecurityConfig(file).allowAnonymous, false);
+});
+
+test('права на запись и сертификаты клиентов', { timeout: 180000 }, async (t) => {
+    const tank = await startDevice(t, TAGS, { setpoint: 1 });
+    const pump = await startDevice(t, TAGS, { setpoint: 1 });
+    const tcpDevice = (id, port) => ({
+        id, name: id, type: 'tcp', address: '127.0.0.1', port, deviceId: 1, pollInterval: 500, tags: TAGS
+    });
+    const { session, connect, api } = await startBridge(t, [tcpDevice('tank', tank.port), tcpDevice('pump', pump.port)], {
+        users: [{ username: 'shift', password: 'shift-password', role: 'operator', devices: ['tank'] }]
+    });
+    await waitForValue(session, 'ns=1;s=pump_setpoint', dataValue => dataValue.statusCode.name === 'Good');
+
+    await t.test('оператор пишет только в свои устройства, аноним - только читает', async () => {
+        const operator = await connect({ userName: 'shift', password: 'shift-password' });
+        assert.equal((await writeSetpoint(operator, 'tank', 5)).name, 'Good');
+        assert.equal((await writeSetpoint(operator, 'pump', 5)).name, 'BadUserAccessDenied');
+        assert.equal(pump.values.get('setpoint'), 1);
+
+        const anonymous = await connect(null);
+        assert.equal((await anonymous.read({ nodeId: 'ns=1;s=tank_setpoint' })).value.value, 5);
+        assert.equal((await writeSetpoint(anonymous, 'tank', 6)).name, 'BadUserAccessDenied');
+
+        assert.equal((await writeSetpoint(session, 'pump', 7)).name, 'Good');
+        assert.deepEqual([tank.values.get('setpoint'), pump.values.get('setpoint')], [5, 7]);
+
+        await assert.rejects(connect({ userName: 'shift', password: 'wrong' }));
+    });
+
+    await t.test('SignAndEncrypt после доверия сертификату клиента', async () => {
+        const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-client-pki-'));
+        t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+        // Клиент доверяет самоподписанному сертификату моста, мост клиенту - только после trust
+        const clientCertificateManager = new opcua.OPCUACertificateManager({
+            rootFolder: folder,
+            automaticallyAcceptUnknownCertificate: true
+        });
+        const secure = {
+            securityMode: opcua.MessageSecurityMode.SignAndEncrypt,
+            securityPolicy: opcua.SecurityPolicy.Basic256Sha256,
+            clientCertificateManager
+        };
+
+        // Неизвестный сертификат отклоняется и попадает в rejected
+        await assert.rejects(connect({ userName: 'shift', password: 'shift-password' }, secure));
+        const { body: certificates } = await api('GET', '/api/opcua/certificates');
+        assert.equal(certificates.rejected.length, 1);
+
+        const trust = await api('POST', '/api/opcua/certificates/trust', { file: certificates.rejected[0].file });
+        assert.equal(trust.status, 200);
+        const encrypted = await connect({ userName: 'shift', password: 'shift-password' }, secure);
+        assert.equal((await writeSetpoint(encrypted, 'tank', 8)).name, 'Good');
+        assert.equal(tank.values.get('setpoint'), 8);
+    });
+});
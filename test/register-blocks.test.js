@@ -0,0 +1,90 @@
+// Блоки чтения: объединение тегов по типу регистров, пропуски между тегами, длина блока.
+// Блоки записи: соседние теги одним запросом, повтор тега, предел FC16
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planReadBlocks, planWriteBlocks } = require('../lib/register-blocks');
+
+const limits = (maxCount, maxGap) => () => ({ maxCount, maxGap });
+const holding = (name, address, dataType = 'uint16') => ({ name, registerType: 'holding', address, dataType });
+const describe = (blocks) => blocks.map(block =>
+    [block.registerType, block.address, block.count, block.tags.map(tag => tag.name)]);
+
+test('близкие теги в одном блоке, далекие - в разных', () => {
+    const tags = [holding('c', 20), holding('a', 0), holding('b', 3, 'uint32'), holding('d', 8)];
+    assert.deepEqual(describe(planReadBlocks(tags, limits(125, 4))), [
+        ['holding', 0, 9, ['a', 'b', 'd']],
+        ['holding', 20, 1, ['c']]
+    ]);
+});
+
+test('пропуск больше допустимого разрывает блок', () => {
+    const tags = [holding('a', 0), holding('b', 2), holding('c', 5)];
+    assert.deepEqual(describe(planReadBlocks(tags, limits(125, 1))), [
+        ['holding', 0, 3, ['a', 'b']],
+        ['holding', 5, 1, ['c']]
+    ]);
+    // Без пропусков объединяются только соседние адреса
+    assert.equal(planReadBlocks([holding('a', 0), holding('b', 1), holding('c', 3)], limits(125, 0)).length, 2);
+});
+
+test('блок не длиннее наибольшего размера запроса', () => {
+    const tags = [holding('a', 0, 'uint32'), holding('b', 2, 'uint32'), holding('c', 4, 'uint32')];
+    assert.deepEqual(describe(planReadBlocks(tags, limits(5, 10))), [
+        ['holding', 0, 4, ['a', 'b']],
+        ['holding', 4, 2, ['c']]
+    ]);
+    // Тег длиннее блока читается отдельно
+    const long = { name: 'serial', registerType: 'holding', address: 10, dataType: 'string', stringLength: 8 };
+    assert.deepEqual(describe(planReadBlocks([long, holding('a', 0)], limits(5, 10))), [
+        ['holding', 0, 1, ['a']],
+        ['holding', 10, 8, ['serial']]
+    ]);
+});
+
+test('типы регистров не смешиваются, пределы берутся по типу', () => {
+    const tags = [
+        holding('h', 0),
+        { name: 'i', registerType: 'input', address: 1, dataType: 'uint16' },
+        { name: 'c1', registerType: 'coil', address: 0, dataType: 'boolean' },
+        { name: 'c2', registerType: 'coil', address: 40, dataType: 'boolean' }
+    ];
+    const blocks = planReadBlocks(tags, registerType => registerType === 'coil' ?
+        { maxCount: 2000, maxGap: 100 } : { maxCount: 125, maxGap: 10 });
+    assert.deepEqual(describe(blocks), [
+        ['holding', 0, 1, ['h']],
+        ['input', 1, 1, ['i']],
+        ['coil', 0, 41, ['c1', 'c2']]
+    ]);
+});
+
+const write = (tag, ...values) => ({ tag, values });
+const describeWrites = (blocks) => blocks.map(block =>
+    [block.registerType, block.address, block.values, block.writes.map(item => item.tag.name)]);
+
+test('соседние теги пишутся одним блоком, несмежные - отдельными', () => {
+    const run = { name: 'run', registerType: 'coil', address: 0, dataType: 'boolean' };
+    const writes = [
+        write(holding('b', 1, 'uint32'), 0, 7),
+        write(holding('a', 0), 5),
+        write(run, true),
+        write(holding('c', 10), 9)
+    ];
+    assert.deepEqual(describeWrites(planWriteBlocks(writes)), [
+        ['holding', 0, [5, 0, 7], ['a', 'b']],
+        ['holding', 10, [9], ['c']],
+        ['coil', 0, [true], ['run']]
+    ]);
+});
+
+test('повторенный тег - одна запись последним значением', () => {
+    const setpoint = holding('setpoint', 4);
+    const blocks = planWriteBlocks([write(setpoint, 1), write(holding('mode', 5), 2), write(setpoint, 3)]);
+    assert.deepEqual(describeWrites(blocks), [['holding', 4, [3, 2], ['setpoint', 'setpoint', 'mode']]]);
+});
+
+test('блок записи не длиннее 123 регистров, тег не делится', () => {
+    const tags = [0, 60, 120].map((address, i) => write(
+        { name: `t${i}`, registerType: 'holding', address, dataType: 'uint16', arrayLength: 60 },
+        ...new Array(60).fill(i)));
+    assert.deepEqual(planWriteBlocks(tags).map(block => [block.address, block.values.length]), [[0, 120], [120, 60]]);
+});
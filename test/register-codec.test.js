@@ -0,0 +1,87 @@
+// Кодирование значений тегов в регистры и обратно
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BYTE_ORDERS, decodeTagValue, encodeTagRegisters } = require('../lib/register-codec');
+
+const roundTrip = (tag, value) => decodeTagValue(tag, encodeTagRegisters(tag, value));
+
+test('целые типы сохраняют значение на границах диапазона', () => {
+    const cases = {
+        int16: [-32768, -1, 0, 32767],
+        uint16: [0, 1, 65535],
+        int32: [-2147483648, -1, 2147483647],
+        uint32: [0, 4294967295],
+        bcd16: [0, 1234, 9999],
+        bcd32: [0, 12345678, 99999999]
+    };
+    for (const [dataType, values] of Object.entries(cases)) {
+        for (const value of values) {
+            assert.equal(roundTrip({ registerType: 'holding', dataType }, value), value, `${dataType} ${value}`);
+        }
+    }
+});
+
+test('многорегистровые значения во всех порядках байт', () => {
+    for (const byteOrder of BYTE_ORDERS) {
+        assert.equal(roundTrip({ registerType: 'holding', dataType: 'int32', byteOrder }, -123456789), -123456789);
+        assert.equal(roundTrip({ registerType: 'holding', dataType: 'double', byteOrder }, Math.PI), Math.PI);
+        assert.equal(roundTrip({ registerType: 'holding', dataType: 'float', byteOrder }, 1.5), 1.5);
+    }
+    assert.deepEqual(encodeTagRegisters({ registerType: 'holding', dataType: 'uint32', byteOrder: 'CDAB' }, 0x12345678),
+        [0x5678, 0x1234]);
+    assert.deepEqual(encodeTagRegisters({ registerType: 'holding', dataType: 'uint32', byteOrder: 'BADC' }, 0x12345678),
+        [0x3412, 0x7856]);
+});
+
+test('отрицательные int16 кодируются дополнительным кодом', () => {
+    assert.deepEqual(encodeTagRegisters({ registerType: 'holding', dataType: 'int16' }, -1), [0xFFFF]);
+});
+
+test('значение вне диапазона типа при записи - RangeError', () => {
+    const cases = [
+        ['uint16', 70000], ['uint16', -1], ['int16', -40000], ['int16', 32768],
+        ['int32', 2147483648], ['uint32', 5e9], ['uint32', -1], ['bcd16', 10000], ['float', 1e39]
+    ];
+    for (const [dataType, value] of cases) {
+        assert.throws(() => encodeTagRegisters({ registerType: 'holding', dataType }, value), RangeError, `${dataType} ${value}`);
+    }
+    assert.throws(() => encodeTagRegisters({ registerType: 'holding', dataType: 'uint16' }, 'abc'), RangeError);
+    // Округление может вывести значение за границу
+    assert.throws(() => encodeTagRegisters({ registerType: 'holding', dataType: 'int16' }, 32767.6), RangeError);
+});
+
+test('wrap обрезает значение до младших разрядов (чтение ведомого)', () => {
+    assert.deepEqual(encodeTagRegisters({ registerType: 'holding', dataType: 'uint16' }, 70000, { wrap: true }), [4464]);
+    assert.deepEqual(encodeTagRegisters({ registerType: 'holding', dataType: 'uint32' }, -1, { wrap: true }), [0xFFFF, 0xFFFF]);
+    assert.deepEqual(encodeTagRegisters({ registerType: 'holding', dataType: 'bcd16' }, 12345, { wrap: true }), [0x2345]);
+    assert.deepEqual(encodeTagRegisters({ registerType: 'holding', dataType: 'bcd32' }, -42, { wrap: true }), [0x0000, 0x0042]);
+});
+
+test('масштаб проверяется по сырому значению', () => {
+    const tag = { registerType: 'holding', dataType: 'uint16', scale: 0.1 };
+    assert.equal(roundTrip(tag, 6553.5), 6553.5);
+    assert.throws(() => encodeTagRegisters(tag, 6553.6), RangeError);
+});
+
+test('строки, массивы и биты', () => {
+    assert.equal(roundTrip({ registerType: 'holding', dataType: 'string', stringLength: 3 }, 'AB12'), 'AB12');
+    assert.equal(roundTrip({ registerType: 'holding', dataType: 'string', stringLength: 3, swapBytes: true }, 'xyz'), 'xyz');
+    assert.throws(() => encodeTagRegisters({ registerType: 'holding', dataType: 'string', stringLength: 1 }, 'abc'));
+    assert.deepEqual(roundTrip({ registerType: 'holding', dataType: 'int16', arrayLength: 3 }, [1, -2, 3]), [1, -2, 3]);
+    assert.deepEqual(decodeTagValue({ registerType: 'coil', dataType: 'boolean', arrayLength: 2 }, [1, 0]), [true, false]);
+});
+
+test('неверный BCD при чтении - ошибка', () => {
+    assert.throws(() => decodeTagValue({ registerType: 'holding', dataType: 'bcd16' }, [0x00A0]), /BCD/);
+});
+
+test('int64 и uint64: точные целые сохраняются, остальные отклоняются', () => {
+    const int64 = { registerType: 'holding', dataType: 'int64' };
+    const uint64 = { registerType: 'holding', dataType: 'uint64' };
+    assert.equal(roundTrip(int64, -Number.MAX_SAFE_INTEGER), -Number.MAX_SAFE_INTEGER);
+    assert.equal(roundTrip(uint64, Number.MAX_SAFE_INTEGER), Number.MAX_SAFE_INTEGER);
+    assert.throws(() => encodeTagRegisters(int64, 1e30), RangeError);
+    assert.throws(() => encodeTagRegisters(uint64, 2 ** 60), RangeError);
+    // 2^60 + 1 из устройства не теряет младший разряд молча
+    assert.throws(() => decodeTagValue(uint64, [0x1000, 0, 0, 1]), RangeError);
+});
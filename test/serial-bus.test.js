@@ -0,0 +1,149 @@
+// Шина RS-485: одно открытие порта на все ведомые, запросы строго по очереди,
+// ошибка одного ведомого не закрывает порт, смена настроек переоткрывает порт
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSerialBus, getSerialSettings, validateSerialSettings } = require('../lib/serial-bus');
+
+// Клиент ModbusRTU без порта: запоминает открытия и запросы, отвечает через duration мс
+function createFakeClients() {
+    const clients = [];
+    const requests = [];
+    let active = 0;
+
+    function createClient() {
+        const client = {
+            isOpen: false,
+            opened: null,
+            id: null,
+            timeout: null,
+            async connectRTUBuffered(path, options) {
+                client.opened = ['rtu', path, options];
+                client.isOpen = true;
+            },
+            async connectAsciiSerial(path, options) {
+                client.opened = ['ascii', path, options];
+                client.isOpen = true;
+            },
+            setID(id) {
+                client.id = id;
+            },
+            setTimeout(timeout) {
+                client.timeout = timeout;
+            },
+            async readHoldingRegisters(address, length, duration = 20, fail = false) {
+                const request = { method: 'read', id: client.id, timeout: client.timeout, address, start: Date.now() };
+                requests.push(request);
+                active++;
+                assert.equal(active, 1, 'запросы на шине пересеклись');
+                await new Promise(resolve => setTimeout(resolve, duration));
+                active--;
+                request.end = Date.now();
+                if (fail) throw new Error('Timed out');
+                return { data: new Array(length).fill(client.id) };
+            },
+            async writeRegister(address, value) {
+                requests.push({ method: 'write', id: client.id, address, value, start: Date.now(), end: Date.now() });
+                return { address, value };
+            },
+            async close() {
+                client.isOpen = false;
+            }
+        };
+        clients.push(client);
+        return client;
+    }
+    return { clients, requests, createClient };
+}
+
+function createBus(t, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    const fake = createFakeClients();
+    const bus = createSerialBus({
+        path: '/dev/ttyUSB0',
+        settings: getSerialSettings({ baudRate: 19200, parity: 'even', ...options.settings }),
+        createClient: fake.createClient,
+        protocol: options.protocol
+    });
+    return { bus, ...fake };
+}
+
+test('порт открывается один раз на все устройства шины', async (t) => {
+    const { bus, clients } = createBus(t);
+    bus.attach('meter1');
+    bus.attach('meter2');
+    await Promise.all([bus.open(), bus.open(), bus.open()]);
+
+    assert.equal(clients.length, 1);
+    assert.deepEqual(clients[0].opened, ['rtu', '/dev/ttyUSB0', { baudRate: 19200, dataBits: 8, stopBits: 1, parity: 'even' }]);
+    assert.deepEqual(bus.status().devices, ['meter1', 'meter2']);
+    assert.equal(bus.detach('meter1'), 1);
+});
+
+test('запросы разных ведомых идут по очереди со своим адресом и таймаутом', async (t) => {
+    const { bus, requests } = createBus(t);
+    await bus.open();
+
+    const results = await Promise.all([
+        bus.run(1, 500, 'readHoldingRegisters', [0, 2]),
+        bus.run(2, 800, 'readHoldingRegisters', [10, 1]),
+        bus.run(1, 500, 'readHoldingRegisters', [4, 1])
+    ]);
+    assert.deepEqual(results.map(result => result.data), [[1, 1], [2], [1]]);
+    assert.deepEqual(requests.map(({ id, timeout, address }) => [id, timeout, address]), [[1, 500, 0], [2, 800, 10], [1, 500, 4]]);
+});
+
+test('запись обгоняет ожидающий опрос', async (t) => {
+    const { bus, requests } = createBus(t);
+    await bus.open();
+
+    await Promise.all([
+        bus.run(1, 500, 'readHoldingRegisters', [0, 1]),
+        bus.run(2, 500, 'readHoldingRegisters', [0, 1]),
+        bus.run(3, 500, 'writeRegister', [5, 42])
+    ]);
+    // Первый опрос уже шел, запись - перед вторым
+    assert.deepEqual(requests.map(request => [request.method, request.id]), [['read', 1], ['write', 3], ['read', 2]]);
+});
+
+test('ошибка одного ведомого не закрывает порт', async (t) => {
+    const { bus, clients } = createBus(t);
+    await bus.open();
+
+    await assert.rejects(bus.run(1, 500, 'readHoldingRegisters', [0, 1, 10, true]), /Timed out/);
+    assert.deepEqual((await bus.run(2, 500, 'readHoldingRegisters', [0, 1])).data, [2]);
+    assert.equal(clients.length, 1);
+    assert.ok(bus.status().open);
+});
+
+test('пауза между кадрами', async (t) => {
+    const { bus, requests } = createBus(t, { settings: { interFrameDelay: 50 } });
+    await bus.open();
+
+    await Promise.all([
+        bus.run(1, 500, 'readHoldingRegisters', [0, 1, 5]),
+        bus.run(2, 500, 'readHoldingRegisters', [0, 1, 5])
+    ]);
+    assert.ok(requests[1].start - requests[0].end >= 45, `пауза ${requests[1].start - requests[0].end} мс`);
+});
+
+test('новые настройки переоткрывают порт, ASCII открывается своим методом', async (t) => {
+    const { bus, clients } = createBus(t, { protocol: 'ascii' });
+    await bus.open();
+    assert.equal(clients[0].opened[0], 'ascii');
+
+    await bus.reconfigure(getSerialSettings({ baudRate: 9600, stopBits: 2 }));
+    assert.ok(!clients[0].isOpen);
+    await assert.rejects(bus.run(1, 500, 'readHoldingRegisters', [0, 1]), /не открыт/);
+
+    await bus.open();
+    assert.equal(clients.length, 2);
+    assert.deepEqual(clients[1].opened[2], { baudRate: 9600, dataBits: 8, stopBits: 2, parity: 'none' });
+});
+
+test('проверка настроек порта', () => {
+    assert.equal(validateSerialSettings({ baudRate: 19200, dataBits: 7, stopBits: 2, parity: 'odd', interFrameDelay: 5 }), null);
+    assert.match(validateSerialSettings({ baudRate: 14400 }), /скорость порта/);
+    assert.match(validateSerialSettings({ dataBits: 9 }), /dataBits/);
+    assert.match(validateSerialSettings({ parity: 'both' }), /четность/);
+    assert.match(validateSerialSettings({ interFrameDelay: -1 }), /interFrameDelay/);
+});
@@ -0,0 +1,79 @@
+// Настройки моста: приоритет источников, имена переменных и ключей, проверки
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_SETTINGS, toEnvName, toFlagName, loadSettings, isModemPort } = require('../lib/settings');
+
+// Файл настроек во временном каталоге; settings.json по умолчанию ищется в рабочем каталоге теста
+function writeSettingsFile(t, values) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-settings-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    const file = path.join(folder, 'bridge.json');
+    fs.writeFileSync(file, typeof values === 'string' ? values : JSON.stringify(values));
+    t.mock.method(console, 'log', () => {});
+    return file;
+}
+
+test('имена переменных окружения и ключей', () => {
+    assert.equal(toEnvName('opcuaPort'), 'BRIDGE_OPCUA_PORT');
+    assert.equal(toEnvName('modemPortsStart'), 'BRIDGE_MODEM_PORTS_START');
+    assert.equal(toFlagName('devicesFile'), '--devices-file');
+});
+
+test('без параметров - значения по умолчанию', () => {
+    const { settings, sources, file } = loadSettings({ argv: [], env: {} });
+    assert.deepEqual(settings, DEFAULT_SETTINGS);
+    assert.ok(Object.values(sources).every(source => source === 'default'));
+    assert.equal(file, null);
+});
+
+test('командная строка важнее окружения, окружение - файла', (t) => {
+    const file = writeSettingsFile(t, { webPort: 3001, opcuaPort: 52001, devicesFile: 'a.json' });
+    const { settings, sources } = loadSettings({
+        argv: ['--settings', file, '--web-port=3003', '--devices-file', 'c.json'],
+        env: { BRIDGE_WEB_PORT: '3002', BRIDGE_PRODUCT_NAME: 'Подстанция 1' }
+    });
+
+    assert.equal(settings.webPort, 3003);
+    assert.equal(settings.opcuaPort, 52001);
+    assert.equal(settings.devicesFile, 'c.json');
+    assert.equal(settings.productName, 'Подстанция 1');
+    assert.deepEqual(
+        [sources.webPort, sources.opcuaPort, sources.productName, sources.usersFile],
+        ['cli', 'file', 'env', 'default']
+    );
+});
+
+test('файл настроек из BRIDGE_SETTINGS', (t) => {
+    const file = writeSettingsFile(t, { modemPortsStart: 9000, modemPortsEnd: 9010 });
+    const { settings, file: loaded } = loadSettings({ env: { BRIDGE_SETTINGS: file } });
+    assert.equal(loaded, file);
+    assert.equal(settings.modemPortsStart, 9000);
+    assert.ok(isModemPort(settings, 9005));
+    assert.ok(!isModemPort(settings, 8001));
+    assert.ok(!isModemPort(settings, '9005'));
+});
+
+test('ошибки в параметрах и файле', (t) => {
+    assert.throws(() => loadSettings({ argv: ['--web-prot', '1'] }), /Ошибка в параметрах запуска: неизвестный ключ --web-prot/);
+    assert.throws(() => loadSettings({ argv: ['--web-port'] }), /не задано значение ключа --web-port/);
+    assert.throws(() => loadSettings({ argv: ['--settings', path.join(os.tmpdir(), 'нет-такого.json')] }), /Ошибка чтения/);
+
+    const unknown = writeSettingsFile(t, { webPrt: 1 });
+    assert.throws(() => loadSettings({ argv: ['--settings', unknown] }), /неизвестный параметр webPrt/);
+    const broken = writeSettingsFile(t, '{ "webPort": ');
+    assert.throws(() => loadSettings({ argv: ['--settings', broken] }), /Ошибка чтения/);
+});
+
+test('проверка значений', () => {
+    const load = (argv) => () => loadSettings({ argv });
+    assert.throws(load(['--web-port', 'abc']), /webPort должен быть целым числом от 1 до 65535/);
+    assert.throws(load(['--opcua-port', '70000']), /opcuaPort должен быть целым числом/);
+    assert.throws(load(['--web-port', '52000']), /webPort и opcuaPort должны различаться/);
+    assert.throws(load(['--web-port', '8050']), /webPort попадает в диапазон портов модемов 8000-8100/);
+    assert.throws(load(['--modem-ports-start', '8200']), /modemPortsStart не может быть больше modemPortsEnd/);
+    assert.throws(load(['--resource-path', 'UA']), /resourcePath должен начинаться с \//);
+    assert.throws(load(['--devices-file', ' ']), /devicesFile должен быть непустой строкой/);
+});
@@ -0,0 +1,51 @@
+// Масштабирование тегов: чтение в инженерных единицах, обратный пересчет при записи,
+// узлы OPC UA - AnalogItem с EURange и EngineeringUnits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const opcua = require('node-opcua');
+const { startDevice, startBridge, waitForValue } = require('./helpers/bridge');
+
+async function readProperty(session, nodeId, name) {
+    const [result] = await session.translateBrowsePath([opcua.makeBrowsePath(nodeId, `.${name}`)]);
+    assert.equal(result.statusCode.name, 'Good', `${nodeId} без свойства ${name}`);
+    return (await session.read({ nodeId: result.targets[0].targetId })).value.value;
+}
+
+test('масштаб, смещение и единицы измерения тегов', { timeout: 120000 }, async (t) => {
+    const tags = [
+        {
+            name: 'temperature', registerType: 'holding', address: 0, dataType: 'int16',
+            scale: 0.1, offset: -40, rawMin: 0, rawMax: 1000, unit: '°C'
+        },
+        { name: 'energy', registerType: 'input', address: 0, dataType: 'uint32', scale: 0.01, unit: 'kWh' },
+        { name: 'raw', registerType: 'holding', address: 1, dataType: 'uint16' }
+    ];
+    // Устройство хранит сырые значения регистров
+    const rawTags = tags.map(({ name, registerType, address, dataType }) => ({ name, registerType, address, dataType }));
+    const device = await startDevice(t, rawTags, { temperature: 635, energy: 1234567, raw: 7 });
+    const { session } = await startBridge(t, [{
+        id: 'meter', name: 'meter', type: 'tcp', address: '127.0.0.1', port: device.port,
+        deviceId: 1, pollInterval: 500, tags
+    }]);
+
+    const temperature = await waitForValue(session, 'ns=1;s=meter_temperature', dataValue => dataValue.statusCode.name === 'Good');
+    assert.equal(temperature.value.dataType, opcua.DataType.Double);
+    assert.equal(temperature.value.value, 23.5);
+    assert.equal((await session.read({ nodeId: 'ns=1;s=meter_energy' })).value.value, 12345.67);
+    assert.equal((await session.read({ nodeId: 'ns=1;s=meter_raw' })).value.value, 7);
+
+    // Диапазон регистра 0..1000 в инженерных единицах, единицы - стандартные и из дополнительного списка
+    const range = await readProperty(session, 'ns=1;s=meter_temperature', 'EURange');
+    assert.deepEqual([range.low, range.high], [-40, 60]);
+    assert.equal((await readProperty(session, 'ns=1;s=meter_temperature', 'EngineeringUnits')).displayName.text, '°C');
+    assert.equal((await readProperty(session, 'ns=1;s=meter_energy', 'EngineeringUnits')).displayName.text, 'kWh');
+
+    // Запись в инженерных единицах уходит в регистр сырым значением
+    const status = await session.write({
+        nodeId: 'ns=1;s=meter_temperature',
+        attributeId: opcua.AttributeIds.Value,
+        value: { value: { dataType: opcua.DataType.Double, value: 20 } }
+    });
+    assert.equal(status.name, 'Good');
+    assert.equal(device.values.get('temperature'), 600);
+});
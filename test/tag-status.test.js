@@ -0,0 +1,38 @@
+// Качество тегов: до первого чтения и при потере связи значение не выдается за Good,
+// прочитанное значение публикуется с временем источника, то же качество - в /api/values
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getFreePort, startDevice, startBridge, waitForValue } = require('./helpers/bridge');
+
+const TAGS = [{ name: 'level', registerType: 'holding', address: 0, dataType: 'uint16' }];
+const BAD_STATUSES = ['BadWaitingForInitialData', 'BadCommunicationError'];
+
+test('качество и время источника тегов', { timeout: 120000 }, async (t) => {
+    const device = await startDevice(t, TAGS, { level: 17 });
+    const tcpDevice = (id, port) => ({
+        id, name: id, type: 'tcp', address: '127.0.0.1', port, deviceId: 1,
+        pollInterval: 500, reconnectDelay: 500, reconnectMaxDelay: 500, tags: TAGS
+    });
+    const started = Date.now();
+    const { session, api } = await startBridge(t, [tcpDevice('tank', device.port), tcpDevice('lost', await getFreePort())]);
+
+    const level = await waitForValue(session, 'ns=1;s=tank_level', dataValue => dataValue.statusCode.name === 'Good');
+    assert.equal(level.value.value, 17);
+    assert.ok(level.sourceTimestamp.getTime() >= started && level.sourceTimestamp.getTime() <= Date.now());
+
+    // Устройство, которое ни разу не ответило: значение по умолчанию с качеством Bad, а не Good
+    const lost = await session.read({ nodeId: 'ns=1;s=lost_level' });
+    assert.ok(BAD_STATUSES.includes(lost.statusCode.name), lost.statusCode.name);
+
+    const { body: values } = await api('GET', '/api/values');
+    assert.equal(values.tank.tags.level.status, 'Good');
+    assert.equal(values.tank.tags.level.value, 17);
+    assert.ok(values.tank.tags.level.timestamp);
+    assert.ok(BAD_STATUSES.includes(values.lost.tags.level.status));
+
+    // Связь потеряна: последнее значение остается, но уже не Good
+    device.close();
+    const failed = await waitForValue(session, 'ns=1;s=tank_level', dataValue => dataValue.statusCode.name !== 'Good');
+    assert.ok(['BadCommunicationError', 'UncertainLastUsableValue'].includes(failed.statusCode.name), failed.statusCode.name);
+    assert.equal(failed.value.value, 17);
+});
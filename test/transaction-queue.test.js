@@ -0,0 +1,73 @@
+// Очередь транзакций: по одной за раз, запись раньше ожидающего опроса, статистика
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTransactionQueue, getTransactionPriority } = require('../lib/transaction-queue');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('транзакции не пересекаются, запись обгоняет ожидающие чтения', async () => {
+    const queue = createTransactionQueue();
+    const order = [];
+    let active = 0;
+    const transaction = (name) => async () => {
+        active++;
+        assert.equal(active, 1, 'транзакции пересеклись');
+        order.push(name);
+        await delay(5);
+        active--;
+        return name;
+    };
+
+    const results = await Promise.all([
+        queue.run(transaction('read1')),
+        queue.run(transaction('read2')),
+        queue.run(transaction('read3')),
+        queue.run(transaction('write'), 'write')
+    ]);
+
+    // read1 уже выполнялась, когда пришла запись
+    assert.deepEqual(order, ['read1', 'write', 'read2', 'read3']);
+    assert.deepEqual(results, ['read1', 'read2', 'read3', 'write']);
+});
+
+test('ошибка транзакции не останавливает очередь', async () => {
+    const queue = createTransactionQueue();
+    const failed = queue.run(async () => {
+        throw new Error('Timed out');
+    });
+    const next = queue.run(async () => 42);
+
+    await assert.rejects(failed, /Timed out/);
+    assert.equal(await next, 42);
+
+    const stats = queue.stats();
+    assert.equal(stats.completedCount, 1);
+    assert.equal(stats.failedCount, 1);
+    assert.equal(stats.depth, 0);
+    assert.equal(stats.busy, false);
+});
+
+test('глубина очереди и ожидающие записи', async () => {
+    const queue = createTransactionQueue();
+    let release;
+    const blocker = queue.run(() => new Promise(resolve => {
+        release = resolve;
+    }));
+    const pending = [queue.run(async () => 1), queue.run(async () => 2, 'write')];
+
+    assert.equal(queue.depth, 2);
+    assert.equal(queue.stats().pendingWrites, 1);
+    assert.equal(queue.stats().busy, true);
+
+    release();
+    await Promise.all([blocker, ...pending]);
+    assert.equal(queue.depth, 0);
+    assert.equal(queue.stats().maxDepth, 2);
+    assert.ok(queue.stats().maxLatency >= queue.stats().averageLatency);
+});
+
+test('приоритет по методу клиента', () => {
+    assert.equal(getTransactionPriority('writeRegisters'), 'write');
+    assert.equal(getTransactionPriority('writeCoil'), 'write');
+    assert.equal(getTransactionPriority('readHoldingRegisters'), 'read');
+});
@@ -0,0 +1,63 @@
+// Веб API: вход обязателен, роли ограничивают запись и конфигурацию,
+// каждая запись из веб-интерфейса и OPC UA попадает в журнал аудита
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const opcua = require('node-opcua');
+const { startDevice, startBridge, waitForValue } = require('./helpers/bridge');
+
+const TAGS = [{ name: 'level', registerType: 'holding', address: 0, dataType: 'uint16' }];
+
+test('вход, роли и журнал записей', { timeout: 120000 }, async (t) => {
+    const tank = await startDevice(t, TAGS, { level: 1 });
+    const pump = await startDevice(t, TAGS, { level: 1 });
+    const tcpDevice = (id, port) => ({
+        id, name: id, type: 'tcp', address: '127.0.0.1', port, deviceId: 1, pollInterval: 500, tags: TAGS
+    });
+    const { session, webPort, api, login } = await startBridge(t, [tcpDevice('tank', tank.port), tcpDevice('pump', pump.port)], {
+        users: [
+            { username: 'view', password: 'view-password', role: 'viewer' },
+            { username: 'shift', password: 'shift-password', role: 'operator', devices: ['tank'] }
+        ]
+    });
+    await waitForValue(session, 'ns=1;s=tank_level', dataValue => dataValue.statusCode.name === 'Good');
+
+    await t.test('без входа и с неверным паролем API закрыт', async () => {
+        assert.equal((await fetch(`http://127.0.0.1:${webPort}/api/devices`)).status, 401);
+        const response = await fetch(`http://127.0.0.1:${webPort}/api/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'shift', password: 'wrong' })
+        });
+        assert.equal(response.status, 401);
+    });
+
+    await t.test('viewer читает, operator пишет только в свои устройства', async () => {
+        const viewer = login('view', 'view-password');
+        assert.equal((await viewer('GET', '/api/values')).body.tank.tags.level.value, 1);
+        assert.equal((await viewer('POST', '/api/write', { deviceId: 'tank', tagName: 'level', value: 5 })).status, 403);
+
+        const operator = login('shift', 'shift-password');
+        assert.equal((await operator('POST', '/api/write', { deviceId: 'tank', tagName: 'level', value: 5 })).status, 200);
+        assert.equal((await operator('POST', '/api/write', { deviceId: 'pump', tagName: 'level', value: 5 })).status, 403);
+        assert.equal((await operator('DELETE', '/api/devices/pump')).status, 403);
+        assert.deepEqual([tank.values.get('level'), pump.values.get('level')], [5, 1]);
+    });
+
+    await t.test('записи из веб-интерфейса и OPC UA в журнале аудита', async () => {
+        const status = await session.write({
+            nodeId: 'ns=1;s=pump_level',
+            attributeId: opcua.AttributeIds.Value,
+            value: { value: { dataType: opcua.DataType.UInt16, value: 8 } }
+        });
+        assert.equal(status.name, 'Good');
+
+        const { body: entries } = await api('GET', '/api/audit');
+        const describe = (entry) => [entry.user, entry.source, entry.deviceId, entry.oldValue, entry.newValue, entry.result];
+        assert.deepEqual(entries.map(describe), [
+            ['admin', 'opcua', 'pump', 1, 8, 'ok'],
+            ['shift', 'web', 'pump', 1, 5, 'denied'],
+            ['shift', 'web', 'tank', 1, 5, 'ok']
+        ]);
+        assert.deepEqual((await api('GET', '/api/audit?result=denied')).body.map(entry => entry.deviceId), ['pump']);
+    });
+});